@@ -0,0 +1,180 @@
+/**
+ * /api/alerts              — powder alert subscriptions (see lib/alerts.js)
+ * /api/alerts/:id          (rewritten to /api/alerts?id=:id in vercel.json)
+ *
+ *   POST   /api/alerts        { mountains: ['killington'], field: 'newSnow24', threshold: 6,
+ *                               webhook: 'https://...', name?, format?: 'json' | 'slack' }
+ *                             → 201 { ok, subscription, token }   — keep the token, it isn't shown again
+ *   GET    /api/alerts/:id    → { ok, subscription }
+ *   PATCH  /api/alerts/:id    { any of the fields above } → { ok, subscription }   (PUT works too)
+ *   DELETE /api/alerts/:id    → { ok, deleted: id }
+ *   GET    /api/alerts        → { ok, count, subscriptions }   — admin only
+ *
+ * Everything but POST needs the subscription's token as `Authorization: Bearer <token>`
+ * or ?token=. CRON_SECRET works as an admin token for any subscription and is
+ * the only way to list them all.
+ *
+ * Creating is limited per client address: CREATE_LIMIT an hour (429 past it) and
+ * MAX_PER_CLIENT live subscriptions, so no one caller can use up MAX_SUBSCRIPTIONS.
+ * Webhooks must be https and resolve to public addresses only (400 otherwise).
+ * Creates and edits go through the backend's locked update, so concurrent
+ * requests can't overwrite each other.
+ *
+ * Alerts are evaluated after each /api/scrape run persists its results.
+ */
+
+const { getSubscriptions, updateSubscriptions, takeRateLimit } = require('../lib/storage');
+const { publicUrlError }                                       = require('../lib/public-url');
+const {
+  parseSubscription, newCredentials, hashToken, tokenMatches, publicView,
+} = require('../lib/alerts');
+
+const MAX_SUBSCRIPTIONS   = 5000;
+const MAX_PER_CLIENT      = 20;
+const CREATE_LIMIT        = 10;
+const CREATE_WINDOW_HOURS = 1;
+
+function bearer(req) {
+  const header = req.headers?.['authorization'] || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : req.query?.token;
+}
+
+function isAdmin(token) {
+  const secret = process.env.CRON_SECRET;
+  return !!(secret && token === secret);
+}
+
+// Hashed caller address — Vercel puts the client first in x-forwarded-for
+function clientKey(req) {
+  const forwarded = String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim();
+  return hashToken(forwarded || req.socket?.remoteAddress || 'unknown').slice(0, 32);
+}
+
+function readBody(req) {
+  if (typeof req.body !== 'string') return req.body;
+  try {
+    return JSON.parse(req.body);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = async function handler(req, res) {
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    return res.status(200).end();
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const { id } = req.query || {};
+  const token  = bearer(req);
+
+  try {
+    const subscriptions = await getSubscriptions();
+
+    // ── Create ──
+    if (req.method === 'POST' && !id) {
+      const { subscription, error } = parseSubscription(readBody(req));
+      if (error) return res.status(400).json({ ok: false, error });
+
+      const client = clientKey(req);
+      const limit  = await takeRateLimit('alerts-create', client, {
+        limit: CREATE_LIMIT, windowSeconds: CREATE_WINDOW_HOURS * 60 * 60,
+      });
+      if (!limit.allowed) {
+        res.setHeader('Retry-After', String(limit.retryAfter));
+        return res.status(429).json({ ok: false, error: 'Too many new subscriptions — try again later' });
+      }
+
+      const webhookError = await publicUrlError(subscription.webhook);
+      if (webhookError) return res.status(400).json({ ok: false, error: webhookError });
+
+      const creds = newCredentials();
+      const now   = new Date().toISOString();
+      const sub   = {
+        id: creds.id, ...subscription, tokenHash: hashToken(creds.token), client, createdAt: now, updatedAt: now,
+      };
+      // Caps checked against the list as it is under the lock
+      let refused = null;
+      await updateSubscriptions(list => {
+        if (list.length >= MAX_SUBSCRIPTIONS) {
+          refused = { status: 503, error: 'Subscription limit reached' };
+        } else if (list.filter(s => s.client === client).length >= MAX_PER_CLIENT) {
+          refused = { status: 429, error: `At most ${MAX_PER_CLIENT} subscriptions per client — delete one first` };
+        } else {
+          refused = null;
+          return [...list, sub];
+        }
+        return undefined;
+      });
+      if (refused) return res.status(refused.status).json({ ok: false, error: refused.error });
+      return res.status(201).json({ ok: true, subscription: publicView(sub), token: creds.token });
+    }
+
+    // ── List (admin) ──
+    if (req.method === 'GET' && !id) {
+      if (!isAdmin(token)) {
+        return res.status(401).json({ ok: false, error: 'Listing subscriptions needs the admin token' });
+      }
+      return res.status(200).json({ ok: true, count: subscriptions.length, subscriptions: subscriptions.map(publicView) });
+    }
+
+    if (!id) {
+      return res.status(405).json({ ok: false, error: 'Method not allowed' });
+    }
+
+    // ── Single subscription ──
+    const sub = subscriptions.find(s => s.id === id);
+    // Same answer for "no such id" and "wrong token", so ids can't be probed
+    if (!sub || !(tokenMatches(sub, token) || isAdmin(token))) {
+      return res.status(404).json({ ok: false, error: `No subscription "${id}" for this token` });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ ok: true, subscription: publicView(sub) });
+    }
+
+    if (req.method === 'PATCH' || req.method === 'PUT') {
+      const body = readBody(req);
+      const { subscription, error } = parseSubscription(body, sub);
+      if (error) return res.status(400).json({ ok: false, error });
+      if (body.webhook !== undefined) {
+        const webhookError = await publicUrlError(subscription.webhook);
+        if (webhookError) return res.status(400).json({ ok: false, error: webhookError });
+      }
+
+      // Merged into the subscription as it is under the lock, not the copy read
+      // above, so a concurrent edit's other fields survive
+      let updated = null;
+      let refused = null;
+      await updateSubscriptions(list => {
+        const current = list.find(s => s.id === id);
+        const parsed  = current && parseSubscription(body, current);
+        updated = null;
+        refused = !current ? { status: 404, error: `No subscription "${id}" for this token` }
+          : parsed.error ? { status: 400, error: parsed.error }
+          : null;
+        if (refused) return undefined;
+        updated = { ...current, ...parsed.subscription, updatedAt: new Date().toISOString() };
+        return list.map(s => (s.id === id ? updated : s));
+      });
+      if (refused) return res.status(refused.status).json({ ok: false, error: refused.error });
+      return res.status(200).json({ ok: true, subscription: publicView(updated) });
+    }
+
+    if (req.method === 'DELETE') {
+      await updateSubscriptions(list => list.filter(s => s.id !== id));
+      return res.status(200).json({ ok: true, deleted: id });
+    }
+
+    return res.status(405).json({ ok: false, error: 'Method not allowed' });
+  } catch (err) {
+    console.error('[alerts] Error:', err);
+    return res.status(500).json({ ok: false, error: 'Storage error', detail: err.message });
+  }
+};
@@ -1,16 +1,42 @@
 /**
  * /api/conditions
+ * /api/conditions/:slug   (rewritten to /api/conditions?slug=:slug in vercel.json)
  *
  * Public endpoint — returns the latest scraped mountain conditions as JSON.
  * Called by njskihaus.com on every page load.
  *
+ * The list route takes the filters, sort and projection from lib/query.js, e.g.
+ *   /api/conditions?region=vt&status=open&sort=-newSnow24&limit=3&fields=name,newSnow24
+ * The single-mountain route returns { ok, scrapedAt, storedAt, mountain } and
+ * honours `fields=` only.
+ *
+ * Both routes also answer as CSV, RSS, Atom, GeoJSON or iCalendar (opening and
+ * closing days) — ?format=csv|rss|atom|geojson|ics, or an Accept header of
+ * text/csv, application/rss+xml, application/atom+xml, application/geo+json or
+ * text/calendar. ?format= wins; anything else gets JSON. See lib/formats.js.
+ *
+ * Responses carry an ETag and Last-Modified for the stored payload and are
+ * cacheable until the next scheduled scrape; If-None-Match / If-Modified-Since
+ * get a 304 (see lib/conditional.js).
+ *
+ * Mountains are stored one key each as they're scraped (lib/storage.js). If the
+ * scrape has been failing, the last stored records are served rather than
+ * nothing: `freshness` says how far to trust them (fresh | stale | expired, see
+ * lib/freshness.js), a Warning header is set once they aren't fresh, and every
+ * mountain has `ageHours` since its own report. 503 only before the first scrape.
+ *
  * Response shape:
  * {
  *   ok: true,
- *   scrapedAt: "2026-02-23T12:00:00Z",   // when the scrape ran
+ *   scrapedAt: "2026-02-23T12:00:00Z",   // when the least recently scraped mountain was
+ *   freshness: "fresh",                   // "fresh" | "stale" | "expired"
+ *   ageHours: 3.2,                        // since scrapedAt
+ *   count: 33,                            // mountains in this response, after filters
  *   mountains: [
  *     {
+ *       id: "killington",                // registry fields from lib/mountains.js
  *       name: "KILLINGTON",
+ *       state: "VT", region: "vt", lat: 43.6045, lon: -72.8201, pass: "ikon",
  *       base: 58,
  *       summit: 72,
  *       newSnow24: 8,
@@ -22,15 +48,34 @@
  *       surface: "Packed Powder",
  *       season: 198,
  *       status: "Open",
+ *       openingDate: "2025-11-14",        // announced season dates, when SnoCountry or the resort has them
+ *       closingDate: "2026-05-25",
  *       updatedAt: "2026-02-23T12:03:14Z",
- *       source: "https://..."
+ *       ageHours: 3.1,                    // since updatedAt, at the time of the request
+ *       source: "https://...",
+ *       sources: { base: "snocountry", summit: "resort", ... }   // where each field came from
+ *       fieldUpdatedAt: { base: "2026-02-23T12:03:14Z", summit: "2026-02-21T12:02:55Z", ... },
+ *       carriedForward: ["summit"],       // null in this scrape — last known good value kept
+ *       stale: ["summit"],                // observed longer ago than STALE_AFTER_HOURS
+ *       rejected: [{ field, value, reason, source }],   // failed lib/validate.js, nulled
+ *       quarantined: false                // true if the whole record was thrown out
  *     },
  *     ...
  *   ]
  * }
+ *
+ * SnoCountry's name-match report is on /api/health, not here.
  */
 
-const { getData } = require('../lib/storage');
+const { getData, getDataMeta, payloadETag }        = require('../lib/storage');
+const { getMountain, withRegistry }                = require('../lib/mountains');
+const { freshness, warningHeader, withAge }        = require('../lib/freshness');
+const { parseQuery, applyQuery, project }          = require('../lib/query');
+const { negotiate, render, CONTENT_TYPES }         = require('../lib/formats');
+const { etagHeader, isNotModified, setValidators } = require('../lib/conditional');
+
+const FILENAME   = 'njskihaus-conditions';
+const EXTENSIONS = { csv: 'csv', rss: 'xml', atom: 'xml', geojson: 'geojson', ics: 'ics' };
 
 module.exports = async function handler(req, res) {
   // Handle OPTIONS preflight
@@ -45,8 +90,41 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ ok: false, error: 'Method not allowed' });
   }
 
+  const { slug, format: formatParam, ...params } = req.query || {};
+  const { query, error } = parseQuery(params);
+  if (error) {
+    return res.status(400).json({ ok: false, error });
+  }
+  const { format, error: formatError } = negotiate({ format: formatParam }, req.headers?.['accept']);
+  if (formatError) {
+    return res.status(400).json({ ok: false, error: formatError });
+  }
+
+  const entry = slug && getMountain(slug);
+  if (slug && !entry) {
+    return res.status(404).json({ ok: false, error: `Unknown mountain "${slug}"` });
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Vary', 'Accept');
+
   try {
-    const data = await getData();
+    // Revalidation from the index alone — mountain records are only read when
+    // the client's copy is out of date
+    const nowMs = Date.now();
+    const meta  = await getDataMeta();
+    if (meta?.etag) {
+      const metaFresh = freshness(meta, nowMs);
+      const variant   = { format, status: metaFresh.status };
+      if (isNotModified(req, { etag: etagHeader(meta.etag, variant), lastModified: meta.storedAt })) {
+        setValidators(res, meta, variant);
+        if (warningHeader(metaFresh)) res.setHeader('Warning', warningHeader(metaFresh));
+        return res.status(304).end();
+      }
+    }
+
+    // A single mountain only needs its own record
+    const data = await getData(entry ? { ids: [entry.id] } : {});
 
     if (!data) {
       return res.status(503).json({
@@ -56,18 +134,55 @@ module.exports = async function handler(req, res) {
       });
     }
 
-    // Cache: tell browsers/CDN to cache for 1 hour, serve stale for up to 2hr while revalidating
-    res.setHeader('Cache-Control', 'public, max-age=3600, stale-while-revalidate=7200');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    const fresh     = freshness(data, nowMs);
+    const mountains = (data.mountains || []).map(m => withAge(withRegistry(m), nowMs));
+    const mountain  = entry && mountains.find(m => m.id === entry.id);
+    if (slug && !mountain) {
+      return res.status(404).json({ ok: false, error: `Unknown mountain "${slug}"` });
+    }
+
+    // Cache until the next scrape; payloads stored before etags existed get one computed
+    const etag = setValidators(res, { ...data, etag: data.etag || payloadETag(data) }, { format, status: fresh.status });
+    const warning = warningHeader(fresh);
+    if (warning) res.setHeader('Warning', warning);
+    if (isNotModified(req, { etag, lastModified: data.storedAt })) {
+      return res.status(304).end();
+    }
     res.setHeader('Content-Type', 'application/json');
 
+    if (format !== 'json') {
+      // Filter without projecting — feeds and maps need name, lat, lon etc.; the
+      // renderers apply ?fields= themselves where it makes sense
+      const list = slug ? [mountain] : applyQuery(mountains, { ...query, fields: null });
+      const body = render(format, list, { fields: query.fields, scrapedAt: data.scrapedAt });
+      res.setHeader('Content-Type', CONTENT_TYPES[format]);
+      res.setHeader('Content-Disposition', `inline; filename="${slug ? entry.id : FILENAME}.${EXTENSIONS[format]}"`);
+      return res.status(200).send(typeof body === 'string' ? body : JSON.stringify(body));
+    }
+
+    if (slug) {
+      return res.status(200).json({
+        ok:        true,
+        scrapedAt: data.scrapedAt,
+        storedAt:  data.storedAt,
+        freshness: fresh.status,
+        ageHours:  fresh.ageHours,
+        mountain:  project(mountain, query.fields),
+      });
+    }
+
+    const filtered = applyQuery(mountains, query);
+
     return res.status(200).json({
       ok:           true,
       scrapedAt:    data.scrapedAt,
       storedAt:     data.storedAt,
+      freshness:    fresh.status,
+      ageHours:     fresh.ageHours,
       successCount: data.successCount,
       totalCount:   data.totalCount,
-      mountains:    data.mountains || [],
+      count:        filtered.length,
+      mountains:    filtered,
     });
   } catch (err) {
     console.error('[conditions] Error reading storage:', err);
@@ -0,0 +1,96 @@
+/**
+ * /api/digest — the daily conditions digest (see lib/digest.js)
+ *
+ *   GET /api/digest                → the HTML email, for previewing in a browser
+ *   GET /api/digest?format=text    → the plain-text version
+ *   GET /api/digest?send=1         → mail it to DIGEST_TO over SMTP_URL
+ *                                    → { ok, messageId, accepted, rejected, subject }
+ *
+ * Sending is protected like /api/scrape: Authorization: Bearer CRON_SECRET
+ * (what Vercel cron sends) or ?secret=. To mail it every morning, add a cron
+ * for "/api/digest?send=1" after the scrape's in vercel.json.
+ */
+
+const { getData, getSnapshot, snapshotDate } = require('../lib/storage');
+const {
+  buildDigest, renderHTML, renderText, sendDigest, smtpConfigured, previousDay,
+} = require('../lib/digest');
+
+const FORMATS = ['html', 'text'];
+
+function authorized(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return true; // dev mode, as in /api/scrape
+  return req.headers?.['authorization'] === `Bearer ${secret}` || req.query?.secret === secret;
+}
+
+module.exports = async function handler(req, res) {
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ ok: false, error: 'Method not allowed' });
+  }
+
+  const format = String(req.query?.format || 'html').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ ok: false, error: `format must be one of: ${FORMATS.join(', ')}` });
+  }
+  const send = ['1', 'true'].includes(String(req.query?.send));
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  if (send) {
+    res.setHeader('Cache-Control', 'no-store');
+    if (!authorized(req)) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized', hint: 'Pass ?secret=YOUR_CRON_SECRET' });
+    }
+    if (!smtpConfigured()) {
+      return res.status(503).json({ ok: false, error: 'Email is not configured (SMTP_URL / DIGEST_TO)' });
+    }
+  }
+
+  try {
+    const data = await getData();
+    if (!data) {
+      return res.status(503).json({
+        ok: false,
+        error: 'No conditions data available yet. Scrape has not run — trigger /api/scrape or wait for the daily cron.',
+      });
+    }
+
+    const date     = snapshotDate(data.scrapedAt || data.storedAt);
+    const previous = await getSnapshot(previousDay(date));
+    const digest   = buildDigest(data, previous);
+
+    if (send) {
+      try {
+        const info = await sendDigest(digest);
+        console.log(`[digest] Sent "${digest.subject}" — ${info.messageId}`);
+        return res.status(200).json({
+          ok: true, subject: digest.subject, messageId: info.messageId,
+          accepted: info.accepted, rejected: info.rejected,
+        });
+      } catch (err) {
+        console.error('[digest] Send failed:', err);
+        return res.status(502).json({ ok: false, error: 'SMTP send failed', detail: err.message });
+      }
+    }
+
+    res.setHeader('Cache-Control', 'public, max-age=3600, stale-while-revalidate=7200');
+    if (format === 'text') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.status(200).send(renderText(digest));
+    }
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(200).send(renderHTML(digest));
+  } catch (err) {
+    console.error('[digest] Error reading storage:', err);
+    return res.status(500).json({ ok: false, error: 'Storage error', detail: err.message });
+  }
+};
@@ -0,0 +1,118 @@
+/**
+ * /api/health
+ *
+ * Scrape health and freshness, for the uptime monitor and for finding broken
+ * scrapers without reading logs. Returns 200 while the latest scrape is younger
+ * than HEALTH_MAX_AGE_HOURS (default 26 — one missed daily cron plus slack) and
+ * 503 once it's older or nothing has been stored yet.
+ *
+ * Response shape:
+ * {
+ *   ok: true,
+ *   status: "ok",                         // "ok" | "stale" | "empty"
+ *   scrapedAt: "2026-02-23T12:00:00Z",
+ *   storedAt:  "2026-02-23T12:04:40Z",
+ *   ageHours: 3.2,                        // since scrapedAt
+ *   maxAgeHours: 26,
+ *   successCount: 31, totalCount: 33, successRate: 0.94,
+ *   failing: ["burke"],                   // mountains whose last scrape had no base depth
+ *   mountains: [
+ *     {
+ *       id: "killington", name: "KILLINGTON",
+ *       populated: ["base", "newSnow24", ...],   // fields this scrape actually returned
+ *       missing: ["parksOpen", ...],             // null, even after carry-forward
+ *       carriedForward: [], stale: [],
+ *       sources: { base: "snocountry", summit: "resort", ... },
+ *       consecutiveFailures: 0,
+ *       updatedAt: "2026-02-23T11:40:00Z",
+ *       ageHours: 3.5,                           // since updatedAt (the resort's report time)
+ *       rejected: 0, quarantined: false          // see lib/validate.js
+ *     },
+ *     ...
+ *   ],
+ *   matchReport: {                        // SnoCountry names that didn't cleanly match the registry
+ *     unmatched: [{ name, state, score, candidates: [{ id, score }] }],   // near misses only
+ *     ambiguous: [...],
+ *     fuzzy:     [{ ..., id }]             // matched, but below a normalized-name score
+ *   }
+ * }
+ */
+
+const { getData }          = require('../lib/storage');
+const { CONDITION_FIELDS } = require('../lib/fields');
+const { hoursSince }       = require('../lib/freshness');
+
+const MAX_AGE_HOURS = parseFloat(process.env.HEALTH_MAX_AGE_HOURS) || 26;
+
+function mountainHealth(m, nowMs) {
+  const carried = m.carriedForward || [];
+  return {
+    id:                  m.id,
+    name:                m.name,
+    populated:           CONDITION_FIELDS.filter(f => m[f] != null && !carried.includes(f)),
+    missing:             CONDITION_FIELDS.filter(f => m[f] == null),
+    carriedForward:      carried,
+    stale:               m.stale || [],
+    sources:             m.sources || {},
+    consecutiveFailures: m.consecutiveFailures ?? (m.base == null ? 1 : 0),
+    updatedAt:           m.updatedAt || null,
+    ageHours:            hoursSince(m.updatedAt, nowMs),
+    rejected:            (m.rejected || []).length,
+    quarantined:         !!m.quarantined,
+  };
+}
+
+module.exports = async function handler(req, res) {
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ ok: false, error: 'Method not allowed' });
+  }
+
+  // Monitors need the live answer, never a cached one
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  try {
+    const data = await getData();
+
+    if (!data) {
+      return res.status(503).json({
+        ok:     false,
+        status: 'empty',
+        error:  'No conditions data stored yet — the scrape has never run',
+        maxAgeHours: MAX_AGE_HOURS,
+      });
+    }
+
+    const nowMs     = Date.now();
+    const ageHours  = hoursSince(data.scrapedAt || data.storedAt, nowMs);
+    const stale     = ageHours == null || ageHours > MAX_AGE_HOURS;
+    const mountains = (data.mountains || []).map(m => mountainHealth(m, nowMs));
+    const total     = data.totalCount || mountains.length;
+
+    return res.status(stale ? 503 : 200).json({
+      ok:           !stale,
+      status:       stale ? 'stale' : 'ok',
+      scrapedAt:    data.scrapedAt,
+      storedAt:     data.storedAt,
+      ageHours,
+      maxAgeHours:  MAX_AGE_HOURS,
+      successCount: data.successCount,
+      totalCount:   total,
+      successRate:  total ? Math.round((data.successCount / total) * 100) / 100 : null,
+      failing:      mountains.filter(m => m.consecutiveFailures > 0).map(m => m.id),
+      mountains,
+      matchReport:  data.matchReport || null,
+    });
+  } catch (err) {
+    console.error('[health] Error reading storage:', err);
+    return res.status(500).json({ ok: false, error: 'Storage error', detail: err.message });
+  }
+};
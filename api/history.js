@@ -0,0 +1,88 @@
+/**
+ * /api/history?mountain=killington&from=2026-02-16&to=2026-02-23
+ *
+ * Public endpoint — daily time series for one mountain, oldest first.
+ * `mountain` accepts a registry id or display name. `from` / `to` are inclusive
+ * YYYY-MM-DD dates (Eastern time); without them the last 7 days are returned.
+ *
+ * Response shape:
+ * {
+ *   ok: true,
+ *   mountain: { id: "killington", name: "KILLINGTON", state: "VT", region: "vt", ... },
+ *   from: "2026-02-16",
+ *   to:   "2026-02-23",
+ *   points: [
+ *     {
+ *       date: "2026-02-23",
+ *       scrapedAt: "2026-02-23T12:00:00Z",
+ *       base: 58, newSnow24: 8, newSnow48: 12,
+ *       trailsOpen: 116, trailsTotal: 142,
+ *       status: "Open"
+ *     },
+ *     ...
+ *   ]
+ * }
+ */
+
+const { getHistory, snapshotDate } = require('../lib/storage');
+const { getMountain, describe }    = require('../lib/mountains');
+
+const DATE_RE      = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_DAYS = 7;
+
+module.exports = async function handler(req, res) {
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ ok: false, error: 'Method not allowed' });
+  }
+
+  const { mountain: key, from: fromParam, to: toParam } = req.query || {};
+
+  if (!key) {
+    return res.status(400).json({ ok: false, error: 'Missing ?mountain= (e.g. ?mountain=killington)' });
+  }
+
+  const mountain = getMountain(key);
+  if (!mountain) {
+    return res.status(404).json({ ok: false, error: `Unknown mountain "${key}"` });
+  }
+
+  for (const [name, value] of [['from', fromParam], ['to', toParam]]) {
+    if (value && !DATE_RE.test(value)) {
+      return res.status(400).json({ ok: false, error: `Invalid ?${name}= — use YYYY-MM-DD` });
+    }
+  }
+
+  const to   = toParam   || snapshotDate(Date.now());
+  const from = fromParam || snapshotDate(new Date(`${to}T12:00:00Z`).getTime() - (DEFAULT_DAYS - 1) * 86400000);
+
+  if (from > to) {
+    return res.status(400).json({ ok: false, error: '?from= must not be after ?to=' });
+  }
+
+  try {
+    const points = await getHistory(mountain.id, from, to);
+
+    res.setHeader('Cache-Control', 'public, max-age=3600, stale-while-revalidate=7200');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Content-Type', 'application/json');
+
+    return res.status(200).json({
+      ok:       true,
+      mountain: describe(mountain),
+      from,
+      to,
+      points,
+    });
+  } catch (err) {
+    console.error('[history] Error reading storage:', err);
+    return res.status(500).json({ ok: false, error: 'Storage error', detail: err.message });
+  }
+};
@@ -0,0 +1,122 @@
+/**
+ * /api/push — browser push subscriptions (see lib/push.js)
+ *
+ *   GET    /api/push   → { ok, publicKey }   — the VAPID applicationServerKey for pushManager.subscribe
+ *   POST   /api/push   { subscription: <PushSubscription.toJSON()>, mountains: ['killington'],
+ *                        threshold?: 6, openings?: true }
+ *                      → 201 { ok, id, mountains, threshold, openings }
+ *                        Posting the same endpoint again replaces its settings.
+ *   DELETE /api/push   { endpoint } (or ?endpoint=) → { ok, deleted }
+ *
+ * The endpoint URL is the only credential: whoever has it can already push to
+ * that browser, so it's also what's needed to change or remove the subscription.
+ *
+ * POST is limited to SUBSCRIBE_LIMIT an hour per client address (429 past it),
+ * the endpoint must be https and resolve to public addresses only (400), and
+ * MAX_SUBSCRIPTIONS is checked under the backend's lock.
+ */
+
+const { getPushSubscriptions, updatePushSubscriptions, takeRateLimit } = require('../lib/storage');
+const { parsePushSubscription, pushId }                                = require('../lib/push');
+const { vapidKeys }                                                    = require('../lib/webpush');
+const { publicUrlError }                                               = require('../lib/public-url');
+const { hashToken }                                                    = require('../lib/alerts');
+
+const MAX_SUBSCRIPTIONS      = 20000;
+const SUBSCRIBE_LIMIT        = 20;
+const SUBSCRIBE_WINDOW_HOURS = 1;
+
+// Hashed caller address — Vercel puts the client first in x-forwarded-for
+function clientKey(req) {
+  const forwarded = String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim();
+  return hashToken(forwarded || req.socket?.remoteAddress || 'unknown').slice(0, 32);
+}
+
+function readBody(req) {
+  if (typeof req.body !== 'string') return req.body;
+  try {
+    return JSON.parse(req.body);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = async function handler(req, res) {
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    return res.status(200).end();
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const keys = vapidKeys();
+  if (!keys) {
+    return res.status(503).json({ ok: false, error: 'Push notifications are not configured (VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY)' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ ok: true, publicKey: keys.publicKey });
+    }
+
+    if (req.method === 'POST') {
+      const { subscription, error } = parsePushSubscription(readBody(req));
+      if (error) return res.status(400).json({ ok: false, error });
+
+      const limit = await takeRateLimit('push-subscribe', clientKey(req), {
+        limit: SUBSCRIBE_LIMIT, windowSeconds: SUBSCRIBE_WINDOW_HOURS * 60 * 60,
+      });
+      if (!limit.allowed) {
+        res.setHeader('Retry-After', String(limit.retryAfter));
+        return res.status(429).json({ ok: false, error: 'Too many subscribe requests — try again later' });
+      }
+
+      const endpointError = await publicUrlError(subscription.endpoint, 'subscription.endpoint');
+      if (endpointError) return res.status(400).json({ ok: false, error: endpointError });
+
+      // Cap and replace checked against the list as it is under the lock
+      const now = new Date().toISOString();
+      let sub      = null;
+      let existing = null;
+      await updatePushSubscriptions(list => {
+        existing = list.find(s => s.id === subscription.id) || null;
+        if (!existing && list.length >= MAX_SUBSCRIPTIONS) {
+          sub = null;
+          return undefined;
+        }
+        sub = { ...subscription, createdAt: existing?.createdAt || now, updatedAt: now };
+        return list.filter(s => s.id !== sub.id).concat(sub);
+      });
+      if (!sub) return res.status(503).json({ ok: false, error: 'Subscription limit reached' });
+      return res.status(existing ? 200 : 201).json({
+        ok: true, id: sub.id, mountains: sub.mountains, threshold: sub.threshold, openings: sub.openings,
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      let endpoint;
+      try {
+        endpoint = new URL(readBody(req)?.endpoint || req.query?.endpoint).toString();
+      } catch {
+        return res.status(400).json({ ok: false, error: 'endpoint is required' });
+      }
+
+      const id            = pushId(endpoint);
+      const subscriptions = await getPushSubscriptions();
+      if (!subscriptions.some(s => s.id === id)) {
+        return res.status(404).json({ ok: false, error: 'No subscription for that endpoint' });
+      }
+      await updatePushSubscriptions(list => list.filter(s => s.id !== id));
+      return res.status(200).json({ ok: true, deleted: id });
+    }
+
+    return res.status(405).json({ ok: false, error: 'Method not allowed' });
+  } catch (err) {
+    console.error('[push] Error:', err);
+    return res.status(500).json({ ok: false, error: 'Storage error', detail: err.message });
+  }
+};
@@ -0,0 +1,87 @@
+/**
+ * /api/runs                         — recent scrape runs, newest first
+ * /api/runs/:id                     (rewritten to /api/runs?id=:id in vercel.json)
+ * /api/runs?mountain=sugarbush      — recent runs with that mountain's entry from each
+ *
+ * Every /api/scrape run is logged (lib/storage.js saveRun) and kept RUN_DAYS.
+ * `limit` caps the list (default 20, max 100).
+ *
+ * List response:
+ * {
+ *   ok: true,
+ *   runs: [
+ *     { id: "20260223T120000Z-3f9a", trigger: "cron", startedAt, durationMs, ok: true,
+ *       scope: null,                // or e.g. "region=vt" for a targeted run (lib/scrape-targets.js)
+ *       error: null, successCount: 31, totalCount: 33, failed: ["burke", "sugarbush"],
+ *       mountain: { ... }           // only with ?mountain=
+ *     },
+ *     ...
+ *   ]
+ * }
+ *
+ * Detail response: { ok: true, run: { id, trigger, startedAt, durationMs, ok, saved,
+ *   successCount, totalCount, snocountry: { durationMs, requests },
+ *   mountains: [{ id, name, status, error, httpStatus, sourceUrl, durationMs,
+ *                 requests: [{ url, status, error, attempts, ms }] }] } }
+ */
+
+const { listRuns, getRun, RUN_DAYS } = require('../lib/storage');
+const { getMountain }                = require('../lib/mountains');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT     = 100;
+
+module.exports = async function handler(req, res) {
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ ok: false, error: 'Method not allowed' });
+  }
+
+  const { id, mountain: mountainParam, limit: limitParam } = req.query || {};
+
+  let limit = DEFAULT_LIMIT;
+  if (limitParam != null && limitParam !== '') {
+    limit = parseInt(limitParam, 10);
+    if (!(limit > 0)) {
+      return res.status(400).json({ ok: false, error: 'Invalid ?limit= — must be a positive integer' });
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  const mountain = mountainParam ? getMountain(mountainParam) : null;
+  if (mountainParam && !mountain) {
+    return res.status(404).json({ ok: false, error: `Unknown mountain "${mountainParam}"` });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  try {
+    if (id) {
+      const run = await getRun(id);
+      if (!run) {
+        return res.status(404).json({ ok: false, error: `No run "${id}" (runs are kept for ${RUN_DAYS} days)` });
+      }
+      return res.status(200).json({ ok: true, run });
+    }
+
+    let runs = await listRuns(limit);
+    if (mountain) {
+      runs = await Promise.all(runs.map(async summary => {
+        const run = await getRun(summary.id);
+        return { ...summary, mountain: run?.mountains?.find(m => m.id === mountain.id) || null };
+      }));
+    }
+    return res.status(200).json({ ok: true, count: runs.length, runs });
+  } catch (err) {
+    console.error('[runs] Error reading storage:', err);
+    return res.status(500).json({ ok: false, error: 'Storage error', detail: err.message });
+  }
+};
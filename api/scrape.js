@@ -1,16 +1,42 @@
 /**
  * /api/scrape
  *
- * Triggered automatically at 7:00 AM ET daily by the Vercel cron (see vercel.json).
+ * Triggered automatically at 7:00 AM ET daily by the Vercel cron (see vercel.json),
+ * plus the intraday ticks below.
  * Can also be called manually to force a refresh:
  *   curl https://your-api.vercel.app/api/scrape
  *
+ * Targeted runs — one mountain after a call to the resort, a region, one source,
+ * or the registry a few mountains per call (see lib/scrape-targets.js):
+ *   /api/scrape?only=killington,stowe
+ *   /api/scrape?region=vt&source=resort
+ *   /api/scrape?batch=8            — the next 8; call again to carry on
+ *   /api/scrape?batch=8&cursor=16  — from position 16
+ * A batched run's response has batch: { offset, size, total, next, done }.
+ *
+ * The intraday cron calls /api/scrape?scheduled=1 every half hour: only the
+ * mountains in their morning report window or due a midday refresh, and of
+ * those only the ones with a new SnoCountry report (see lib/schedule.js). The
+ * response lists `due` (with why) and `skipped` (no new report).
+ *
  * Protected by CRON_SECRET env var — Vercel sets this automatically for cron calls.
  * For manual calls, pass ?secret=YOUR_MANUAL_SECRET in the URL.
+ *
+ * Each mountain is saved as soon as its scrapers finish (lib/storage.js), so a
+ * run that hits maxDuration still keeps the mountains it got through.
+ * Every run, failed or not, is logged under its runId — see /api/runs.
  */
 
-const { runAllScrapers } = require('../lib/scrapers');
-const { setData }        = require('../lib/storage');
+const { runAllScrapers }            = require('../lib/scrapers');
+const { parseTargets, selectBatch } = require('../lib/scrape-targets');
+const { dueMountains, recordRun }   = require('../lib/schedule');
+const { checkDrift }                = require('../lib/drift');
+const { dispatchAlerts }            = require('../lib/alerts');
+const { dispatchPush }              = require('../lib/push');
+const {
+  getData, mountainWriter, finishScrape, newRunId, saveRun,
+  getScrapeCursor, setScrapeCursor, getScheduleState, setScheduleState,
+} = require('../lib/storage');
 
 module.exports = async function handler(req, res) {
   // ── Auth check ──
@@ -32,26 +58,126 @@ module.exports = async function handler(req, res) {
     });
   }
 
-  console.log(`[scrape] Triggered at ${new Date().toISOString()} — method: ${validCron ? 'cron' : validManual ? 'manual' : 'dev'}`);
+  const { targets, error } = parseTargets(req.query || {});
+  if (error) {
+    return res.status(400).json({ ok: false, error });
+  }
+
+  const trigger   = validCron ? 'cron' : validManual ? 'manual' : 'dev';
+  const startedAt = new Date();
+  const runId     = newRunId(startedAt);
+  const scope     = targets.scope === 'all' && !targets.batch ? null : targets.scope;
+  console.log(`[scrape] Triggered at ${startedAt.toISOString()} — method: ${trigger}, run ${runId}${scope ? `, ${scope}` : ''}`);
 
   try {
-    // ── Run all scrapers ──
-    const results = await runAllScrapers();
+    const previous = await getData();
+    const schedule = await getScheduleState();
+
+    // ── Batch: carry on from the saved cursor for this selection, unless given one ──
+    let batch = null;
+    if (targets.batch) {
+      const saved  = targets.cursor == null ? await getScrapeCursor() : null;
+      const offset = targets.cursor ?? (saved?.scope === targets.scope ? saved.next : 0);
+      batch = selectBatch(targets.mountains, offset, targets.batch);
+    }
+
+    // ── Intraday tick: only what lib/schedule.js says is due. Nothing due is
+    // the usual case, so it isn't logged as a run ──
+    let due = null;
+    if (targets.scheduled) {
+      const records = new Map((previous?.mountains || []).map(m => [m.id, m]));
+      due = dueMountains(targets.mountains, { records, state: schedule, now: startedAt });
+      if (!due.length) {
+        return res.status(200).json({ ok: true, scope, due: [], message: 'No mountains due' });
+      }
+    }
+    const mountains = batch ? batch.mountains : due ? due.map(d => d.mountain) : targets.mountains;
 
-    // ── Persist to KV ──
-    const saved = await setData(results);
+    // ── Run the scrapers (validated against the last stored payload), saving
+    // each mountain as it finishes — throws if storage is down, reported as a failed run ──
+    const writer  = mountainWriter();
+    const results = await runAllScrapers(previous?.mountains, {
+      onMountain:    writer.add,
+      mountains,
+      sources:       targets.sources,
+      skipUnchanged: targets.scheduled,
+    });
+
+    // ── Run details and today's snapshot — unless every due mountain was unchanged ──
+    const saved = results.mountains.length ? await finishScrape(results) : false;
+
+    // ── Schedule state: when each mountain was checked, and report times to learn from ──
+    await setScheduleState(recordRun(schedule, {
+      checkedIds: mountains.map(m => m.id),
+      records:    results.mountains,
+      now:        startedAt,
+    })).catch(e => console.warn('[scrape] Could not save schedule state:', e.message));
 
-    if (!saved) {
-      console.warn('[scrape] Storage write failed — results not persisted');
+    // ── Only now move the cursor on, so a failed batch is retried ──
+    if (batch) {
+      await setScrapeCursor({ scope: targets.scope, next: batch.next });
     }
 
+    // ── Run log (see /api/runs) — before any notifications, which can be slow ──
+    await saveRun({
+      id:           runId,
+      trigger,
+      scope,
+      ok:           true,
+      saved,
+      successCount: results.successCount,
+      totalCount:   results.totalCount,
+      skipped:      results.skipped,
+      ...results.run,
+      startedAt:    startedAt.toISOString(),
+      durationMs:   Date.now() - startedAt.getTime(),
+    }).catch(e => console.warn(`[scrape] Could not save run log ${runId}:`, e.message));
+
+    // ── Notifications, side by side: everything above is already stored, and a
+    // failure here is logged, not a failed run ──
+    const logFailure = (what, empty) => err => {
+      console.warn(`[scrape] ${what} failed:`, err.message);
+      return { ...empty, error: err.message };
+    };
+    const [drift, alerts, push] = await Promise.all([
+      // Selector-drift alerts (lib/drift.js) — per source, on what each returned
+      // before the merge; a one-source run leaves the other's streaks alone
+      checkDrift(results.bySource)
+        .catch(logFailure('Drift check', { events: [], sent: 0, failed: 0 })),
+      // Powder alerts (lib/alerts.js) — only for what this run actually scraped
+      dispatchAlerts(results.mountains, results.scrapedAt)
+        .catch(logFailure('Powder alerts', { fired: 0, sent: 0, failed: [] })),
+      // Browser push (lib/push.js) — new snow, and Closed → Open since the last stored scrape
+      dispatchPush(results.mountains, previous?.mountains, results.scrapedAt)
+        .catch(logFailure('Push', { fired: 0, sent: 0, failed: 0, removed: 0 })),
+    ]);
+
     return res.status(200).json({
       ok:           true,
+      runId,
+      scope,
+      sources:      targets.sources,
+      batch:        batch && {
+        offset: batch.offset,
+        size:   batch.mountains.length,
+        total:  batch.total,
+        next:   batch.done ? null : batch.next,
+        done:   batch.done,
+      },
+      due:          due && due.map(d => ({ id: d.mountain.id, reason: d.reason })),
+      skipped:      results.skipped,
       scrapedAt:    results.scrapedAt,
       successCount: results.successCount,
       totalCount:   results.totalCount,
       saved,
+      matchReport:  results.matchReport,
+      validation:   results.validation,
+      openCircuits: results.openCircuits,
+      drift:        { events: drift.events.length, sent: drift.sent, failed: drift.failed },
+      alerts,
+      push,
       mountains:    results.mountains.map(m => ({
+        id:    m.id,
         name:  m.name,
         base:  m.base,
         new24: m.newSnow24,
@@ -60,6 +186,16 @@ module.exports = async function handler(req, res) {
     });
   } catch (err) {
     console.error('[scrape] Fatal error:', err);
-    return res.status(500).json({ ok: false, error: err.message });
+    await saveRun({
+      id:         runId,
+      trigger,
+      scope,
+      ok:         false,
+      error:      err.message,
+      startedAt:  startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      mountains:  [],
+    }).catch(e => console.warn(`[scrape] Could not save run log ${runId}:`, e.message));
+    return res.status(500).json({ ok: false, runId, error: err.message });
   }
 };
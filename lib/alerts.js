@@ -0,0 +1,195 @@
+/**
+ * alerts.js — powder alert subscriptions
+ *
+ * A subscription watches some mountains for a new-snow threshold and posts to
+ * the subscriber's webhook when it's met:
+ *
+ *   { id, name, mountains: ['killington', 'stowe'], field: 'newSnow24' | 'newSnow48',
+ *     threshold: 6, webhook: 'https://...', format: 'json' | 'slack' | null,
+ *     createdAt, updatedAt }
+ *
+ * Managed through /api/alerts; each subscription has a token (stored hashed)
+ * that's needed to read, change or delete it. Webhooks must be https to a
+ * public address (lib/webhook.js) — checked on save and again on every post.
+ *
+ * Dedupe: an alert fires when a mountain goes from below the threshold to at
+ * or above it, and not again until a scrape sees it back below. A three-day
+ * storm that keeps newSnow48 over the line is one alert; a scrape that misses
+ * the field (null) neither fires nor re-arms.
+ */
+
+const crypto = require('crypto');
+
+const { getMountain }                                    = require('./mountains');
+const { getSubscriptions, getAlertState, setAlertState } = require('./storage');
+const { postJSON, isSlack }                              = require('./webhook');
+
+const ALERT_FIELDS      = ['newSnow24', 'newSnow48'];
+const FORMATS           = ['json', 'slack'];
+const MAX_MOUNTAINS     = 50;
+const ALERT_CONCURRENCY = 8;
+
+const FIELD_LABEL = { newSnow24: '24 hours', newSnow48: '48 hours' };
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/** newCredentials — id and secret token for a new subscription. */
+function newCredentials() {
+  return { id: crypto.randomBytes(6).toString('hex'), token: crypto.randomBytes(16).toString('hex') };
+}
+
+function tokenMatches(sub, token) {
+  if (!token || !sub.tokenHash) return false;
+  const a = Buffer.from(hashToken(token));
+  const b = Buffer.from(sub.tokenHash);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/** publicView — a subscription without its token hash or creator. */
+function publicView(sub) {
+  const { tokenHash, client, ...rest } = sub;
+  return rest;
+}
+
+/**
+ * parseSubscription — validate a create/update body. With `existing`, omitted
+ * fields keep their current value. Returns { subscription } or { error }.
+ */
+function parseSubscription(body, existing = null) {
+  if (!body || typeof body !== 'object') return { error: 'Request body must be a JSON object' };
+  const merged = { ...existing, ...body };
+
+  const list = Array.isArray(merged.mountains)
+    ? merged.mountains
+    : String(merged.mountains || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (!list.length) return { error: 'mountains is required — a list of mountain ids' };
+  if (list.length > MAX_MOUNTAINS) return { error: `At most ${MAX_MOUNTAINS} mountains per subscription` };
+  const mountains = [];
+  for (const key of list) {
+    const m = getMountain(key);
+    if (!m) return { error: `Unknown mountain "${key}"` };
+    if (!mountains.includes(m.id)) mountains.push(m.id);
+  }
+
+  const field = merged.field || 'newSnow24';
+  if (!ALERT_FIELDS.includes(field)) return { error: `field must be one of ${ALERT_FIELDS.join(', ')}` };
+
+  const threshold = Number(merged.threshold);
+  if (!(threshold > 0)) return { error: 'threshold must be a positive number of inches' };
+
+  let webhook;
+  try {
+    webhook = new URL(merged.webhook);
+  } catch {
+    return { error: 'webhook must be an https URL' };
+  }
+  if (webhook.protocol !== 'https:') return { error: 'webhook must be an https URL' };
+
+  const format = merged.format || null;
+  if (format && !FORMATS.includes(format)) return { error: `format must be one of ${FORMATS.join(', ')}` };
+
+  return {
+    subscription: {
+      name:      merged.name ? String(merged.name).slice(0, 100) : null,
+      mountains, field, threshold,
+      webhook:   webhook.toString(),
+      format,
+    },
+  };
+}
+
+/**
+ * evaluateAlerts — which (subscription, mountain) pairs fire for this scrape. Pure.
+ * `state` is { [subId]: { [mountainId]: { at, value } } } — pairs that already
+ * fired and haven't dropped below the threshold since. Returns { fire, state }.
+ */
+function evaluateAlerts(subscriptions, mountains, state = {}, nowIso = new Date().toISOString()) {
+  const byId = new Map(mountains.map(m => [m.id, m]));
+  const next = {};
+  const fire = [];
+
+  subscriptions.forEach(sub => {
+    const fired = { ...state[sub.id] };
+    sub.mountains.forEach(id => {
+      const m     = byId.get(id);
+      const value = m?.[sub.field];
+      if (value == null) return;                    // not scraped this time — leave as is
+      if (value < sub.threshold) {
+        delete fired[id];                           // below again — re-arm
+        return;
+      }
+      if (fired[id]) return;                        // same storm, already sent
+      fired[id] = { at: nowIso, value };
+      fire.push({ subscription: sub, mountain: m, value });
+    });
+    if (Object.keys(fired).length) next[sub.id] = fired;
+  });
+
+  return { fire, state: next };
+}
+
+function alertBody({ subscription: sub, mountain: m, value }, scrapedAt) {
+  const entry = getMountain(m.id);
+  const text  = `:snowflake: ${entry?.name || m.name} has ${value}" of new snow in the last ${FIELD_LABEL[sub.field]}` +
+    ` (your alert: ${sub.threshold}"+). Base ${m.base ?? '—'}".`;
+  if (isSlack(sub.webhook, sub.format || '')) return { text };
+  return {
+    event:        'powder',
+    text,
+    subscription: { id: sub.id, name: sub.name },
+    mountain:     { id: m.id, name: entry?.name || m.name, state: entry?.state, region: entry?.region },
+    field:        sub.field,
+    value,
+    threshold:    sub.threshold,
+    newSnow24:    m.newSnow24 ?? null,
+    newSnow48:    m.newSnow48 ?? null,
+    base:         m.base ?? null,
+    scrapedAt,
+  };
+}
+
+/** eachLimit — run async fn over items, at most `limit` at a time; resolves when all are done. */
+async function eachLimit(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) await fn(items[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+/**
+ * dispatchAlerts — evaluate every subscription against a scrape's mountains,
+ * post the ones that fire (ALERT_CONCURRENCY at a time, so a few slow hooks
+ * can't hold up the rest) and save the dedupe state. A failed post is not
+ * marked as sent, so the next scrape tries again. Returns { fired, sent, failed }.
+ */
+async function dispatchAlerts(mountains, scrapedAt = new Date().toISOString()) {
+  const subscriptions = await getSubscriptions();
+  if (!subscriptions.length) return { fired: 0, sent: 0, failed: [] };
+
+  const { fire, state } = evaluateAlerts(subscriptions, mountains, await getAlertState(), scrapedAt);
+
+  let sent = 0;
+  const failed = [];
+  await eachLimit(fire, ALERT_CONCURRENCY, async alert => {
+    const result = await postJSON(alert.subscription.webhook, alertBody(alert, scrapedAt), { publicOnly: true });
+    if (result.ok) {
+      sent++;
+      return;
+    }
+    failed.push({ subscription: alert.subscription.id, mountain: alert.mountain.id, error: result.error });
+    delete state[alert.subscription.id]?.[alert.mountain.id];
+  });
+
+  await setAlertState(state).catch(err => console.warn(`[alerts] Could not save alert state: ${err.message}`));
+  if (fire.length) console.log(`[alerts] ${fire.length} powder alert(s): ${sent} sent, ${failed.length} failed`);
+  return { fired: fire.length, sent, failed };
+}
+
+module.exports = {
+  parseSubscription, evaluateAlerts, dispatchAlerts, alertBody,
+  newCredentials, hashToken, tokenMatches, publicView, eachLimit,
+  ALERT_FIELDS, ALERT_CONCURRENCY,
+};
@@ -0,0 +1,102 @@
+/**
+ * base.js — the storage backend interface
+ *
+ * lib/storage.js keeps all the key naming and TTL policy; a backend only stores
+ * JSON values under string keys. Every backend provides:
+ *
+ *   get(key)                          → the value, or null if missing or expired
+ *   getMany(keys)                     → their values in the same order, null for each
+ *                                       missing one (optional — defaults to get per key)
+ *   set(key, value, { ttl })          → stores a JSON-serializable value; ttl in
+ *                                       seconds, null/0 for no expiry
+ *   delete(key)                       → removes it (missing is fine)
+ *   list(prefix)                      → keys starting with prefix, sorted, live only
+ *   update(key, fn, { ttl })          → atomic read-modify-write: fn(current or null)
+ *                                       returns the new value (undefined = leave as is).
+ *                                       fn must be synchronous and may run more than
+ *                                       once. Atomic against other updates of the key.
+ *   appendHistory(key, point, { ttl, since })
+ *                                     → upsert a { date: 'YYYY-MM-DD', ... } point into
+ *                                       a date-ordered series, dropping points before
+ *                                       `since`; ttl applies to the whole series
+ *   getHistory(key, { from, to })     → the series' points, oldest first, within the
+ *                                       inclusive date bounds
+ *   close()                           → release files/connections (optional)
+ *
+ * Nothing is swallowed: any failure rejects with a StorageError naming the
+ * backend, operation and key, with the original error as `cause`.
+ *
+ * defineBackend fills in getMany from get, and appendHistory/getHistory from
+ * get/update for backends without a native series type, and wraps every
+ * operation's errors.
+ */
+
+class StorageError extends Error {
+  constructor(backend, op, key, cause) {
+    super(`${backend} storage: ${op}${key != null ? ` "${key}"` : ''} failed — ${cause?.message || cause}`);
+    this.name    = 'StorageError';
+    this.backend = backend;
+    this.op      = op;
+    this.key     = key;
+    this.cause   = cause;
+  }
+}
+
+const OPERATIONS = ['get', 'getMany', 'set', 'delete', 'list', 'update', 'appendHistory', 'getHistory', 'close'];
+
+/** upsertPoint — the series with `point` in place of any point for the same date. */
+function upsertPoint(series, point, since) {
+  return (Array.isArray(series) ? series : [])
+    .filter(p => p.date !== point.date && (!since || p.date >= since))
+    .concat(point)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function inRange(points, from, to) {
+  return points.filter(p => (!from || p.date >= from) && (!to || p.date <= to));
+}
+
+/** expiresAt — absolute expiry in ms for a ttl in seconds, or null. */
+function expiresAt(ttl, now) {
+  return ttl ? now + ttl * 1000 : null;
+}
+
+/** roundTrip — a deep copy the way every backend stores values: through JSON. */
+function roundTrip(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * defineBackend — a complete backend from an implementation of at least
+ * get/set/delete/list/update. `name` goes into error messages.
+ */
+function defineBackend(name, impl) {
+  const full = {
+    getMany: async keys => Promise.all(keys.map(key => impl.get(key))),
+    appendHistory: async (key, point, { ttl, since } = {}) => {
+      const next = await impl.update(key, series => upsertPoint(series, point, since), { ttl });
+      return next.length;
+    },
+    getHistory: async (key, { from, to } = {}) => {
+      const series = await impl.get(key);
+      return inRange(Array.isArray(series) ? series : [], from, to);
+    },
+    close: async () => {},
+    ...impl,
+  };
+
+  const backend = { name };
+  OPERATIONS.forEach(op => {
+    backend[op] = async (...args) => {
+      try {
+        return await full[op](...args);
+      } catch (err) {
+        if (err instanceof StorageError) throw err;
+        throw new StorageError(name, op, typeof args[0] === 'string' ? args[0] : null, err);
+      }
+    };
+  });
+  return backend;
+}
+
+module.exports = { StorageError, defineBackend, upsertPoint, inRange, expiresAt, roundTrip };
@@ -0,0 +1,121 @@
+/**
+ * file.js — JSON-file storage backend
+ *
+ * One file per key in `dir` (STORAGE_DIR, default /tmp/njskihaus-store): the
+ * key URI-encoded plus .json, holding { value, expiresAt }. Fine for local
+ * development and a single self-hosted box; not for several machines sharing
+ * a network drive.
+ *
+ * Writes go to a temp file and are renamed into place, so a reader never sees
+ * half a file. update() holds a <file>.lock (created exclusively) for the
+ * read-modify-write; a lock older than STALE_LOCK_MS is assumed to belong to a
+ * crashed process and is broken.
+ *
+ * Options: { dir, now } — now is a clock in ms, for expiry tests.
+ */
+
+const fs   = require('fs/promises');
+const path = require('path');
+
+const { defineBackend, expiresAt, roundTrip } = require('./base');
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS   = 25;
+const STALE_LOCK_MS   = 30000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createFileBackend({ dir = '/tmp/njskihaus-store', now = Date.now } = {}) {
+  const fileFor = key => path.join(dir, `${encodeURIComponent(key)}.json`);
+
+  async function readEntry(key) {
+    let text;
+    try {
+      text = await fs.readFile(fileFor(key), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    const entry = JSON.parse(text);
+    if (entry.expiresAt != null && entry.expiresAt <= now()) return null;
+    return entry;
+  }
+
+  async function writeEntry(key, value, ttl) {
+    const file = fileFor(key);
+    const tmp  = `${file}.${process.pid}.${Math.random().toString(16).slice(2)}.tmp`;
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(tmp, JSON.stringify({ value, expiresAt: expiresAt(ttl, now()) }));
+    await fs.rename(tmp, file);
+  }
+
+  async function withLock(key, fn) {
+    const lock     = `${fileFor(key)}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    await fs.mkdir(dir, { recursive: true });
+    for (;;) {
+      try {
+        await (await fs.open(lock, 'wx')).close();
+        break;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+        const stat = await fs.stat(lock).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+          await fs.rm(lock, { force: true });
+          continue;
+        }
+        if (Date.now() > deadline) throw new Error(`timed out waiting for ${path.basename(lock)}`);
+        await sleep(LOCK_RETRY_MS);
+      }
+    }
+    try {
+      return await fn();
+    } finally {
+      await fs.rm(lock, { force: true });
+    }
+  }
+
+  return defineBackend('file', {
+    async get(key) {
+      const entry = await readEntry(key);
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value, { ttl } = {}) {
+      await writeEntry(key, roundTrip(value), ttl);
+    },
+
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+
+    async list(prefix = '') {
+      let names;
+      try {
+        names = await fs.readdir(dir);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const keys = names
+        .filter(n => n.endsWith('.json'))
+        .map(n => decodeURIComponent(n.slice(0, -'.json'.length)))
+        .filter(k => k.startsWith(prefix));
+      const live = await Promise.all(keys.map(async k => ((await readEntry(k)) ? k : null)));
+      return live.filter(Boolean).sort();
+    },
+
+    async update(key, fn, { ttl } = {}) {
+      return withLock(key, async () => {
+        const current = (await readEntry(key))?.value ?? null;
+        const next    = fn(current);
+        if (next === undefined) return current;
+        const value = roundTrip(next);
+        await writeEntry(key, value, ttl);
+        return value;
+      });
+    },
+  });
+}
+
+module.exports = { createFileBackend };
@@ -0,0 +1,86 @@
+/**
+ * kv.js — Vercel KV (Upstash Redis) storage backend
+ *
+ * What production on Vercel uses. Values are stored as JSON by the client;
+ * TTLs are Redis expiries. update() takes a short Redis lock (SET NX PX on
+ * LOCK_PREFIX + key) around the read-modify-write and releases it only if it
+ * still holds it, so a stuck lock lapses after LOCK_TTL_MS on its own.
+ *
+ * Options: { client } — a @vercel/kv client; defaults to the one configured
+ * from KV_REST_API_URL / KV_REST_API_TOKEN.
+ */
+
+const crypto = require('crypto');
+
+const { defineBackend, roundTrip } = require('./base');
+
+const LOCK_PREFIX     = 'lock_v1:';
+const LOCK_TTL_MS     = 10000;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS   = 50;
+
+// Delete the lock only if it's still ours
+const RELEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// SCAN MATCH is a glob — escape the prefix so only it is matched literally
+const globEscape = s => s.replace(/[*?[\]\\]/g, c => `\\${c}`);
+
+function createKVBackend({ client = require('@vercel/kv').kv } = {}) {
+  async function withLock(key, fn) {
+    const lock     = LOCK_PREFIX + key;
+    const token    = crypto.randomBytes(8).toString('hex');
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    while (!(await client.set(lock, token, { nx: true, px: LOCK_TTL_MS }))) {
+      if (Date.now() > deadline) throw new Error(`timed out waiting for ${lock}`);
+      await sleep(LOCK_RETRY_MS + Math.random() * LOCK_RETRY_MS);
+    }
+    try {
+      return await fn();
+    } finally {
+      await client.eval(RELEASE_SCRIPT, [lock], [token]);
+    }
+  }
+
+  return defineBackend('kv', {
+    async get(key) {
+      return (await client.get(key)) ?? null;
+    },
+
+    // One MGET round trip instead of a GET per key
+    async getMany(keys) {
+      if (!keys.length) return [];
+      return (await client.mget(...keys)).map(value => value ?? null);
+    },
+
+    async set(key, value, { ttl } = {}) {
+      await client.set(key, roundTrip(value), ttl ? { ex: ttl } : undefined);
+    },
+
+    async delete(key) {
+      await client.del(key);
+    },
+
+    async list(prefix = '') {
+      const keys = [];
+      for await (const key of client.scanIterator({ match: `${globEscape(prefix)}*`, count: 500 })) {
+        if (!key.startsWith(LOCK_PREFIX)) keys.push(key);
+      }
+      return [...new Set(keys)].sort();
+    },
+
+    async update(key, fn, { ttl } = {}) {
+      return withLock(key, async () => {
+        const current = (await client.get(key)) ?? null;
+        const next    = fn(current);
+        if (next === undefined) return current;
+        const value = roundTrip(next);
+        await client.set(key, value, ttl ? { ex: ttl } : undefined);
+        return value;
+      });
+    },
+  });
+}
+
+module.exports = { createKVBackend };
@@ -0,0 +1,60 @@
+/**
+ * memory.js — in-process storage backend
+ *
+ * For tests and one-off scripts: nothing survives the process. Values are
+ * copied through JSON on the way in and out, like every other backend, so a
+ * caller mutating what it got back can't change what's stored.
+ *
+ * Options: { now } — clock in ms, for expiry tests.
+ */
+
+const { defineBackend, expiresAt, roundTrip } = require('./base');
+
+function createMemoryBackend({ now = Date.now } = {}) {
+  const entries = new Map();   // key → { value, expiresAt }
+
+  const live = key => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt != null && entry.expiresAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  const write = (key, value, ttl) => {
+    entries.set(key, { value: JSON.stringify(value), expiresAt: expiresAt(ttl, now()) });
+  };
+
+  return defineBackend('memory', {
+    async get(key) {
+      const entry = live(key);
+      return entry ? JSON.parse(entry.value) : null;
+    },
+
+    async set(key, value, { ttl } = {}) {
+      write(key, value, ttl);
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async list(prefix = '') {
+      return [...entries.keys()].filter(k => k.startsWith(prefix) && live(k)).sort();
+    },
+
+    // Single-threaded and synchronous between read and write — atomic as is
+    async update(key, fn, { ttl } = {}) {
+      const entry   = live(key);
+      const current = entry ? JSON.parse(entry.value) : null;
+      const next    = fn(current);
+      if (next === undefined) return current;
+      write(key, next, ttl);
+      return roundTrip(next);
+    },
+  });
+}
+
+module.exports = { createMemoryBackend };
@@ -0,0 +1,129 @@
+/**
+ * sqlite.js — SQLite storage backend, for self-hosting on one box
+ *
+ * Needs the optional better-sqlite3 dependency. Two tables in the database at
+ * `path` (STORAGE_SQLITE_PATH, default ./data/njskihaus.db):
+ *
+ *   entries (key PRIMARY KEY, value JSON text, expires_at ms or NULL)
+ *   history (key, date, point JSON text, expires_at) — one row per series point,
+ *            so appendHistory doesn't rewrite a year of points each day
+ *
+ * WAL mode lets the API read while a scrape writes. update() and appendHistory
+ * run in BEGIN IMMEDIATE transactions, which serializes them across processes
+ * sharing the file. Expired rows are ignored on read and purged on write.
+ *
+ * Options: { path, now } — now is a clock in ms, for expiry tests.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { defineBackend, expiresAt, roundTrip } = require('./base');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS entries (
+    key        TEXT PRIMARY KEY,
+    value      TEXT NOT NULL,
+    expires_at INTEGER
+  );
+  CREATE TABLE IF NOT EXISTS history (
+    key        TEXT NOT NULL,
+    date       TEXT NOT NULL,
+    point      TEXT NOT NULL,
+    expires_at INTEGER,
+    PRIMARY KEY (key, date)
+  );
+`;
+
+function createSqliteBackend({ path: file = './data/njskihaus.db', now = Date.now } = {}) {
+  const Database = require('better-sqlite3');
+  if (file !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(SCHEMA);
+
+  const q = {
+    get:          db.prepare('SELECT value FROM entries WHERE key = ? AND (expires_at IS NULL OR expires_at > ?)'),
+    set:          db.prepare('INSERT OR REPLACE INTO entries (key, value, expires_at) VALUES (?, ?, ?)'),
+    delete:       db.prepare('DELETE FROM entries WHERE key = ?'),
+    deleteSeries: db.prepare('DELETE FROM history WHERE key = ?'),
+    purge:        db.prepare('DELETE FROM entries WHERE expires_at IS NOT NULL AND expires_at <= ?'),
+    list:         db.prepare(`
+      SELECT key FROM entries WHERE substr(key, 1, length(?)) = ? AND (expires_at IS NULL OR expires_at > ?)
+      UNION
+      SELECT key FROM history WHERE substr(key, 1, length(?)) = ? AND (expires_at IS NULL OR expires_at > ?)
+      ORDER BY key`),
+    putPoint:     db.prepare('INSERT OR REPLACE INTO history (key, date, point, expires_at) VALUES (?, ?, ?, ?)'),
+    trim:         db.prepare('DELETE FROM history WHERE key = ? AND date < ?'),
+    touch:        db.prepare('UPDATE history SET expires_at = ? WHERE key = ?'),
+    count:        db.prepare('SELECT count(*) AS n FROM history WHERE key = ?'),
+    range:        db.prepare(`
+      SELECT point FROM history
+      WHERE key = ? AND date >= ? AND date <= ? AND (expires_at IS NULL OR expires_at > ?)
+      ORDER BY date`),
+  };
+
+  const read = key => {
+    const row = q.get.get(key, now());
+    return row ? JSON.parse(row.value) : null;
+  };
+
+  const update = db.transaction((key, fn, ttl) => {
+    const current = read(key);
+    const next    = fn(current);
+    if (next === undefined) return current;
+    const value = roundTrip(next);
+    q.set.run(key, JSON.stringify(value), expiresAt(ttl, now()));
+    return value;
+  });
+
+  const appendHistory = db.transaction((key, point, ttl, since) => {
+    const expires = expiresAt(ttl, now());
+    q.putPoint.run(key, point.date, JSON.stringify(point), expires);
+    if (since) q.trim.run(key, since);
+    // The whole series lives ttl past its latest point, as on the other backends
+    q.touch.run(expires, key);
+    return q.count.get(key).n;
+  });
+
+  return defineBackend('sqlite', {
+    async get(key) {
+      return read(key);
+    },
+
+    async set(key, value, { ttl } = {}) {
+      q.set.run(key, JSON.stringify(roundTrip(value)), expiresAt(ttl, now()));
+      q.purge.run(now());
+    },
+
+    async delete(key) {
+      q.delete.run(key);
+      q.deleteSeries.run(key);
+    },
+
+    async list(prefix = '') {
+      const at = now();
+      return q.list.all(prefix, prefix, at, prefix, prefix, at).map(r => r.key);
+    },
+
+    async update(key, fn, { ttl } = {}) {
+      return update.immediate(key, fn, ttl);
+    },
+
+    async appendHistory(key, point, { ttl, since } = {}) {
+      return appendHistory.immediate(key, point, ttl, since);
+    },
+
+    async getHistory(key, { from, to } = {}) {
+      return q.range.all(key, from || '', to || '9999-12-31', now()).map(r => JSON.parse(r.point));
+    },
+
+    async close() {
+      db.close();
+    },
+  });
+}
+
+module.exports = { createSqliteBackend };
@@ -0,0 +1,79 @@
+/**
+ * carry-forward.js — last-known-good values for fields a scrape came back without
+ *
+ * One broken selector shouldn't blank a mountain's card. When a new scrape has
+ * null for a field the previous stored record had, the old value is kept along
+ * with the time it was actually observed. Once that time is older than
+ * STALE_AFTER_HOURS the field is flagged stale so the site can grey it out.
+ *
+ * New snow and open counts (DAILY_FIELDS in lib/fields.js) are left null
+ * instead: a missing "24h: 0" must not turn back into yesterday's 9".
+ *
+ * A record that already says when some of its values were observed (a
+ * source-limited run keeps the other source's, see storedSource in
+ * lib/scrapers.js) keeps those times rather than being stamped as new.
+ *
+ * Each mountain record gains:
+ *   fieldUpdatedAt: { base: ISO, summit: ISO, ... }   — when each value was last observed
+ *   carriedForward: ['summit', ...]                    — fields copied from the previous record
+ *   stale:          ['summit', ...]                    — fields older than STALE_AFTER_HOURS
+ *   consecutiveFailures: 0                              — scrapes in a row that came back without a base
+ *                                                         depth (the same test as successCount)
+ */
+
+const { CONDITION_FIELDS, DAILY_FIELDS } = require('./fields');
+
+const STALE_AFTER_HOURS = parseFloat(process.env.STALE_AFTER_HOURS) || 48;
+
+/**
+ * carryForwardRecord — merge one freshly scraped record over the previous stored
+ * record for the same mountain. `previous` may be null (first scrape).
+ */
+function carryForwardRecord(previous, next, nowIso) {
+  const observedAt     = next.updatedAt || nowIso;
+  const fieldUpdatedAt = {};
+  const carriedForward = [];
+  const stale          = [];
+  const sources        = { ...next.sources };
+  const merged         = { ...next };
+
+  CONDITION_FIELDS.forEach(field => {
+    if (next[field] != null) {
+      fieldUpdatedAt[field] = next.fieldUpdatedAt?.[field] || observedAt;
+      return;
+    }
+    if (previous?.[field] == null || DAILY_FIELDS.includes(field)) return;
+
+    merged[field]         = previous[field];
+    fieldUpdatedAt[field] = previous.fieldUpdatedAt?.[field] || previous.updatedAt || nowIso;
+    if (previous.sources?.[field]) sources[field] = previous.sources[field];
+    carriedForward.push(field);
+  });
+
+  const staleBefore = Date.parse(nowIso) - STALE_AFTER_HOURS * 3600 * 1000;
+  Object.entries(fieldUpdatedAt).forEach(([field, at]) => {
+    if (Date.parse(at) < staleBefore) stale.push(field);
+  });
+
+  merged.sources        = sources;
+  merged.fieldUpdatedAt = fieldUpdatedAt;
+  merged.carriedForward = carriedForward;
+  merged.stale          = stale;
+  merged.consecutiveFailures = next.base == null ? (previous?.consecutiveFailures || 0) + 1 : 0;
+  return merged;
+}
+
+/**
+ * carryForward — apply carryForwardRecord to a whole mountains list, matching
+ * previous records by id (or name, for payloads stored before ids existed).
+ */
+function carryForward(previousMountains, nextMountains, nowIso = new Date().toISOString()) {
+  const prev = new Map();
+  (previousMountains || []).forEach(m => prev.set(m.id || m.name, m));
+
+  return (nextMountains || []).map(m =>
+    carryForwardRecord(prev.get(m.id) || prev.get(m.name) || null, m, nowIso)
+  );
+}
+
+module.exports = { carryForward, carryForwardRecord, STALE_AFTER_HOURS };
@@ -0,0 +1,72 @@
+/**
+ * conditional.js — ETag / Last-Modified validators and 304s for stored payloads
+ *
+ * The site fetches /api/conditions on every page load, but the payload only
+ * changes when a scrape stores a new one. So:
+ *
+ *   - ETag is the payload's content hash (computed once in setData), suffixed
+ *     with the format for non-JSON representations of the same URL and with the
+ *     freshness once the data is stale (lib/freshness.js). It's weak: bodies
+ *     carry ageHours, which ticks on while the data doesn't change
+ *   - Last-Modified is the payload's storedAt
+ *   - If-None-Match (or, without it, If-Modified-Since) that still matches
+ *     gets a bodyless 304
+ *   - Cache-Control max-age runs until the next scheduled scrape (lib/cron.js)
+ *     plus SCRAPE_ALLOWANCE for it to finish, instead of a fixed hour
+ */
+
+const { nextScrapeAt } = require('./cron');
+
+const SCRAPE_ALLOWANCE = 5 * 60;            // seconds — a scrape's maxDuration
+const MIN_MAX_AGE      = 60;
+const MAX_MAX_AGE      = 24 * 60 * 60;
+const FALLBACK_MAX_AGE = 60 * 60;           // no scrape scheduled
+
+/** etagHeader — the weak ETag for a payload hash, response format and freshness status. */
+function etagHeader(etag, { format = 'json', status = 'fresh' } = {}) {
+  const variant = [format !== 'json' && format, status !== 'fresh' && status].filter(Boolean);
+  return `W/"${[etag, ...variant].join('-')}"`;
+}
+
+// RFC 9110 §13.1.2 — weak comparison: W/ prefixes are ignored
+function matchesETag(header, etag) {
+  const strip = tag => tag.trim().replace(/^W\//, '');
+  return header.trim() === '*' || header.split(',').some(tag => strip(tag) === strip(etag));
+}
+
+/**
+ * isNotModified — whether a request's validators still match. If-None-Match
+ * takes precedence; If-Modified-Since is only consulted without it.
+ */
+function isNotModified(req, { etag, lastModified }) {
+  const noneMatch = req.headers?.['if-none-match'];
+  if (noneMatch) return !!etag && matchesETag(noneMatch, etag);
+
+  const since = Date.parse(req.headers?.['if-modified-since'] || '');
+  if (!lastModified || Number.isNaN(since)) return false;
+  // HTTP dates have whole seconds
+  return Math.floor(Date.parse(lastModified) / 1000) * 1000 <= since;
+}
+
+/** maxAge — seconds until the next scheduled scrape should have finished. */
+function maxAge(now = new Date()) {
+  const next = nextScrapeAt(now);
+  if (!next) return FALLBACK_MAX_AGE;
+  const seconds = Math.round((next - now) / 1000) + SCRAPE_ALLOWANCE;
+  return Math.min(MAX_MAX_AGE, Math.max(MIN_MAX_AGE, seconds));
+}
+
+/**
+ * setValidators — ETag, Last-Modified and Cache-Control for a stored payload
+ * (or its meta: { etag, storedAt }). `variant` is { format, status } as for
+ * etagHeader. Returns the ETag header value.
+ */
+function setValidators(res, payload, variant = {}, now = new Date()) {
+  const etag = etagHeader(payload.etag, variant);
+  res.setHeader('ETag', etag);
+  if (payload.storedAt) res.setHeader('Last-Modified', new Date(payload.storedAt).toUTCString());
+  res.setHeader('Cache-Control', `public, max-age=${maxAge(now)}, stale-while-revalidate=${SCRAPE_ALLOWANCE}`);
+  return etag;
+}
+
+module.exports = { etagHeader, isNotModified, maxAge, setValidators };
@@ -0,0 +1,90 @@
+/**
+ * cron.js — when the next scheduled scrape runs
+ *
+ * The schedule lives in one place, the "crons" block of vercel.json; this reads
+ * it rather than repeating it. Vercel runs crons in UTC, and so does nextRun.
+ *
+ * Cron expressions are the usual five fields (minute hour day-of-month month
+ * day-of-week) with *, lists (1,15), ranges (1-5) and steps (*\/15, 8-20/2).
+ * As in standard cron, when both day fields are restricted a day matching
+ * either one counts.
+ */
+
+const { crons = [] } = require('../vercel.json');
+
+const FIELDS = [
+  { min: 0, max: 59 },  // minute
+  { min: 0, max: 23 },  // hour
+  { min: 1, max: 31 },  // day of month
+  { min: 1, max: 12 },  // month
+  { min: 0, max: 7 },   // day of week (0 and 7 are Sunday)
+];
+
+// Longest gap we'll search for a match — a yearly schedule is the worst case
+const SEARCH_DAYS = 366;
+
+function parseField(expr, { min, max }) {
+  const values = new Set();
+  for (const part of expr.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    let [lo, hi] = range === '*' ? [min, max] : range.split('-').map(n => parseInt(n, 10));
+    if (hi == null) hi = stepText ? max : lo;
+    if (!(step > 0) || !(lo >= min) || !(hi <= max) || lo > hi) throw new Error(`Bad cron field "${expr}"`);
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/** parseCron — a five-field expression into sets of allowed values. Throws if malformed. */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron "${expression}" must have 5 fields`);
+  const [minute, hour, day, month, weekday] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (weekday.has(7)) weekday.add(0);
+  return { minute, hour, day, month, weekday, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+function dayMatches(cron, date) {
+  if (!cron.month.has(date.getUTCMonth() + 1)) return false;
+  const byDay     = cron.day.has(date.getUTCDate());
+  const byWeekday = cron.weekday.has(date.getUTCDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay)     return byWeekday;
+  if (cron.anyWeekday) return byDay;
+  return byDay || byWeekday;
+}
+
+/** nextRun — the first time strictly after `from` that `expression` fires (UTC), or null. */
+function nextRun(expression, from = new Date()) {
+  const cron  = parseCron(expression);
+  const start = new Date(from);
+  start.setUTCSeconds(0, 0);
+  start.setUTCMinutes(start.getUTCMinutes() + 1);
+
+  const day = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+  for (let i = 0; i <= SEARCH_DAYS; i++, day.setUTCDate(day.getUTCDate() + 1)) {
+    if (!dayMatches(cron, day)) continue;
+    for (const hour of [...cron.hour].sort((a, b) => a - b)) {
+      for (const minute of [...cron.minute].sort((a, b) => a - b)) {
+        const at = new Date(day);
+        at.setUTCHours(hour, minute);
+        if (at >= start) return at;
+      }
+    }
+  }
+  return null;
+}
+
+/** scrapeSchedules — the cron expressions in vercel.json that call /api/scrape. */
+function scrapeSchedules() {
+  return crons.filter(c => c.path.startsWith('/api/scrape')).map(c => c.schedule);
+}
+
+/** nextScrapeAt — the earliest upcoming scheduled scrape, or null if none is scheduled. */
+function nextScrapeAt(from = new Date()) {
+  const runs = scrapeSchedules().map(s => nextRun(s, from)).filter(Boolean);
+  return runs.length ? new Date(Math.min(...runs)) : null;
+}
+
+module.exports = { parseCron, nextRun, nextScrapeAt, scrapeSchedules };
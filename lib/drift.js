@@ -0,0 +1,151 @@
+/**
+ * drift.js — notice when a working scraper stops returning a field
+ *
+ * A selector that has been finding base depth and suddenly returns null is
+ * almost always a site redesign. Carry-forward — and the other source filling
+ * the gap in the merge — hides that from customers, so nobody notices until
+ * the value is days stale. So drift is judged per source, on what SnoCountry
+ * and the resort scraper each returned before merging (runAllScrapers'
+ * `bySource`):
+ *
+ *   - each field a source has returned for a mountain before but didn't this
+ *     time counts a null run; a value resets it. Runs are counted once per
+ *     (Eastern) day, so the intraday ticks don't bring alerts forward
+ *   - once a field reaches DRIFT_AFTER_RUNS null days in a row, a 'drift' alert
+ *     goes out with the source, the fields lost, their last good values and the
+ *     source URL
+ *   - when an alerted field comes back, a 'recovery' notice follows
+ *
+ * Fields a source has never had for a mountain (no parks at Magic) are never
+ * alerted on, and neither is new snow (DRIFT_IGNORED) — null there often just
+ * means nothing fell. A source a run didn't use (?source=resort) keeps its state.
+ * State per mountain and source lives in storage under drift_v2:
+ *   { [id]: { [source]: { [field]: { nullRuns, lastNullDay, lastValue, lastSeenAt, alerted } } } }
+ *
+ * Alerts go to ALERT_WEBHOOK_URL — Slack's { text } format for hooks.slack.com
+ * URLs (or ALERT_WEBHOOK_FORMAT=slack), our own JSON otherwise. Without a URL the
+ * state is still kept, so alerts start cleanly once one is configured.
+ * lib/test-alerts.js exercises the whole thing against a local webhook.
+ */
+
+const { CONDITION_FIELDS }             = require('./fields');
+const { easternClock }                 = require('./schedule');
+const { getDriftState, setDriftState } = require('./storage');
+const { postJSON, isSlack }            = require('./webhook');
+
+const DRIFT_AFTER_RUNS = parseInt(process.env.DRIFT_AFTER_RUNS, 10) || 3;
+
+// Null as often as not on a real report
+const DRIFT_IGNORED = ['newSnow24', 'newSnow48', 'newSnow7d'];
+const DRIFT_FIELDS  = CONDITION_FIELDS.filter(f => !DRIFT_IGNORED.includes(f));
+
+const SOURCE_LABELS = { snocountry: 'SnoCountry', resort: 'resort site' };
+
+/**
+ * evaluateSource — one source's record for one mountain against its field
+ * state. A null record (scraper failed, SnoCountry didn't list the mountain)
+ * counts as every field missing. Returns { fields, lost, recovered }.
+ */
+function evaluateSource(record, prev = {}, day, nowIso) {
+  const fields    = {};
+  const lost      = [];
+  const recovered = [];
+
+  DRIFT_FIELDS.forEach(field => {
+    const was   = prev[field];
+    const value = record?.[field];
+    if (value != null) {
+      if (was?.alerted) recovered.push({ field, value, nullRuns: was.nullRuns });
+      fields[field] = { nullRuns: 0, lastNullDay: null, lastValue: value, lastSeenAt: record.updatedAt || nowIso, alerted: false };
+      return;
+    }
+    if (!was) return;   // never seen — nothing to lose
+    if (was.lastNullDay === day) {
+      fields[field] = was;   // already counted today
+      return;
+    }
+
+    const next = { ...was, nullRuns: was.nullRuns + 1, lastNullDay: day };
+    if (!was.alerted && next.nullRuns >= DRIFT_AFTER_RUNS) {
+      next.alerted = true;
+      lost.push({ field, lastValue: was.lastValue, lastSeenAt: was.lastSeenAt, nullRuns: next.nullRuns });
+    }
+    fields[field] = next;
+  });
+  return { fields, lost, recovered };
+}
+
+/**
+ * evaluateDrift — fold one scrape into the drift state. Pure. `scraped` is
+ * runAllScrapers' `bySource`: [{ id, name, records: { snocountry?, resort? } }],
+ * with a key for each source the run used. Returns
+ * { state, events: [{ type: 'drift' | 'recovery', id, name, source, sourceUrl, fields }] }.
+ */
+function evaluateDrift(scraped, previousState = {}, nowIso = new Date().toISOString()) {
+  // Mountains not in this scrape keep their state untouched
+  const state  = { ...previousState };
+  const events = [];
+  const day    = easternClock(new Date(nowIso)).day;
+
+  scraped.forEach(m => {
+    const prev = previousState[m.id] || {};
+    state[m.id] = { ...prev };
+
+    Object.entries(m.records).forEach(([source, record]) => {
+      const { fields, lost, recovered } = evaluateSource(record, prev[source], day, nowIso);
+      state[m.id][source] = fields;
+
+      const base = {
+        id: m.id, name: m.name, source,
+        sourceUrl: source === 'resort' ? record?.source || null : null,
+      };
+      if (lost.length)      events.push({ type: 'drift',    ...base, fields: lost });
+      if (recovered.length) events.push({ type: 'recovery', ...base, fields: recovered });
+    });
+  });
+
+  return { state, events };
+}
+
+/** slackText — one line of Slack mrkdwn per event. */
+function slackText(event) {
+  const from = SOURCE_LABELS[event.source] || event.source;
+  const link = event.sourceUrl ? ` <${event.sourceUrl}|source>` : '';
+  if (event.type === 'drift') {
+    const fields = event.fields
+      .map(f => `${f.field} (last ${JSON.stringify(f.lastValue)} at ${f.lastSeenAt})`).join(', ');
+    return `:warning: *${event.name}* (${from}) stopped returning ${fields} for ${DRIFT_AFTER_RUNS}+ days — ${event.source === 'resort' ? 'selectors may need updating' : 'check the name match'}.${link}`;
+  }
+  const fields = event.fields.map(f => `${f.field} = ${JSON.stringify(f.value)}`).join(', ');
+  return `:white_check_mark: *${event.name}* (${from}) is returning ${fields} again.${link}`;
+}
+
+/** sendDriftEvent — POST one event to the webhook. Returns postJSON's result. */
+async function sendDriftEvent(url, event, at = new Date().toISOString()) {
+  const body = isSlack(url)
+    ? { text: slackText(event) }
+    : { event: event.type, at, mountain: { id: event.id, name: event.name }, source: event.source, sourceUrl: event.sourceUrl, fields: event.fields };
+  return postJSON(url, body);
+}
+
+/**
+ * checkDrift — load the drift state, evaluate this scrape, send any alerts and
+ * save the new state. Returns { events, sent, failed } for the scrape response.
+ */
+async function checkDrift(scraped, { url = process.env.ALERT_WEBHOOK_URL } = {}) {
+  const { state, events } = evaluateDrift(scraped, await getDriftState());
+  await setDriftState(state).catch(err => console.warn(`[drift] Could not save drift state: ${err.message}`));
+
+  let sent = 0;
+  const failed = [];
+  for (const event of events) {
+    console.warn(`[drift] ${event.type}: ${event.id} (${event.source}) — ${event.fields.map(f => f.field).join(', ')}`);
+    if (!url) continue;
+    const result = await sendDriftEvent(url, event);
+    if (result.ok) sent++;
+    else failed.push({ id: event.id, type: event.type, error: result.error });
+  }
+  return { events, sent, failed };
+}
+
+module.exports = { checkDrift, evaluateDrift, sendDriftEvent, DRIFT_AFTER_RUNS, DRIFT_IGNORED };
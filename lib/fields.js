@@ -0,0 +1,32 @@
+/**
+ * fields.js — the conditions fields every mountain record carries
+ *
+ * See lib/resort-scrapers.js for what each field means.
+ */
+
+// Everything that describes conditions — merged across sources and carried forward
+// (except the DAILY_FIELDS)
+const CONDITION_FIELDS = [
+  'base', 'summit', 'newSnow24', 'newSnow48', 'newSnow7d',
+  'trailsOpen', 'trailsTotal', 'liftsOpen', 'liftsTotal', 'parksOpen', 'parksTotal',
+  'surface', 'season', 'status',
+];
+
+// Snowfall over a trailing window and what's open right now — only true for the
+// report they came in. Yesterday's 9" or 80 trails open is wrong today, not just
+// old, so these are never carried forward (lib/carry-forward.js)
+const DAILY_FIELDS = ['newSnow24', 'newSnow48', 'newSnow7d', 'trailsOpen', 'liftsOpen', 'parksOpen'];
+
+// Only the resort's own site reports these — passed through as-is, never carried forward
+const RESORT_ONLY_FIELDS = ['forecast'];
+
+// Announced season dates (YYYY-MM-DD) — SnoCountry first, then the resort; not carried forward
+const SCHEDULE_FIELDS = ['openingDate', 'closingDate'];
+
+// The subset that is a number (inches or counts) — sortable and range-checkable
+const NUMERIC_FIELDS = [
+  'base', 'summit', 'newSnow24', 'newSnow48', 'newSnow7d',
+  'trailsOpen', 'trailsTotal', 'liftsOpen', 'liftsTotal', 'parksOpen', 'parksTotal', 'season',
+];
+
+module.exports = { CONDITION_FIELDS, DAILY_FIELDS, NUMERIC_FIELDS, RESORT_ONLY_FIELDS, SCHEDULE_FIELDS };
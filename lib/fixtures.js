@@ -0,0 +1,116 @@
+/**
+ * fixtures.js — record/replay layer under every HTTP request the scrapers make
+ *
+ * scraper-helpers (fetchPage / fetchJSON / fetchHTML) and SnoCountry's fetchState
+ * both go through lib/http.js, whose underlying fetch is `withFixtures(fetch)`.
+ * The FIXTURES env var picks the mode:
+ *
+ *   (unset)   — plain network, nothing recorded
+ *   record    — hit the network and save each response to fixtures/http/
+ *   replay    — never touch the network; answer from fixtures/http/ and fail
+ *               loudly (missingFixtures) for anything not recorded
+ *
+ * One JSON file per URL: { url, status, contentType, body, recordedAt }.
+ * The SnoCountry apiKey is stripped from URLs before they're used as keys or
+ * written to disk. FIXTURES_DIR overrides the default ./fixtures directory.
+ *
+ * lib/test-fixtures.js drives this: record once, then replay every scraper and
+ * compare against golden output after each refactor.
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { Response } = require('node-fetch');
+
+// URL query parameters never written to fixtures
+const SECRET_PARAMS = ['apiKey', 'apikey', 'key', 'token'];
+
+const missing = [];
+
+function fixturesDir() {
+  return process.env.FIXTURES_DIR || path.join(__dirname, '..', 'fixtures');
+}
+
+function mode() {
+  return (process.env.FIXTURES || '').toLowerCase();
+}
+
+/** fixtureUrl — the URL with secret query parameters removed. */
+function fixtureUrl(url) {
+  try {
+    const u = new URL(url);
+    SECRET_PARAMS.forEach(p => u.searchParams.delete(p));
+    return u.toString();
+  } catch {
+    return String(url);
+  }
+}
+
+/** fixtureFile — where the response for a URL is kept, e.g. http/www.stowe.com_the-mountain-1a2b3c4d.json */
+function fixtureFile(url) {
+  const clean = fixtureUrl(url);
+  const hash  = crypto.createHash('sha1').update(clean).digest('hex').slice(0, 8);
+  let slug;
+  try {
+    const u = new URL(clean);
+    slug = (u.hostname + u.pathname).replace(/[^a-zA-Z0-9.-]+/g, '_').replace(/_+$/, '').slice(0, 80);
+  } catch {
+    slug = 'url';
+  }
+  return path.join(fixturesDir(), 'http', `${slug}-${hash}.json`);
+}
+
+async function record(fetch, url, options) {
+  const res  = await fetch(url, options);
+  const body = await res.text();
+  const file = fixtureFile(url);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    url:         fixtureUrl(url),
+    status:      res.status,
+    contentType: res.headers.get('content-type'),
+    body,
+    recordedAt:  new Date().toISOString(),
+  }, null, 2));
+  return new Response(body, { status: res.status, headers: res.headers });
+}
+
+function replay(url) {
+  const file = fixtureFile(url);
+  if (!fs.existsSync(file)) {
+    missing.push(fixtureUrl(url));
+    const err = new Error(`No fixture for ${fixtureUrl(url)} (run lib/test-fixtures.js --record)`);
+    err.code  = 'ENOFIXTURE';
+    throw err;
+  }
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return new Response(saved.body, {
+    status:  saved.status,
+    headers: saved.contentType ? { 'Content-Type': saved.contentType } : {},
+  });
+}
+
+/**
+ * withFixtures — wrap a fetch function so it records or replays according to
+ * FIXTURES. The mode is read on every call, so a script can set it after the
+ * scrapers have been required.
+ */
+function withFixtures(fetch) {
+  return async function fixtureFetch(url, options) {
+    if (mode() === 'replay') return replay(url);
+    if (mode() === 'record') return record(fetch, url, options);
+    return fetch(url, options);
+  };
+}
+
+/** missingFixtures — URLs replay was asked for but had no fixture, since the last reset. */
+function missingFixtures() {
+  return missing.slice();
+}
+
+function resetMissingFixtures() {
+  missing.length = 0;
+}
+
+module.exports = { withFixtures, fixtureFile, fixtureUrl, fixturesDir, missingFixtures, resetMissingFixtures };
@@ -0,0 +1,262 @@
+/**
+ * formats.js — the non-JSON renderings of a mountain list
+ *
+ * /api/conditions answers in any of these, picked by ?format= or, failing that,
+ * the Accept header (see negotiate). Every format takes the same normalized
+ * records (registry fields merged in, lib/query.js filters already applied):
+ *
+ *   csv     — one row per mountain; columns are ?fields= or CSV_COLUMNS
+ *   rss     — RSS 2.0, one item per mountain's latest report
+ *   atom    — the same feed as Atom 1.0
+ *   geojson — a FeatureCollection of Points (lon, lat); properties honour ?fields=
+ *   ics     — an iCalendar feed of announced opening and closing days
+ */
+
+const { CONDITION_FIELDS } = require('./fields');
+
+const SITE_URL = process.env.ALLOWED_ORIGIN || 'https://njskihaus.com';
+const TITLE    = 'NJ Ski Haus — mountain conditions';
+
+const CONTENT_TYPES = {
+  json:    'application/json',
+  csv:     'text/csv; charset=utf-8',
+  rss:     'application/rss+xml; charset=utf-8',
+  atom:    'application/atom+xml; charset=utf-8',
+  geojson: 'application/geo+json',
+  ics:     'text/calendar; charset=utf-8',
+};
+const FORMATS = Object.keys(CONTENT_TYPES);
+
+// Accept header media types → format
+const MEDIA_TYPES = {
+  'application/json':     'json',
+  'text/csv':             'csv',
+  'application/rss+xml':  'rss',
+  'application/atom+xml': 'atom',
+  'application/geo+json': 'geojson',
+  'text/calendar':        'ics',
+};
+
+const CSV_COLUMNS = [
+  'id', 'name', 'state', 'region', 'pass', 'lat', 'lon',
+  ...CONDITION_FIELDS, 'openingDate', 'closingDate', 'updatedAt', 'source',
+];
+
+/**
+ * negotiate — the format for a request: ?format= if given, else the first
+ * Accept media type we speak (by q-value), else json.
+ * Returns { format } or { error } for an unknown ?format=.
+ */
+function negotiate(params = {}, accept = '') {
+  if (params.format) {
+    const format = String(params.format).toLowerCase();
+    return FORMATS.includes(format) ? { format } : { error: `Invalid ?format= — use one of ${FORMATS.join(', ')}` };
+  }
+
+  const ranked = String(accept).split(',')
+    .map((part, i) => {
+      const [type, ...opts] = part.trim().toLowerCase().split(';');
+      const q = opts.map(o => o.trim()).find(o => o.startsWith('q='));
+      return { type: type.trim(), q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter(t => MEDIA_TYPES[t.type] && t.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  return { format: ranked.length ? MEDIA_TYPES[ranked[0].type] : 'json' };
+}
+
+// ?fields= as a column list — 'id' always first, as in lib/query.js project()
+const withId = fields => (fields ? ['id', ...fields.filter(f => f !== 'id')] : null);
+
+// ── CSV ──
+
+function csvCell(value) {
+  if (value == null) return '';
+  const s = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** toCSV — header row plus one row per mountain (RFC 4180, CRLF line ends). */
+function toCSV(mountains, { fields } = {}) {
+  const columns = withId(fields) || CSV_COLUMNS;
+  const rows    = mountains.map(m => columns.map(c => csvCell(m[c])).join(','));
+  return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// ── RSS / Atom ──
+
+function escapeXML(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+const inches = v => (v == null ? '—' : `${v}"`);
+
+// The first of `values` that's a parseable time, else now — an unreadable
+// updatedAt must not throw (toISOString) or print "Invalid Date" in a feed
+function feedDate(...values) {
+  const date = values.filter(v => v != null && v !== '').map(v => new Date(v)).find(d => !Number.isNaN(d.getTime()));
+  return date || new Date();
+}
+
+function headline(m) {
+  return m.newSnow24 > 0 ? `${m.name}: ${m.newSnow24}" new snow` : `${m.name}: ${m.status || 'conditions'}`;
+}
+
+function summary(m) {
+  return `${m.status || 'Status unknown'}. Base ${inches(m.base)}, new snow ${inches(m.newSnow24)} ` +
+    `(48h ${inches(m.newSnow48)}), trails ${m.trailsOpen ?? '—'}/${m.trailsTotal ?? '—'}` +
+    (m.surface ? `, ${m.surface}.` : '.');
+}
+
+const itemLink = m => (/^https?:\/\//.test(m.source || '') ? m.source : `${SITE_URL}/?mountain=${m.id}`);
+// Changes whenever the mountain reports again, so readers see each report as new
+const itemId   = m => `${SITE_URL}/?mountain=${m.id}#${m.updatedAt || ''}`;
+
+/** toRSS — an RSS 2.0 feed with one item per mountain. */
+function toRSS(mountains, { scrapedAt } = {}) {
+  const items = mountains.map(m => `    <item>
+      <title>${escapeXML(headline(m))}</title>
+      <link>${escapeXML(itemLink(m))}</link>
+      <guid isPermaLink="false">${escapeXML(itemId(m))}</guid>
+      <pubDate>${feedDate(m.updatedAt, scrapedAt).toUTCString()}</pubDate>
+      <description>${escapeXML(summary(m))}</description>
+    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeXML(TITLE)}</title>
+    <link>${escapeXML(SITE_URL)}</link>
+    <description>Daily snow and trail conditions for NJ, NY, PA, New England and Canada</description>
+    <lastBuildDate>${feedDate(scrapedAt).toUTCString()}</lastBuildDate>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+/** toAtom — the same feed as Atom 1.0. */
+function toAtom(mountains, { scrapedAt } = {}) {
+  const updated = feedDate(scrapedAt).toISOString();
+  const entries = mountains.map(m => `  <entry>
+    <title>${escapeXML(headline(m))}</title>
+    <link href="${escapeXML(itemLink(m))}"/>
+    <id>${escapeXML(itemId(m))}</id>
+    <updated>${feedDate(m.updatedAt, scrapedAt).toISOString()}</updated>
+    <summary>${escapeXML(summary(m))}</summary>
+  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXML(TITLE)}</title>
+  <link href="${escapeXML(SITE_URL)}"/>
+  <id>${escapeXML(SITE_URL)}/</id>
+  <updated>${updated}</updated>
+  <author><name>NJ Ski Haus</name></author>
+${entries}
+</feed>
+`;
+}
+
+// ── GeoJSON ──
+
+/**
+ * toGeoJSON — a FeatureCollection with a Point per mountain. Mountains without
+ * registry coordinates are left out.
+ */
+function toGeoJSON(mountains, { fields, scrapedAt } = {}) {
+  const keep = withId(fields);
+  return {
+    type:     'FeatureCollection',
+    features: mountains
+      .filter(m => Number.isFinite(m.lat) && Number.isFinite(m.lon))
+      .map(m => {
+        const properties = {};
+        (keep || Object.keys(m)).forEach(f => {
+          if (f in m && f !== 'lat' && f !== 'lon') properties[f] = m[f];
+        });
+        return { type: 'Feature', id: m.id, geometry: { type: 'Point', coordinates: [m.lon, m.lat] }, properties };
+      }),
+    scrapedAt,
+  };
+}
+
+// ── iCalendar ──
+
+function icsText(s) {
+  return String(s ?? '').replace(/[\\;,]/g, c => `\\${c}`).replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 §3.1 — lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const bytes = Buffer.from(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start ? 74 : 75), bytes.length);
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--; // don't split a UTF-8 character
+    parts.push(bytes.subarray(start, end).toString());
+    start = end;
+  }
+  return parts.join('\r\n ');
+}
+
+const icsDate  = day => day.replace(/-/g, '');
+const icsStamp = iso => feedDate(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+function nextDay(day) {
+  const d = new Date(`${day}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * toICS — all-day events for each mountain's announced openingDate and
+ * closingDate. Event UIDs are stable per mountain and day, so a calendar that
+ * re-fetches the feed updates rather than duplicates them.
+ */
+function toICS(mountains, { scrapedAt } = {}) {
+  const host  = new URL(SITE_URL).host;
+  const stamp = icsStamp(scrapedAt);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//NJ Ski Haus//Mountain Conditions//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText('NJ Ski Haus — opening & closing days')}`,
+  ];
+
+  mountains.forEach(m => {
+    [['openingDate', 'opening day'], ['closingDate', 'closing day']].forEach(([field, label]) => {
+      const day = m[field];
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(day || '')) return;
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${m.id}-${field}-${day}@${host}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(day)}`,
+        `DTEND;VALUE=DATE:${icsDate(nextDay(day))}`,
+        `SUMMARY:${icsText(`${m.name} ${label}`)}`,
+        `URL:${itemLink(m)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT',
+      );
+    });
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+const RENDERERS = { csv: toCSV, rss: toRSS, atom: toAtom, geojson: toGeoJSON, ics: toICS };
+
+/**
+ * render — one of the non-JSON formats. `options` are { fields, scrapedAt };
+ * returns a string, or an object for geojson.
+ */
+function render(format, mountains, options = {}) {
+  return RENDERERS[format](mountains, options);
+}
+
+module.exports = { FORMATS, CONTENT_TYPES, negotiate, render };
@@ -0,0 +1,55 @@
+/**
+ * freshness.js — how old the conditions being served are
+ *
+ * Mountain records are stored with no expiry (see lib/storage.js), so when the
+ * cron has been failing the API still has something to show. How much to trust it:
+ *
+ *   fresh    — scraped within DATA_STALE_AFTER_HOURS (default 26: one daily
+ *              cron plus slack)
+ *   stale    — older than that, up to DATA_EXPIRED_AFTER_HOURS (default 168)
+ *   expired  — older still; served anyway, the site decides what to show
+ *
+ * Stale and expired responses get a Warning header, and every mountain an
+ * `ageHours` since its own report, so the site can say "conditions as of Tuesday".
+ */
+
+const STALE_AFTER_HOURS   = parseFloat(process.env.DATA_STALE_AFTER_HOURS)   || 26;
+const EXPIRED_AFTER_HOURS = parseFloat(process.env.DATA_EXPIRED_AFTER_HOURS) || 24 * 7;
+
+/** hoursSince — hours from an ISO time to nowMs, one decimal, or null if unparseable. */
+function hoursSince(iso, nowMs = Date.now()) {
+  const t = Date.parse(iso);
+  return Number.isNaN(t) ? null : Math.round((nowMs - t) / 360000) / 10;
+}
+
+/**
+ * freshness — { status, ageHours, asOf } for a stored payload (or its meta),
+ * aged from when it was scraped — for a payload, its least recently scraped mountain.
+ */
+function freshness(payload, nowMs = Date.now()) {
+  const asOf     = payload.scrapedAt || payload.storedAt || null;
+  const ageHours = hoursSince(asOf, nowMs);
+  const status   = ageHours == null || ageHours > EXPIRED_AFTER_HOURS ? 'expired'
+    : ageHours > STALE_AFTER_HOURS ? 'stale'
+    : 'fresh';
+  return { status, ageHours, asOf };
+}
+
+/**
+ * warningHeader — the Warning header for a stale or expired response, or null.
+ * 110 is HTTP's "Response is Stale"; expired data uses the miscellaneous 199.
+ */
+function warningHeader({ status, ageHours, asOf }) {
+  if (status === 'fresh') return null;
+  const since = asOf ? new Date(asOf).toUTCString() : 'unknown';
+  return status === 'stale'
+    ? `110 - "Response is Stale: conditions are ${Math.round(ageHours)} hours old (as of ${since})"`
+    : `199 - "Conditions expired: last successful scrape ${since}"`;
+}
+
+/** withAge — a mountain record plus ageHours since its report (updatedAt). */
+function withAge(m, nowMs = Date.now()) {
+  return { ...m, ageHours: hoursSince(m.updatedAt, nowMs) };
+}
+
+module.exports = { freshness, warningHeader, withAge, hoursSince, STALE_AFTER_HOURS, EXPIRED_AFTER_HOURS };
@@ -0,0 +1,258 @@
+/**
+ * http.js — the one fetch every scraper request goes through
+ *
+ * The daily run used to fire every scraper and fallback at once with a single
+ * attempt each, which got us rate-limited. httpFetch adds:
+ *
+ *   - Per-host concurrency — at most MAX_PER_HOST requests in flight to one host;
+ *     the rest queue
+ *   - Retries — up to MAX_RETRIES more attempts on timeouts, network errors, 429
+ *     and 5xx, with jittered exponential backoff. A Retry-After header is honoured
+ *     when it's no longer than MAX_RETRY_AFTER_MS; past that we give up for this run.
+ *   - Circuit breaker — a host that failed in BREAKER_THRESHOLD runs in a row is
+ *     skipped (CircuitOpenError, no request made) for BREAKER_COOLDOWN_HOURS, then
+ *     tried again. A run with any success resets it. Network errors, 5xx and any
+ *     4xx but 404 are failures — a 403 from a bot wall is as down as a 503.
+ *
+ * Breaker state lives in memory for one run; runAllScrapers loads it from
+ * storage with restoreBreakers() and saves finishRun()'s result afterwards so it
+ * carries across serverless invocations.
+ *
+ * Responses come back as-is (non-2xx included) once retries are exhausted;
+ * callers still check res.ok.
+ *
+ * withRequestLog(fn) records every request fn makes (url, status, error, time) so
+ * the run log can say why a scraper failed even when the scraper swallowed it.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const { withFixtures, fixtureUrl } = require('./fixtures');
+
+// Record/replay-aware (see lib/fixtures.js) — plain node-fetch unless FIXTURES is set
+const fetch = withFixtures(require('node-fetch'));
+
+const TIMEOUT_MS         = 15000;
+const MAX_PER_HOST       = parseInt(process.env.HTTP_MAX_PER_HOST, 10) || 2;
+const MAX_RETRIES        = 2;
+const BACKOFF_BASE_MS    = 1000;
+const MAX_RETRY_AFTER_MS = 30000;
+
+const BREAKER_THRESHOLD      = 3;
+const BREAKER_COOLDOWN_HOURS = parseFloat(process.env.BREAKER_COOLDOWN_HOURS) || 48;
+
+class CircuitOpenError extends Error {
+  constructor(host, until) {
+    super(`Circuit open for ${host} until ${until} — skipped`);
+    this.name = 'CircuitOpenError';
+    this.host = host;
+    this.until = until;
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return String(url);
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ── Per-host concurrency ──
+const slots = new Map();   // host → { active, queue: [resolve] }
+
+async function acquire(host) {
+  const slot = slots.get(host) || { active: 0, queue: [] };
+  slots.set(host, slot);
+  if (slot.active < MAX_PER_HOST) {
+    slot.active++;
+    return;
+  }
+  await new Promise(resolve => slot.queue.push(resolve));
+}
+
+function release(host) {
+  const slot = slots.get(host);
+  const next = slot.queue.shift();
+  if (next) next();          // hand the slot straight to the next waiter
+  else slot.active--;
+}
+
+// ── Circuit breaker ──
+// host → { failedRuns, openUntil, lastError }, persisted across runs
+let breakers = {};
+// host → { ok, failed } for the current run
+const thisRun = new Map();
+
+function runStats(host) {
+  if (!thisRun.has(host)) thisRun.set(host, { ok: 0, failed: 0, lastError: null });
+  return thisRun.get(host);
+}
+
+/** restoreBreakers — load breaker state saved by a previous run. */
+function restoreBreakers(state) {
+  breakers = { ...(state || {}) };
+  thisRun.clear();
+}
+
+/**
+ * finishRun — fold this run's results into the breaker state and return it for
+ * storage. A host counts as failed for the run only if nothing it served worked.
+ */
+function finishRun(nowMs = Date.now()) {
+  thisRun.forEach((run, host) => {
+    const prev = breakers[host] || { failedRuns: 0, openUntil: null, lastError: null };
+    if (run.ok > 0) {
+      delete breakers[host];
+      return;
+    }
+    const failedRuns = prev.failedRuns + 1;
+    breakers[host] = {
+      failedRuns,
+      openUntil: failedRuns >= BREAKER_THRESHOLD
+        ? new Date(nowMs + BREAKER_COOLDOWN_HOURS * 3600 * 1000).toISOString()
+        : null,
+      lastError: run.lastError,
+    };
+  });
+  thisRun.clear();
+  return { ...breakers };
+}
+
+function circuitOpen(host, nowMs = Date.now()) {
+  const b = breakers[host];
+  return !!(b?.openUntil && Date.parse(b.openUntil) > nowMs);
+}
+
+// ── Request log ──
+const requestLog = new AsyncLocalStorage();
+
+function logRequest(entry) {
+  requestLog.getStore()?.push(entry);
+}
+
+/**
+ * withRequestLog — run fn and collect the requests it made through httpFetch.
+ * Never throws: returns { value, requests } or { error, requests }.
+ */
+async function withRequestLog(fn) {
+  const requests = [];
+  try {
+    return { value: await requestLog.run(requests, fn), requests };
+  } catch (error) {
+    return { error, requests };
+  }
+}
+
+// ── Retries ──
+function retryable(res) {
+  return res.status === 429 || res.status >= 500;
+}
+
+// A 404 is a moved page, not a host that's down
+function hostFailed(res) {
+  return res.status >= 400 && res.status !== 404;
+}
+
+// Let go of a response we won't read, so its connection isn't held open
+function discard(res) {
+  const body = res.body;
+  if (typeof body?.cancel === 'function') body.cancel().catch(() => {});
+  else if (typeof body?.resume === 'function') body.resume();
+}
+
+/** retryAfterMs — Retry-After as milliseconds (delta-seconds or HTTP date), or null. */
+function retryAfterMs(res) {
+  const header = res.headers?.get('retry-after');
+  if (!header) return null;
+  const secs = Number(header);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// Full jitter: anywhere between 0 and base * 2^attempt
+function backoffMs(attempt) {
+  return Math.random() * BACKOFF_BASE_MS * 2 ** attempt;
+}
+
+async function attempt(url, options) {
+  const controller = new AbortController();
+  const timeout    = setTimeout(() => controller.abort(), options.timeout || TIMEOUT_MS);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * httpFetch — fetch with per-host queueing, retries and the circuit breaker.
+ * Same arguments as node-fetch, plus `options.timeout` (ms per attempt).
+ * Throws CircuitOpenError for a host that's being skipped, or the last network
+ * error once retries run out.
+ */
+async function httpFetch(url, options = {}) {
+  const host  = hostOf(url);
+  const start = Date.now();
+  const log   = (status, error, attempts) => logRequest({
+    url: fixtureUrl(url), status, error, attempts, ms: Date.now() - start,
+  });
+
+  if (circuitOpen(host)) {
+    const err = new CircuitOpenError(host, breakers[host].openUntil);
+    log(null, err.message, 0);
+    throw err;
+  }
+
+  const stats = runStats(host);
+  await acquire(host);
+  try {
+    for (let i = 0; ; i++) {
+      let res;
+      try {
+        res = await attempt(url, options);
+      } catch (e) {
+        // A missing replay fixture won't appear on a retry
+        if (i >= MAX_RETRIES || e.code === 'ENOFIXTURE') {
+          stats.failed++;
+          stats.lastError = e.name === 'AbortError' ? 'timeout' : e.message;
+          log(null, stats.lastError, i + 1);
+          throw e;
+        }
+        await sleep(backoffMs(i));
+        continue;
+      }
+
+      if (!retryable(res)) {
+        if (hostFailed(res)) {
+          stats.failed++;
+          stats.lastError = `HTTP ${res.status}`;
+        } else {
+          stats.ok++;
+        }
+        log(res.status, res.ok ? null : `HTTP ${res.status}`, i + 1);
+        return res;
+      }
+      const wait = retryAfterMs(res);
+      if (i >= MAX_RETRIES || (wait != null && wait > MAX_RETRY_AFTER_MS)) {
+        stats.failed++;
+        stats.lastError = `HTTP ${res.status}`;
+        log(res.status, stats.lastError, i + 1);
+        return res;
+      }
+      discard(res);
+      await sleep(wait ?? backoffMs(i));
+    }
+  } finally {
+    release(host);
+  }
+}
+
+module.exports = {
+  httpFetch, CircuitOpenError, withRequestLog,
+  restoreBreakers, finishRun, circuitOpen,
+  MAX_PER_HOST, MAX_RETRIES, BREAKER_THRESHOLD, BREAKER_COOLDOWN_HOURS,
+};
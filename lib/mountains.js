@@ -0,0 +1,303 @@
+/**
+ * mountains.js — the mountain registry
+ *
+ * Every mountain we cover is listed here exactly once. The scrapers, the CLI
+ * tools and the API all read from this list — to add a mountain, add an entry
+ * here and a scraper keyed by the same id in lib/resort-scrapers.js.
+ *
+ * Entry shape:
+ * {
+ *   id:         string   — stable slug used in URLs and storage keys ('killington')
+ *   name:       string   — display name shown on the site cards ('KILLINGTON')
+ *   state:      string   — SnoCountry state/province code ('VT', 'QC', ...)
+ *   region:     string   — site grouping: nj | vt | ny | pa | ne | ca
+ *   snocountry: string[] — resort_name values SnoCountry has used for this mountain
+ *   scrape:     object   — URLs the resort scraper reads ({ url, fallbackUrl? })
+ *   lat, lon:   number   — summit-area coordinates (decimal degrees)
+ *   pass:       string   — 'epic' | 'ikon' | 'indy' | null
+ *   reportWindow: string — optional 'HH:MM-HH:MM' Eastern, when the morning report
+ *                          usually lands; otherwise lib/schedule.js learns it
+ * }
+ */
+
+const MOUNTAINS = [
+  // ── New Jersey ──
+  {
+    id: 'mountain-creek', name: 'MOUNTAIN CREEK', state: 'NJ', region: 'nj',
+    snocountry: ['Mountain Creek'],
+    scrape: { url: 'https://www.mountaincreek.com/mountain/snow-report' },
+    lat: 41.1912, lon: -74.5074, pass: null,
+  },
+
+  // ── Vermont ──
+  {
+    id: 'killington', name: 'KILLINGTON', state: 'VT', region: 'vt',
+    snocountry: ['Killington Resort', 'Killington'],
+    scrape: {
+      url:         'https://www.killington.com/api/resort-stats',
+      fallbackUrl: 'https://www.killington.com/the-mountain/snow-report',
+    },
+    lat: 43.6045, lon: -72.8201, pass: 'ikon',
+  },
+  {
+    id: 'stowe', name: 'STOWE', state: 'VT', region: 'vt',
+    snocountry: ['Stowe Mountain Resort', 'Stowe'],
+    scrape: { url: 'https://www.stowe.com/the-mountain/mountain-report.aspx' },
+    lat: 44.5303, lon: -72.7814, pass: 'epic',
+  },
+  {
+    id: 'stratton', name: 'STRATTON', state: 'VT', region: 'vt',
+    snocountry: ['Stratton Mountain', 'Stratton'],
+    scrape: { url: 'https://www.stratton.com/the-mountain/mountain-report.aspx' },
+    lat: 43.1134, lon: -72.9081, pass: 'ikon',
+  },
+  {
+    id: 'sugarbush', name: 'SUGARBUSH', state: 'VT', region: 'vt',
+    snocountry: ['Sugarbush Resort', 'Sugarbush'],
+    scrape: { url: 'https://www.sugarbush.com/mountain-info/mountain-report/' },
+    lat: 44.1359, lon: -72.8944, pass: 'ikon',
+  },
+  {
+    id: 'pico', name: 'PICO MTN', state: 'VT', region: 'vt',
+    snocountry: ['Pico Mountain', 'Pico'],
+    scrape: { url: 'https://www.picomountain.com/the-mountain/snow-report' },
+    lat: 43.6617, lon: -72.8426, pass: 'ikon',
+  },
+  {
+    id: 'okemo', name: 'OKEMO', state: 'VT', region: 'vt',
+    snocountry: ['Okemo Mountain Resort', 'Okemo'],
+    scrape: { url: 'https://www.okemo.com/the-mountain/mountain-report.aspx' },
+    lat: 43.4018, lon: -72.7170, pass: 'epic',
+  },
+  {
+    id: 'mount-snow', name: 'MOUNT SNOW', state: 'VT', region: 'vt',
+    snocountry: ['Mount Snow'],
+    scrape: { url: 'https://www.mountsnow.com/the-mountain/mountain-report.aspx' },
+    lat: 42.9602, lon: -72.9204, pass: 'epic',
+  },
+  {
+    id: 'jay-peak', name: 'JAY PEAK', state: 'VT', region: 'vt',
+    snocountry: ['Jay Peak', 'Jay Peak Resort'],
+    scrape: { url: 'https://jaypeakresort.com/mountain-report' },
+    lat: 44.9379, lon: -72.5045, pass: 'indy',
+  },
+  {
+    id: 'burke', name: 'BURKE MTN', state: 'VT', region: 'vt',
+    snocountry: ['Burke Mountain'],
+    scrape: { url: 'https://skiburke.com/mountain/conditions/' },
+    lat: 44.5870, lon: -71.9192, pass: 'indy',
+  },
+  {
+    id: 'bolton-valley', name: 'BOLTON VALLEY', state: 'VT', region: 'vt',
+    snocountry: ['Bolton Valley', 'Bolton Valley Resort'],
+    scrape: { url: 'https://www.boltonvalley.com/conditions/' },
+    lat: 44.4217, lon: -72.8497, pass: 'indy',
+  },
+  {
+    id: 'magic', name: 'MAGIC MTN', state: 'VT', region: 'vt',
+    snocountry: ['Magic Mountain'],
+    scrape: { url: 'https://www.magicmtn.com/conditions/' },
+    lat: 43.2016, lon: -72.7727, pass: 'indy',
+  },
+
+  // ── New York ──
+  {
+    id: 'hunter', name: 'HUNTER MTN', state: 'NY', region: 'ny',
+    snocountry: ['Hunter Mountain'],
+    scrape: { url: 'https://www.huntermtn.com/the-mountain/mountain-report.aspx' },
+    lat: 42.2029, lon: -74.2305, pass: 'epic',
+  },
+  {
+    id: 'whiteface', name: 'WHITEFACE', state: 'NY', region: 'ny',
+    snocountry: ['Whiteface Mountain', 'Whiteface'],
+    scrape: { url: 'https://www.whiteface.com/mountain-report' },
+    lat: 44.3659, lon: -73.9026, pass: null,
+  },
+  {
+    id: 'gore', name: 'GORE MTN', state: 'NY', region: 'ny',
+    snocountry: ['Gore Mountain', 'Gore'],
+    scrape: { url: 'https://www.goremountain.com/mountain-report' },
+    lat: 43.6726, lon: -74.0064, pass: null,
+  },
+  {
+    id: 'belleayre', name: 'BELLEAYRE', state: 'NY', region: 'ny',
+    snocountry: ['Belleayre Mountain', 'Belleayre'],
+    scrape: { url: 'https://www.belleayre.com/mountain-report' },
+    lat: 42.1334, lon: -74.5017, pass: null,
+  },
+  {
+    id: 'catamount', name: 'CATAMOUNT', state: 'NY', region: 'ny',
+    snocountry: ['Catamount'],
+    scrape: { url: 'https://www.catamountski.com/mountain-report/' },
+    lat: 42.1712, lon: -73.4776, pass: 'indy',
+  },
+  {
+    id: 'greek-peak', name: 'GREEK PEAK', state: 'NY', region: 'ny',
+    snocountry: ['Greek Peak Mountain Resort', 'Greek Peak'],
+    scrape: { url: 'https://www.greekpeak.net/mountain-report/' },
+    lat: 42.5087, lon: -76.1447, pass: 'indy',
+  },
+  {
+    id: 'west-mountain', name: 'WEST MTN', state: 'NY', region: 'ny',
+    snocountry: ['West Mountain'],
+    scrape: { url: 'https://www.westmtn.net/conditions/' },
+    lat: 43.2857, lon: -73.7288, pass: 'indy',
+  },
+
+  // ── Eastern Pennsylvania ──
+  {
+    id: 'camelback', name: 'CAMELBACK', state: 'PA', region: 'pa',
+    snocountry: ['Camelback Mountain Resort', 'Camelback'],
+    scrape: { url: 'https://www.camelbackresort.com/ski-snow/conditions/' },
+    lat: 41.0526, lon: -75.3552, pass: 'ikon',
+  },
+  {
+    id: 'blue-mountain-pa', name: 'BLUE MTN PA', state: 'PA', region: 'pa',
+    snocountry: ['Blue Mountain', 'Blue Mountain Resort'],
+    scrape: { url: 'https://www.skibluemt.com/mountain/conditions/' },
+    lat: 40.8101, lon: -75.5135, pass: null,
+  },
+  {
+    id: 'shawnee', name: 'SHAWNEE MTN', state: 'PA', region: 'pa',
+    snocountry: ['Shawnee Mountain'],
+    scrape: { url: 'https://www.shawneemt.com/mountain/conditions/' },
+    lat: 41.0381, lon: -75.0829, pass: 'epic',
+  },
+
+  // ── New Hampshire & Maine ──
+  {
+    id: 'sunday-river', name: 'SUNDAY RIVER', state: 'ME', region: 'ne',
+    snocountry: ['Sunday River', 'Sunday River Resort'],
+    scrape: { url: 'https://www.sundayriver.com/the-mountain/mountain-report.aspx' },
+    lat: 44.4734, lon: -70.8567, pass: 'ikon',
+  },
+  {
+    id: 'sugarloaf', name: 'SUGARLOAF', state: 'ME', region: 'ne',
+    snocountry: ['Sugarloaf', 'Sugarloaf Mountain'],
+    scrape: { url: 'https://www.sugarloaf.com/the-mountain/mountain-report.aspx' },
+    lat: 45.0314, lon: -70.3131, pass: 'ikon',
+  },
+  {
+    id: 'saddleback', name: 'SADDLEBACK', state: 'ME', region: 'ne',
+    snocountry: ['Saddleback Maine', 'Saddleback Mountain', 'Saddleback'],
+    scrape: { url: 'https://www.saddlebackmaine.com/conditions/' },
+    lat: 44.9362, lon: -70.5045, pass: 'indy',
+  },
+  {
+    id: 'loon', name: 'LOON MTN', state: 'NH', region: 'ne',
+    snocountry: ['Loon Mountain', 'Loon Mountain Resort'],
+    scrape: { url: 'https://www.loonmtn.com/the-mountain/mountain-report.aspx' },
+    lat: 44.0363, lon: -71.6214, pass: 'ikon',
+  },
+  {
+    id: 'attitash', name: 'ATTITASH', state: 'NH', region: 'ne',
+    snocountry: ['Attitash', 'Attitash Mountain Resort'],
+    scrape: { url: 'https://www.attitash.com/the-mountain/mountain-report.aspx' },
+    lat: 44.0826, lon: -71.2293, pass: 'epic',
+  },
+  {
+    id: 'wildcat', name: 'WILDCAT', state: 'NH', region: 'ne',
+    snocountry: ['Wildcat Mountain', 'Wildcat'],
+    scrape: { url: 'https://www.skiwildcat.com/the-mountain/mountain-report.aspx' },
+    lat: 44.2640, lon: -71.2393, pass: 'epic',
+  },
+  {
+    id: 'cannon', name: 'CANNON MTN', state: 'NH', region: 'ne',
+    snocountry: ['Cannon Mountain'],
+    scrape: { url: 'https://www.cannonmt.com/mountain-report/' },
+    lat: 44.1565, lon: -71.6984, pass: 'indy',
+  },
+  {
+    id: 'waterville-valley', name: 'WATERVILLE VLY', state: 'NH', region: 'ne',
+    snocountry: ['Waterville Valley', 'Waterville Valley Resort'],
+    scrape: { url: 'https://www.waterville.com/mountain-report/' },
+    lat: 43.9651, lon: -71.5273, pass: null,
+  },
+
+  // ── Canada ──
+  {
+    id: 'tremblant', name: 'MONT-TREMBLANT', state: 'QC', region: 'ca',
+    snocountry: ['Mont-Tremblant', 'Tremblant'],
+    scrape: {
+      url:         'https://www.tremblant.ca/api/mountain-conditions',
+      fallbackUrl: 'https://www.tremblant.ca/en/ski/conditions',
+    },
+    lat: 46.2098, lon: -74.5850, pass: 'ikon',
+  },
+  {
+    id: 'le-massif', name: 'LE MASSIF', state: 'QC', region: 'ca',
+    snocountry: ['Le Massif de Charlevoix', 'Le Massif'],
+    scrape: { url: 'https://www.lemassif.com/en/mountain/conditions/' },
+    lat: 47.2799, lon: -70.6198, pass: null,
+  },
+  {
+    id: 'mont-sainte-anne', name: 'MONT-STE-ANNE', state: 'QC', region: 'ca',
+    snocountry: ['Mont-Sainte-Anne', 'Mont Sainte Anne'],
+    scrape: { url: 'https://www.mont-sainte-anne.com/en/ski/conditions/' },
+    lat: 47.0755, lon: -70.9049, pass: null,
+  },
+];
+
+const REGIONS = ['nj', 'vt', 'ny', 'pa', 'ne', 'ca'];
+
+// Display names for the site's region tabs, digest sections etc.
+const REGION_NAMES = {
+  nj: 'New Jersey',
+  vt: 'Vermont',
+  ny: 'New York',
+  pa: 'Eastern Pennsylvania',
+  ne: 'New Hampshire & Maine',
+  ca: 'Canada',
+};
+
+// SnoCountry is queried per state — derived so a new state is picked up automatically
+const STATES = [...new Set(MOUNTAINS.map(m => m.state))];
+
+const byId = new Map(MOUNTAINS.map(m => [m.id, m]));
+
+/** getMountain — look up by slug id or display name (case-insensitive). */
+function getMountain(key) {
+  if (!key) return null;
+  const k = String(key).trim().toLowerCase();
+  return byId.get(k) || MOUNTAINS.find(m => m.name.toLowerCase() === k) || null;
+}
+
+/** mountainsInRegion — all mountains in a site region ('vt', 'ne', ...). */
+function mountainsInRegion(region) {
+  return MOUNTAINS.filter(m => m.region === String(region).toLowerCase());
+}
+
+/**
+ * findMountains — what the local scripts accept on the command line: a region,
+ * an exact id/name, or a fragment of either. Everything when `arg` is empty.
+ */
+function findMountains(arg) {
+  if (!arg) return MOUNTAINS;
+  const k = String(arg).trim().toLowerCase();
+  if (REGIONS.includes(k)) return mountainsInRegion(k);
+  if (getMountain(k))      return [getMountain(k)];
+  return MOUNTAINS.filter(m => m.id.includes(k) || m.name.toLowerCase().includes(k));
+}
+
+/** describe — the public registry fields for a mountain, without scraper config. */
+function describe(m) {
+  return {
+    id: m.id, name: m.name, state: m.state, region: m.region,
+    lat: m.lat, lon: m.lon, pass: m.pass,
+  };
+}
+
+/**
+ * withRegistry — attach registry metadata (state, region, coordinates, pass) to a
+ * stored conditions record. Older payloads only carry the display name, so fall
+ * back to looking that up.
+ */
+function withRegistry(record) {
+  const entry = getMountain(record.id) || getMountain(record.name);
+  return entry ? { ...describe(entry), ...record } : record;
+}
+
+module.exports = {
+  MOUNTAINS, REGIONS, REGION_NAMES, STATES,
+  getMountain, mountainsInRegion, findMountains, describe, withRegistry,
+};
@@ -0,0 +1,160 @@
+/**
+ * name-match.js — tolerant matching of SnoCountry resort names to the registry
+ *
+ * SnoCountry renames resorts without notice ("Killington" → "Killington Resort",
+ * "Mont Ste-Anne", "Mt. Snow"...). Instead of requiring an exact alias, names are
+ * normalized and scored:
+ *
+ *   1.00  exact alias from lib/mountains.js
+ *   0.95  same name after normalization (case, accents, punctuation, Mtn/Mt/Ste,
+ *         and filler words like "Resort" or "Ski Area" removed)
+ *   <0.9  fuzzy — character-bigram similarity of the normalized names, or one
+ *         name's words contained in the other's
+ *
+ * "<mountain> at <resort>" names are also scored on the part before "at".
+ *
+ * A name is matched when its best score reaches MATCH_THRESHOLD. If a second
+ * mountain scores within AMBIGUITY_MARGIN of the best, neither is used and the
+ * name is reported as ambiguous.
+ */
+
+const { MOUNTAINS } = require('./mountains');
+
+const NORMALIZED_SCORE = 0.95;
+const MATCH_THRESHOLD  = 0.8;
+const AMBIGUITY_MARGIN = 0.05;
+// Below this a mountain isn't worth listing as a candidate in the report
+const SUGGEST_THRESHOLD = 0.5;
+
+// Abbreviations expanded before comparing
+const TOKEN_ALIASES = {
+  mtn:  'mountain',
+  mt:   'mount',
+  ste:  'sainte',
+  st:   'saint',
+  vly:  'valley',
+};
+
+// Words that don't identify a mountain — "Sugarbush Resort" and "Sugarbush" are the same place
+const FILLER = new Set([
+  'the', 'and', 'of', 'de', 'du', 'resort', 'resorts', 'ski', 'area', 'center', 'centre',
+  'mountain', 'mount', 'mont', 'station',
+]);
+
+/** tokens — lowercase, accent-free, abbreviation-expanded words of a name, filler removed. */
+function tokens(name) {
+  const words = String(name || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(w => TOKEN_ALIASES[w] || w);
+  const core = words.filter(w => !FILLER.has(w));
+  // A name made entirely of filler ("The Mountain") still has to compare as something
+  return core.length ? core : words;
+}
+
+/** normalizeName — the comparison key for a resort name. */
+function normalizeName(name) {
+  return tokens(name).join(' ');
+}
+
+function bigrams(str) {
+  const s = str.replace(/ /g, '');
+  const out = [];
+  for (let i = 0; i < s.length - 1; i++) out.push(s.slice(i, i + 2));
+  return out;
+}
+
+// Sørensen–Dice coefficient on character bigrams
+function dice(a, b) {
+  const A = bigrams(a);
+  const B = bigrams(b);
+  if (!A.length || !B.length) return a === b ? 1 : 0;
+  const counts = new Map();
+  A.forEach(g => counts.set(g, (counts.get(g) || 0) + 1));
+  let shared = 0;
+  B.forEach(g => {
+    const c = counts.get(g);
+    if (c) { shared++; counts.set(g, c - 1); }
+  });
+  return (2 * shared) / (A.length + B.length);
+}
+
+// "Pico Mountain at Killington" — a mountain named after its owner's resort
+const AT_OWNER = /\s+at\s+/i;
+
+/**
+ * scoreName — confidence (0–1) that a SnoCountry name refers to a given alias.
+ * For "<mountain> at <resort>" names the part before "at" is scored too, so the
+ * owner's name doesn't outscore the mountain's own.
+ */
+function scoreName(name, alias) {
+  const head = String(name || '').split(AT_OWNER)[0];
+  return head && head !== name
+    ? Math.max(scoreWhole(head, alias), scoreWhole(name, alias))
+    : scoreWhole(name, alias);
+}
+
+function scoreWhole(name, alias) {
+  if (name === alias) return 1;
+  const a = tokens(name);
+  const b = tokens(alias);
+  const ka = a.join(' ');
+  const kb = b.join(' ');
+  if (ka === kb) return NORMALIZED_SCORE;
+
+  // One name's words all appear in the other — "Jay Peak Vermont" vs "Jay Peak".
+  // Weighted by how much of the longer name is covered, so "Blue" ≠ "Blue Knob".
+  const [small, large] = a.length <= b.length ? [a, b] : [b, a];
+  const contained = small.every(w => large.includes(w))
+    ? 0.6 + 0.3 * (small.length / large.length)
+    : 0;
+
+  return Math.min(0.9, Math.max(contained, dice(ka, kb)));
+}
+
+/**
+ * matchResort — find the registry mountain for a SnoCountry resort name.
+ * `state` (optional) restricts candidates to mountains in that state.
+ *
+ * Returns { mountain, score, ambiguous, candidates } where `mountain` is null
+ * when nothing reached the threshold or the match was ambiguous. `candidates`
+ * lists the best few mountains with their scores, best first.
+ */
+function matchResort(name, state) {
+  const pool = state ? MOUNTAINS.filter(m => m.state === state) : MOUNTAINS;
+
+  const scored = pool
+    .map(m => ({
+      mountain: m,
+      score: round(Math.max(...[m.name, ...m.snocountry].map(alias => scoreName(name, alias)))),
+    }))
+    .sort((x, y) => y.score - x.score);
+
+  const candidates = scored
+    .filter(c => c.score >= SUGGEST_THRESHOLD)
+    .slice(0, 3)
+    .map(c => ({ id: c.mountain.id, score: c.score }));
+  const [best, second] = scored;
+
+  if (!best || best.score < MATCH_THRESHOLD) {
+    return { mountain: null, score: best ? best.score : 0, ambiguous: false, candidates };
+  }
+  if (second && second.score >= MATCH_THRESHOLD && best.score - second.score < AMBIGUITY_MARGIN) {
+    return { mountain: null, score: best.score, ambiguous: true, candidates };
+  }
+  return { mountain: best.mountain, score: best.score, ambiguous: false, candidates };
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+module.exports = {
+  matchResort, normalizeName, scoreName,
+  NORMALIZED_SCORE, MATCH_THRESHOLD, AMBIGUITY_MARGIN,
+};
@@ -0,0 +1,85 @@
+/**
+ * public-url.js — keeping subscriber-supplied URLs off our own network
+ *
+ * Powder alert webhooks and browser push endpoints come from anyone on the
+ * internet, and the scrape POSTs to them. They must be https and resolve only
+ * to public addresses — checked when a subscription is saved (publicUrlError)
+ * and again on every connection (PUBLIC_ONLY's agent), so a DNS change can't
+ * point an accepted URL at 169.254.169.254 or localhost. Redirects aren't
+ * followed either: a 30x to a private address would get round both checks.
+ */
+
+const dns   = require('dns');
+const net   = require('net');
+const https = require('https');
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([net4, prefix]) => PRIVATE_RANGES.addSubnet(net4, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([net6, prefix]) => PRIVATE_RANGES.addSubnet(net6, prefix, 'ipv6'));
+
+/** isPrivateAddress — true for an IP literal we must never connect to. */
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return true;
+  return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup that fails for hosts resolving to any private address — the
+// agent's lookup, so it applies to the address actually connected to
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find(a => isPrivateAddress(a.address));
+    if (bad) return callback(new Error(`${hostname} resolves to a private address (${bad.address})`));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/** PUBLIC_ONLY — node-fetch options for a POST to a subscriber's URL. */
+const PUBLIC_ONLY = { agent: new https.Agent({ lookup: publicLookup }), redirect: 'manual' };
+
+/**
+ * publicUrlError — why `url` can't be saved as a subscriber's `what` (e.g.
+ * 'webhook'), or null: it must be https and its host must resolve, only to
+ * public addresses.
+ */
+async function publicUrlError(url, what = 'webhook') {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return `${what} must be an https URL`;
+  }
+  if (parsed.protocol !== 'https:') return `${what} must be an https URL`;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(parsed.hostname.replace(/^\[|\]$/g, ''), { all: true });
+  } catch {
+    return `${what} host ${parsed.hostname} does not resolve`;
+  }
+  if (!addresses.length || addresses.some(a => isPrivateAddress(a.address))) {
+    return `${what} must not point at a private, loopback or link-local address`;
+  }
+  return null;
+}
+
+/** isHttps — whether `url` parses and is https (what PUBLIC_ONLY needs before a POST). */
+function isHttps(url) {
+  try {
+    return new URL(url).protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { publicUrlError, isPrivateAddress, isHttps, PUBLIC_ONLY };
@@ -0,0 +1,172 @@
+/**
+ * push.js — browser push notifications for followed mountains
+ *
+ * njskihaus.com's "notify me" button subscribes through /api/push with the
+ * browser's PushSubscription and the mountains to follow:
+ *
+ *   { id, endpoint, keys: { p256dh, auth }, mountains: ['killington'],
+ *     threshold: 6, openings: true, createdAt, updatedAt }
+ *
+ * After each scrape a follower gets a push when a followed mountain's
+ * newSnow24 crosses their threshold (same once-per-storm dedupe as powder
+ * alerts, see lib/alerts.js) or, with `openings`, when its status goes from
+ * Closed to Open. Only SnoCountry's status is compared: a resort page's is a
+ * guess at best, and a ?source=resort run or a SnoCountry outage mustn't read
+ * as a reopening. Subscriptions the push service reports gone are deleted.
+ *
+ * Endpoints must be https to a public address (lib/public-url.js) — checked
+ * when /api/push saves one and again on every send.
+ *
+ * Encryption and VAPID signing are in lib/webpush.js.
+ */
+
+const crypto = require('crypto');
+
+const { getMountain }                                  = require('./mountains');
+const { evaluateAlerts, eachLimit, ALERT_CONCURRENCY } = require('./alerts');
+const { sendNotification }                             = require('./webpush');
+const {
+  getPushSubscriptions, updatePushSubscriptions, getPushState, setPushState,
+} = require('./storage');
+
+const DEFAULT_THRESHOLD = 6;
+const MAX_MOUNTAINS     = 50;
+const SITE_URL          = process.env.ALLOWED_ORIGIN || 'https://njskihaus.com';
+
+/** pushId — stable id for a browser subscription, derived from its endpoint. */
+function pushId(endpoint) {
+  return crypto.createHash('sha256').update(endpoint).digest('hex').slice(0, 16);
+}
+
+function keyLength(b64) {
+  try {
+    return Buffer.from(String(b64), 'base64url').length;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * parsePushSubscription — validate a POST /api/push body:
+ *   { subscription: { endpoint, keys: { p256dh, auth } }, mountains, threshold?, openings? }
+ * Returns { subscription } or { error }.
+ */
+function parsePushSubscription(body) {
+  if (!body || typeof body !== 'object') return { error: 'Request body must be a JSON object' };
+  const { endpoint, keys } = body.subscription || {};
+
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return { error: 'subscription.endpoint must be the PushSubscription endpoint URL' };
+  }
+  if (url.protocol !== 'https:') return { error: 'subscription.endpoint must be an https URL' };
+  if (keyLength(keys?.p256dh) !== 65) return { error: 'subscription.keys.p256dh must be a base64url P-256 public key' };
+  if (keyLength(keys?.auth) !== 16)   return { error: 'subscription.keys.auth must be a base64url 16-byte secret' };
+
+  const list = Array.isArray(body.mountains) ? body.mountains : [];
+  if (!list.length) return { error: 'mountains is required — a list of mountain ids' };
+  if (list.length > MAX_MOUNTAINS) return { error: `At most ${MAX_MOUNTAINS} mountains per subscription` };
+  const mountains = [];
+  for (const key of list) {
+    const m = getMountain(key);
+    if (!m) return { error: `Unknown mountain "${key}"` };
+    if (!mountains.includes(m.id)) mountains.push(m.id);
+  }
+
+  const threshold = body.threshold == null ? DEFAULT_THRESHOLD : Number(body.threshold);
+  if (!(threshold > 0)) return { error: 'threshold must be a positive number of inches' };
+
+  return {
+    subscription: {
+      id:        pushId(url.toString()),
+      endpoint:  url.toString(),
+      keys:      { p256dh: keys.p256dh, auth: keys.auth },
+      mountains, threshold,
+      openings:  body.openings !== false,
+    },
+  };
+}
+
+const isClosed = status => String(status || '').toLowerCase() === 'closed';
+const isOpen   = status => String(status || '').toLowerCase() === 'open';
+
+// A record's status if SnoCountry reported it, else null
+const snoStatus = m => (m?.sources?.status === 'snocountry' ? m.status : null);
+
+/**
+ * evaluatePush — which notifications to send for this scrape. Pure.
+ * `mountains` are the scraped records, `previousMountains` the last stored ones
+ * (for Closed → Open, SnoCountry's status on both sides). Returns { notify: [{ subscription, mountain, reason, value }], state }.
+ */
+function evaluatePush(subscriptions, mountains, previousMountains, state = {}, nowIso = new Date().toISOString()) {
+  const snow = evaluateAlerts(
+    subscriptions.map(s => ({ ...s, field: 'newSnow24' })),
+    mountains, state, nowIso,
+  );
+  const notify = snow.fire.map(f => ({ ...f, reason: 'snow' }));
+
+  const before = new Map((previousMountains || []).map(m => [m.id, m]));
+  mountains.forEach(m => {
+    if (!isOpen(snoStatus(m)) || !isClosed(snoStatus(before.get(m.id)))) return;
+    subscriptions
+      .filter(s => s.openings && s.mountains.includes(m.id))
+      .forEach(subscription => notify.push({ subscription, mountain: m, reason: 'opened', value: m.status }));
+  });
+
+  return { notify, state: snow.state };
+}
+
+/** pushPayload — what the site's service worker shows. */
+function pushPayload({ mountain: m, reason, value }) {
+  const name = getMountain(m.id)?.name || m.name;
+  return {
+    title: reason === 'snow' ? `${name}: ${value}" of new snow` : `${name} is open`,
+    body:  reason === 'snow'
+      ? `${value}" in the last 24 hours. Base ${m.base ?? '—'}", ${m.trailsOpen ?? '—'} trails open.`
+      : `Back open with ${m.trailsOpen ?? '—'} trails and a ${m.base ?? '—'}" base.`,
+    tag:      `${m.id}-${reason}`,
+    mountain: m.id,
+    url:      `${SITE_URL}/?mountain=${m.id}`,
+  };
+}
+
+/**
+ * dispatchPush — evaluate, send (ALERT_CONCURRENCY at a time, like powder
+ * alerts) and clean up after one scrape. A failed send is re-armed for next
+ * time; a gone subscription is removed.
+ * Returns { fired, sent, failed, removed }.
+ */
+async function dispatchPush(mountains, previousMountains, scrapedAt = new Date().toISOString()) {
+  const subscriptions = await getPushSubscriptions();
+  if (!subscriptions.length) return { fired: 0, sent: 0, failed: 0, removed: 0 };
+
+  const { notify, state } = evaluatePush(subscriptions, mountains, previousMountains, await getPushState(), scrapedAt);
+
+  let sent = 0;
+  let failed = 0;
+  const gone = new Set();
+  await eachLimit(notify, ALERT_CONCURRENCY, async n => {
+    if (gone.has(n.subscription.id)) return;
+    const result = await sendNotification(n.subscription, pushPayload(n), undefined, { publicOnly: true });
+    if (result.ok) {
+      sent++;
+      return;
+    }
+    if (result.gone) gone.add(n.subscription.id);
+    else failed++;
+    if (n.reason === 'snow') delete state[n.subscription.id]?.[n.mountain.id];
+  });
+
+  if (gone.size) {
+    await updatePushSubscriptions(list => list.filter(s => !gone.has(s.id)))
+      .catch(err => console.warn(`[push] Could not remove expired subscriptions: ${err.message}`));
+    gone.forEach(id => delete state[id]);
+  }
+  await setPushState(state).catch(err => console.warn(`[push] Could not save push state: ${err.message}`));
+  if (notify.length) console.log(`[push] ${notify.length} notification(s): ${sent} sent, ${failed} failed, ${gone.size} expired`);
+  return { fired: notify.length, sent, failed, removed: gone.size };
+}
+
+module.exports = { parsePushSubscription, evaluatePush, dispatchPush, pushPayload, pushId };
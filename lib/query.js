@@ -0,0 +1,110 @@
+/**
+ * query.js — filtering, sorting and field projection for mountain lists
+ *
+ * Shared by every route that returns mountains so the same query string means
+ * the same thing everywhere. All parameters are optional and combine with AND:
+ *
+ *   state=VT,NH          — SnoCountry state codes (comma-separated, any case)
+ *   region=vt,ne         — site regions
+ *   pass=ikon            — 'epic' | 'ikon' | 'indy' (comma-separated)
+ *   status=open          — 'open' | 'closed' (compared case-insensitively)
+ *   minBase=24           — base depth at least N inches
+ *   minNewSnow=6         — newSnow24 at least N inches
+ *   minNewSnow48=12      — newSnow48 at least N inches
+ *   sort=-newSnow24      — any numeric field; leading '-' for descending, nulls always last
+ *   limit=3              — at most N mountains (after sorting)
+ *   fields=name,base     — only return these fields ('id' is always included)
+ */
+
+const { NUMERIC_FIELDS } = require('./fields');
+
+const MIN_FILTERS = {
+  minBase:      'base',
+  minNewSnow:   'newSnow24',
+  minNewSnow48: 'newSnow48',
+};
+
+function list(value) {
+  if (value == null || value === '') return null;
+  return String(value).split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * parseQuery — validate query parameters into a query object.
+ * Returns { query } on success or { error } with a message suitable for a 400.
+ */
+function parseQuery(params = {}) {
+  const query = {
+    state:  list(params.state),
+    region: list(params.region),
+    pass:   list(params.pass),
+    status: list(params.status),
+    min:    {},
+    sort:   null,
+    limit:  null,
+    fields: params.fields ? String(params.fields).split(',').map(f => f.trim()).filter(Boolean) : null,
+  };
+
+  for (const [param, field] of Object.entries(MIN_FILTERS)) {
+    if (params[param] == null || params[param] === '') continue;
+    const n = Number(params[param]);
+    if (!Number.isFinite(n)) return { error: `Invalid ?${param}= — must be a number` };
+    query.min[field] = n;
+  }
+
+  if (params.sort) {
+    const desc  = String(params.sort).startsWith('-');
+    const field = String(params.sort).replace(/^[-+]/, '');
+    if (!NUMERIC_FIELDS.includes(field)) {
+      return { error: `Invalid ?sort= — use one of ${NUMERIC_FIELDS.join(', ')} (prefix with - for descending)` };
+    }
+    query.sort = { field, desc };
+  }
+
+  if (params.limit != null && params.limit !== '') {
+    const n = parseInt(params.limit, 10);
+    if (!(n > 0)) return { error: 'Invalid ?limit= — must be a positive integer' };
+    query.limit = n;
+  }
+
+  return { query };
+}
+
+function matches(m, query) {
+  if (query.state  && !query.state.includes(String(m.state).toLowerCase()))   return false;
+  if (query.region && !query.region.includes(String(m.region).toLowerCase())) return false;
+  if (query.pass   && !query.pass.includes(String(m.pass).toLowerCase()))     return false;
+  if (query.status && !query.status.includes(String(m.status).toLowerCase())) return false;
+  for (const [field, min] of Object.entries(query.min)) {
+    if (m[field] == null || m[field] < min) return false;
+  }
+  return true;
+}
+
+/** project — copy only the requested fields (plus id) from a mountain record. */
+function project(m, fields) {
+  if (!fields) return m;
+  const out = { id: m.id };
+  fields.forEach(f => { if (f in m) out[f] = m[f]; });
+  return out;
+}
+
+/** applyQuery — filter, sort, limit and project a list of mountain records. */
+function applyQuery(mountains, query) {
+  let out = mountains.filter(m => matches(m, query));
+
+  if (query.sort) {
+    const { field, desc } = query.sort;
+    out = out.slice().sort((a, b) => {
+      if (a[field] == null && b[field] == null) return 0;
+      if (a[field] == null) return 1;
+      if (b[field] == null) return -1;
+      return desc ? b[field] - a[field] : a[field] - b[field];
+    });
+  }
+
+  if (query.limit) out = out.slice(0, query.limit);
+  return out.map(m => project(m, query.fields));
+}
+
+module.exports = { parseQuery, applyQuery, project };
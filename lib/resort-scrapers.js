@@ -0,0 +1,161 @@
+/**
+ * resort-scrapers.js — per-resort conditions scrapers
+ *
+ * These are the SECONDARY source: lib/scrapers.js runs them after SnoCountry
+ * and uses their output to fill in any fields SnoCountry left null.
+ *
+ * Each scraper takes its registry entry from lib/mountains.js and returns this
+ * shape (all fields optional — null if unavailable):
+ * {
+ *   name:        string   — mountain name key matching the site
+ *   base:        number   — base snow depth in inches
+ *   summit:      number   — summit snow depth in inches (if reported)
+ *   newSnow24:   number   — new snow last 24 hours in inches
+ *   newSnow48:   number   — new snow last 48 hours in inches
+ *   newSnow7d:   number   — new snow last 7 days in inches
+ *   trailsOpen:  number   — trails currently open
+ *   trailsTotal: number   — total trails at resort
+ *   liftsOpen:   number   — lifts currently open
+ *   liftsTotal:  number   — total lifts at resort
+ *   parksOpen:   number   — terrain parks currently open
+ *   parksTotal:  number   — total terrain parks at resort
+ *   surface:     string   — primary surface condition description
+ *   season:      number   — season snowfall total in inches
+ *   status:      string   — 'Open' | 'Closed' | 'Opening Soon', only if the page says so
+ *   updatedAt:   string   — ISO timestamp of scrape
+ *   source:      string   — URL that was scraped
+ *   forecast:    array    — upcoming days [{ date, summary, high, low, snow }] (Vail only)
+ * }
+ *
+ * MAINTENANCE NOTES:
+ * - If a scraper returns null for a field, storage carries the last known good value
+ *   forward and flags it stale after a while (lib/carry-forward.js)
+ * - Run `npm run test-scrapers` to check which scrapers are working
+ * - Most resort sites update their conditions pages between 6–8am each morning
+ * - The cron runs at 7am EST (12:00 UTC) — adjust in vercel.json if needed
+ */
+
+const {
+  fetchJSON, fetchHTML,
+  parseInches, parseInt2, cmToIn, now,
+  withStructuredFallback,
+} = require('./scraper-helpers');
+const { vailMountainReport } = require('./vail');
+const { scrapeWithConfig }   = require('./selector-engine');
+const { SELECTOR_CONFIGS }   = require('./selector-configs');
+
+const VAIL_MOUNTAINS = ['stowe', 'okemo', 'mount-snow', 'hunter', 'attitash', 'wildcat'];
+
+// ══════════════════════════════════════════════════════════════════
+// VERMONT
+// ══════════════════════════════════════════════════════════════════
+
+async function killington(m) {
+  // Killington exposes a JSON conditions endpoint used by their website widget
+  const url = m.scrape.url;
+  const fallbackUrl = m.scrape.fallbackUrl;
+  try {
+    const data = await fetchJSON(url);
+    // Their API shape: data.snowReport.baseDepth, etc.
+    const sr = data.snowReport || data.snow_report || data;
+    return {
+      name:        m.name,
+      base:        parseInches(sr.baseDepth ?? sr.base_depth ?? sr.base),
+      summit:      parseInches(sr.summitDepth ?? sr.summit_depth ?? sr.summit),
+      newSnow24:   parseInches(sr.last24Hours ?? sr.new_snow_24 ?? sr.snowfall24),
+      newSnow48:   parseInches(sr.last48Hours ?? sr.new_snow_48 ?? sr.snowfall48),
+      trailsOpen:  parseInt2(sr.openTrails ?? sr.trails_open),
+      trailsTotal: parseInt2(sr.totalTrails ?? sr.trails_total),
+      liftsOpen:   parseInt2(sr.openLifts ?? sr.lifts_open),
+      liftsTotal:  parseInt2(sr.totalLifts ?? sr.lifts_total),
+      surface:     sr.primarySurface || sr.surface_conditions || null,
+      season:      parseInches(sr.seasonTotal ?? sr.season_total),
+      status:      sr.status || sr.resortStatus || null,
+      updatedAt:   now(),
+      source:      url,
+    };
+  } catch {
+    // Fallback: scrape HTML conditions page
+    try {
+      const $ = await fetchHTML(fallbackUrl);
+      return withStructuredFallback($, {
+        name:        m.name,
+        base:        parseInches($('.snow-report__base, [data-value="base"]').first().text()),
+        newSnow24:   parseInches($('[data-period="24h"], .snow-24').first().text()),
+        trailsOpen:  parseInt2($('.trails-open, [data-label="Trails Open"]').first().text()),
+        surface:     $('.surface-condition, .primary-surface').first().text().trim() || null,
+        updatedAt:   now(),
+        source:      fallbackUrl,
+      });
+    } catch (e2) {
+      console.warn('killington scraper failed:', e2.message);
+      return { name: m.name, updatedAt: now(), source: fallbackUrl };
+    }
+  }
+}
+
+// ══════════════════════════════════════════════════════════════════
+// CANADA
+// ══════════════════════════════════════════════════════════════════
+
+async function tremblant(m) {
+  // Mont-Tremblant — they publish conditions as JSON for their widget
+  const url = m.scrape.url;
+  const fallbackUrl = m.scrape.fallbackUrl;
+  try {
+    // Try JSON first
+    const data = await fetchJSON(url);
+    const d = data.conditions || data;
+    return {
+      name:        m.name,
+      base:        cmToIn(d.baseDepthCm) ?? parseInches(d.baseDepth),
+      summit:      cmToIn(d.summitDepthCm),
+      newSnow24:   cmToIn(d.newSnow24hCm) ?? parseInches(d.newSnow24h),
+      trailsOpen:  parseInt2(d.openTrails ?? d.openRuns),
+      trailsTotal: parseInt2(d.totalTrails ?? d.totalRuns),
+      liftsOpen:   parseInt2(d.openLifts),
+      surface:     d.surfaceConditions || d.surface || null,
+      season:      cmToIn(d.seasonTotalCm) ?? parseInches(d.seasonTotal),
+      status:      d.status || null,
+      updatedAt:   now(),
+      source:      url,
+    };
+  } catch {
+    try {
+      const $ = await fetchHTML(fallbackUrl);
+      return withStructuredFallback($, {
+        name:        m.name,
+        base:        parseInches($('[class*="base"], [class*="neige"]').first().text()),
+        newSnow24:   parseInches($('[class*="24h"], [class*="overnight"]').first().text()),
+        trailsOpen:  parseInt2($('[class*="open"], [class*="ouvert"]').first().text()),
+        updatedAt:   now(),
+        source:      fallbackUrl,
+      });
+    } catch (e2) {
+      console.warn('tremblant scraper failed:', e2.message);
+      return { name: m.name, updatedAt: now(), source: fallbackUrl };
+    }
+  }
+}
+
+// ══════════════════════════════════════════════════════════════════
+// SCRAPERS BY MOUNTAIN ID
+// Keys match the ids in lib/mountains.js — each scraper is called with its
+// registry entry, which supplies the display name and the URLs to scrape.
+// Only resorts that need real code (JSON APIs with fallbacks) are written out
+// above; Vail-platform resorts share one adapter (lib/vail.js) and plain HTML
+// pages are data in lib/selector-configs.js
+// ══════════════════════════════════════════════════════════════════
+
+const SCRAPERS = {
+  'killington': killington,
+  'tremblant':  tremblant,
+};
+
+VAIL_MOUNTAINS.forEach(id => { SCRAPERS[id] = vailMountainReport; });
+
+Object.entries(SELECTOR_CONFIGS).forEach(([id, config]) => {
+  SCRAPERS[id] = m => scrapeWithConfig(m, config);
+});
+
+module.exports = { SCRAPERS };
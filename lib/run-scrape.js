@@ -1,5 +1,6 @@
 /**
- * run-scrape.js — run the full scrape locally and save to /tmp/njskihaus-cache.json
+ * run-scrape.js — run the full scrape locally and save it to the configured
+ * storage backend (JSON files in /tmp/njskihaus-store unless STORAGE_BACKEND says otherwise)
  * Useful for testing the full pipeline without deploying to Vercel.
  *
  * Usage:
@@ -7,18 +8,28 @@
  *   node lib/run-scrape.js
  */
 
-const { runAllScrapers } = require('./scrapers');
-const { setData }        = require('./storage');
+const { runAllScrapers }                               = require('./scrapers');
+const { getData, setData, newRunId, saveRun, backend } = require('./storage');
+const { checkDrift }                                   = require('./drift');
 
 async function main() {
   console.log('NJ Ski Haus — Full Scrape Run');
   console.log('='.repeat(50));
 
-  const results = await runAllScrapers();
-  const saved   = await setData(results);
+  const startedAt = new Date();
+  const previous  = await getData();
+  const results   = await runAllScrapers(previous?.mountains);
+  const saved     = await setData(results);
+  const drift     = await checkDrift(results.bySource);
+  const runId     = newRunId(startedAt);
+  await saveRun({
+    id: runId, trigger: 'dev', ok: true, saved,
+    successCount: results.successCount, totalCount: results.totalCount,
+    ...results.run,
+  });
 
   console.log('\n' + '='.repeat(50));
-  console.log(`Saved to local cache: ${saved}`);
+  console.log(`Saved to ${backend().name} storage: ${saved} (run log ${runId})`);
   console.log(`Success rate: ${results.successCount}/${results.totalCount} mountains`);
 
   // Print any mountains with no base depth — these need selector fixes
@@ -27,10 +38,31 @@ async function main() {
     console.log(`\n⚠ ${failed.length} scrapers need selector tuning:`);
     failed.forEach(m => console.log(`  - ${m.name} → ${m.source}`));
     console.log('\nTo fix: open the resort URL in a browser, inspect the HTML,');
-    console.log('and update the CSS selectors in lib/scrapers.js');
+    console.log('and update the CSS selectors in lib/resort-scrapers.js');
   } else {
     console.log('\n✅ All scrapers returned data!');
   }
+
+  // Values validation threw out — usually a selector grabbing the wrong number
+  const { rejected = [], quarantined = [] } = results.validation || {};
+  if (rejected.length) {
+    console.log(`\n⚠ ${rejected.length} values failed validation (see lib/validate.js):`);
+    rejected.forEach(r => console.log(`  - ${r.id}.${r.field} = ${JSON.stringify(r.value)} (${r.source}): ${r.reason}`));
+    if (quarantined.length) console.log(`  Quarantined: ${quarantined.join(', ')}`);
+  }
+
+  if (drift.events.length) {
+    console.log(`\n${drift.events.length} drift event(s) — ${drift.sent} sent to ALERT_WEBHOOK_URL`);
+  }
+
+  // SnoCountry names that matched loosely or ambiguously — confirm and add as aliases
+  const { fuzzy = [], ambiguous = [], unmatched = [] } = results.matchReport || {};
+  if (fuzzy.length || ambiguous.length || unmatched.length) {
+    console.log('\nSnoCountry names to review (add confirmed ones to `snocountry` in lib/mountains.js):');
+    fuzzy.forEach(f => console.log(`  ~ "${f.name}" (${f.state}) → ${f.id} (score ${f.score})`));
+    ambiguous.forEach(a => console.log(`  ? "${a.name}" (${a.state}) → ${a.candidates.map(c => c.id).join(' / ')}`));
+    unmatched.forEach(u => console.log(`  ✗ "${u.name}" (${u.state}) — closest ${u.candidates.map(c => `${c.id} ${c.score}`).join(', ')}`));
+  }
 }
 
 main().catch(e => {
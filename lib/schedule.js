@@ -0,0 +1,190 @@
+/**
+ * schedule.js — which mountains an intraday scrape tick should refresh
+ *
+ * The daily cron scrapes everything; the intraday cron (/api/scrape?scheduled=1,
+ * see vercel.json) runs every half hour and only scrapes the mountains that are
+ * due. All times are Eastern, like the resorts' own reports.
+ *
+ *   report  — inside the mountain's morning report window, every tick until a
+ *             report dated today has been stored
+ *   refresh — between REFRESH_FROM and REFRESH_TO, once every
+ *             SCHEDULE_REFRESH_MINUTES (default 120), for midday updates
+ *   nothing overnight
+ *
+ * A mountain's report window is learned from when its SnoCountry reports
+ * actually arrive (report_date_time): the first report of each day is kept,
+ * and once there are MIN_SAMPLES the window runs from WINDOW_BEFORE minutes
+ * before their median to WINDOW_AFTER after. Until then it's
+ * DEFAULT_REPORT_WINDOW; a registry entry's `reportWindow` overrides both.
+ *
+ * A due mountain is still skipped if SnoCountry's report_date_time for it is
+ * the one already stored (runAllScrapers' skipUnchanged), so resort sites are
+ * only fetched when there's something new.
+ *
+ * State (schedule_v1, see lib/storage.js), per mountain id:
+ *   { checkedAt, reportDay, reportTimes: [minutes after midnight, newest last] }
+ */
+
+const TIME_ZONE = 'America/New_York';
+
+const DEFAULT_REPORT_WINDOW = '06:00-10:00';
+const REFRESH_FROM          = 10 * 60;
+const REFRESH_TO            = 16 * 60;
+const REFRESH_EVERY_MINUTES = parseFloat(process.env.SCHEDULE_REFRESH_MINUTES) || 120;
+
+const MIN_SAMPLES   = 3;
+const MAX_SAMPLES   = 14;
+const WINDOW_BEFORE = 30;
+const WINDOW_AFTER  = 90;
+
+const clockFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit',
+  hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+});
+
+/** easternClock — { day: 'YYYY-MM-DD', minutes } of a Date in Eastern time. */
+function easternClock(date) {
+  const p = Object.fromEntries(clockFormat.formatToParts(date).map(part => [part.type, part.value]));
+  return { day: `${p.year}-${p.month}-${p.day}`, minutes: Number(p.hour) * 60 + Number(p.minute) };
+}
+
+const offsetFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit',
+  hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23',
+});
+
+// Eastern time's offset from UTC at a given instant, in minutes (-300 or -240)
+function easternOffset(ms) {
+  const p = Object.fromEntries(offsetFormat.formatToParts(new Date(ms)).map(part => [part.type, Number(part.value)]));
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((wall - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+/**
+ * easternIso — a zoneless Eastern wall-clock time ("2026-02-23 08:30:00", as
+ * SnoCountry sends) as ISO 8601 with its offset ("2026-02-23T08:30:00-05:00"),
+ * so Date.parse reads it the same on any server. Anything else comes back as is.
+ */
+function easternIso(text) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(text ?? '').trim());
+  if (!m) return text;
+  const [, y, mo, d, h, mi, sec = '00'] = m;
+  const wall = Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(sec));
+  // The offset at the guessed instant, corrected once if that guess crossed a DST change
+  let offset = easternOffset(wall);
+  offset = easternOffset(wall - offset * 60000);
+  const sign = offset < 0 ? '-' : '+';
+  const abs  = Math.abs(offset);
+  const pad  = n => String(n).padStart(2, '0');
+  return `${y}-${mo}-${d}T${h}:${mi}:${sec}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * reportClock — easternClock for an upstream report_date_time, or null.
+ * SnoCountry sends resort wall-clock time without a zone ("2026-02-23 08:30:00"),
+ * which parseRecord gives its offset (easternIso); a zoneless time stored before
+ * that is taken as is, anything with a zone is converted.
+ */
+function reportClock(reportedAt) {
+  if (!reportedAt) return null;
+  const text = String(reportedAt);
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : easternClock(date);
+  }
+  const m = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}):(\d{2})/.exec(text);
+  return m ? { day: m[1], minutes: Number(m[2]) * 60 + Number(m[3]) } : null;
+}
+
+// '07:30-09:00' → { from: 450, to: 540 }
+function parseWindow(text) {
+  const m = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+  if (!m) throw new Error(`Invalid report window "${text}" — use HH:MM-HH:MM`);
+  return { from: Number(m[1]) * 60 + Number(m[2]), to: Number(m[3]) * 60 + Number(m[4]) };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid    = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * reportWindow — { from, to, learned } in minutes after midnight Eastern: the
+ * registry's reportWindow, else one learned from past reports, else the default.
+ */
+function reportWindow(mountain, entry = {}) {
+  if (mountain.reportWindow) return { ...parseWindow(mountain.reportWindow), learned: false };
+  const times = entry.reportTimes || [];
+  if (times.length < MIN_SAMPLES) return { ...parseWindow(DEFAULT_REPORT_WINDOW), learned: false };
+  const typical = median(times);
+  return { from: Math.max(0, typical - WINDOW_BEFORE), to: Math.min(24 * 60 - 1, typical + WINDOW_AFTER), learned: true };
+}
+
+/**
+ * dueMountains — the registry entries among `mountains` that are due at `now`,
+ * each as { mountain, reason: 'report' | 'refresh' }. `records` maps id → stored
+ * record (for its reportedAt); `state` is the saved schedule state. A mountain
+ * whose record has no reportedAt is checked once in its report window, not on
+ * every tick of it.
+ */
+function dueMountains(mountains, { records = new Map(), state = {}, now = new Date() } = {}) {
+  const clock = easternClock(now);
+  const due   = [];
+
+  mountains.forEach(mountain => {
+    const entry  = state[mountain.id] || {};
+    const window = reportWindow(mountain, entry);
+
+    if (clock.minutes >= window.from && clock.minutes < window.to) {
+      const reported = reportClock(records.get(mountain.id)?.reportedAt);
+      if (reported) {
+        if (reported.day !== clock.day) due.push({ mountain, reason: 'report' });
+        return;
+      }
+      // No report time to wait for: one check per window is enough
+      const checked = reportClock(entry.checkedAt);
+      if (checked?.day !== clock.day || checked.minutes < window.from) due.push({ mountain, reason: 'report' });
+      return;
+    }
+
+    if (clock.minutes >= REFRESH_FROM && clock.minutes < REFRESH_TO) {
+      const checkedAt = Date.parse(entry.checkedAt || '');
+      if (Number.isNaN(checkedAt) || now - checkedAt >= REFRESH_EVERY_MINUTES * 60 * 1000) {
+        due.push({ mountain, reason: 'refresh' });
+      }
+    }
+  });
+  return due;
+}
+
+/**
+ * recordRun — the schedule state after a run that checked `checkedIds` (scraped
+ * or skipped as unchanged) and got back `records`. The first report seen for a
+ * new day adds a sample to that mountain's report times.
+ */
+function recordRun(state, { checkedIds = [], records = [], now = new Date() } = {}) {
+  const next = { ...state };
+  const at   = now.toISOString();
+
+  checkedIds.forEach(id => {
+    next[id] = { ...next[id], checkedAt: at };
+  });
+
+  records.forEach(m => {
+    const reported = reportClock(m.reportedAt);
+    const entry    = next[m.id] || {};
+    if (!reported || reported.day === entry.reportDay) return;
+    next[m.id] = {
+      ...entry,
+      reportDay:   reported.day,
+      reportTimes: [...(entry.reportTimes || []), reported.minutes].slice(-MAX_SAMPLES),
+    };
+  });
+  return next;
+}
+
+module.exports = {
+  dueMountains, recordRun, reportWindow, reportClock, easternClock, easternIso,
+  DEFAULT_REPORT_WINDOW, REFRESH_EVERY_MINUTES,
+};
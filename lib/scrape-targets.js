@@ -0,0 +1,103 @@
+/**
+ * scrape-targets.js — which mountains and sources a /api/scrape call covers
+ *
+ * All parameters are optional; without any, a run covers everything:
+ *
+ *   only=killington,stowe — registry ids or display names (comma-separated)
+ *   region=vt,ne          — site regions
+ *   source=snocountry     — 'snocountry' | 'resort'; both when omitted
+ *   batch=8               — only the next 8 of the selected mountains. Where to
+ *                           carry on is saved after each successful batch
+ *                           (scrape_cursor_v1), so repeated calls work through
+ *                           the list and then start over
+ *   cursor=16             — start this batch at position 16 instead of the saved cursor
+ *   scheduled=1           — only the selected mountains lib/schedule.js says are
+ *                           due, skipping any without a new SnoCountry report
+ *                           (the intraday cron); not with batch
+ *
+ * only and region combine with AND. A saved cursor belongs to one selection
+ * (`scope`); calling with different parameters starts that selection from the top.
+ */
+
+const { MOUNTAINS, REGIONS, getMountain } = require('./mountains');
+
+const SOURCES = ['snocountry', 'resort'];
+
+function list(value) {
+  if (value == null || value === '') return null;
+  return String(value).split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+function wholeNumber(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+/**
+ * parseTargets — validate /api/scrape's query parameters. Returns { targets } —
+ * { mountains (registry order), sources, scope, batch, cursor, scheduled } — or { error }
+ * with a message suitable for a 400.
+ */
+function parseTargets(params = {}) {
+  const only   = list(params.only);
+  const region = list(params.region);
+  const source = list(params.source);
+
+  const unknown = (only || []).filter(k => !getMountain(k));
+  if (unknown.length) return { error: `Unknown mountain(s) in ?only=: ${unknown.join(', ')}` };
+  const badRegion = (region || []).filter(r => !REGIONS.includes(r));
+  if (badRegion.length) return { error: `Invalid ?region= — use one of ${REGIONS.join(', ')}` };
+  const badSource = (source || []).filter(s => !SOURCES.includes(s));
+  if (badSource.length) return { error: `Invalid ?source= — use ${SOURCES.join(' or ')}` };
+
+  const ids       = only && new Set(only.map(k => getMountain(k).id));
+  const mountains = MOUNTAINS.filter(m => (!ids || ids.has(m.id)) && (!region || region.includes(m.region)));
+  if (!mountains.length) return { error: 'No mountains match both ?only= and ?region=' };
+
+  let batch = null;
+  if (params.batch != null && params.batch !== '') {
+    batch = wholeNumber(params.batch);
+    if (!batch) return { error: 'Invalid ?batch= — must be a positive integer' };
+  }
+
+  let cursor = null;
+  if (params.cursor != null && params.cursor !== '') {
+    cursor = wholeNumber(params.cursor);
+    if (cursor == null || cursor >= mountains.length) {
+      return { error: `Invalid ?cursor= — must be 0 to ${mountains.length - 1}` };
+    }
+    if (!batch) return { error: '?cursor= only applies with ?batch=' };
+  }
+
+  const scheduled = ['1', 'true'].includes(String(params.scheduled ?? '').toLowerCase());
+  if (scheduled && batch) return { error: '?scheduled= picks its own mountains — not with ?batch=' };
+
+  const sources = source ? SOURCES.filter(s => source.includes(s)) : SOURCES;
+  const scope   = [
+    ids ? `only=${[...ids].sort().join(',')}` : null,
+    region ? `region=${[...region].sort().join(',')}` : null,
+    source ? `source=${sources.join(',')}` : null,
+    scheduled ? 'scheduled' : null,
+  ].filter(Boolean).join('&') || 'all';
+
+  return { targets: { mountains, sources, scope, batch, cursor, scheduled } };
+}
+
+/**
+ * selectBatch — `size` mountains from `offset`, and where the next batch starts
+ * (0 again once this one reaches the end: `done`).
+ */
+function selectBatch(mountains, offset, size) {
+  const start = offset < mountains.length ? offset : 0;
+  const end   = Math.min(start + size, mountains.length);
+  const done  = end >= mountains.length;
+  return {
+    mountains: mountains.slice(start, end),
+    offset:    start,
+    next:      done ? 0 : end,
+    done,
+    total:     mountains.length,
+  };
+}
+
+module.exports = { parseTargets, selectBatch, SOURCES };
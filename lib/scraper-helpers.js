@@ -0,0 +1,260 @@
+/**
+ * scraper-helpers.js — fetch and parsing helpers shared by every scraper
+ */
+
+const cheerio = require('cheerio');
+
+const { httpFetch } = require('./http');
+
+// ── Shared fetch helper ──
+// Mimics a real browser to avoid bot detection. Retries, per-host limits and
+// the circuit breaker live in lib/http.js.
+async function fetchPage(url, options = {}) {
+  return httpFetch(url, {
+    ...options,
+    headers: {
+      'User-Agent':      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept':          'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Cache-Control':   'no-cache',
+      ...options.headers,
+    },
+  });
+}
+
+async function fetchJSON(url, options = {}) {
+  const res = await fetchPage(url, {
+    ...options,
+    headers: { 'Accept': 'application/json', ...options.headers },
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+  return res.json();
+}
+
+async function fetchHTML(url) {
+  const res = await fetchPage(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+  const html = await res.text();
+  return cheerio.load(html);
+}
+
+// ── Parsing helpers ──
+// The first number in the text — '12"', '0 of 81', '1,204 acres'. A reported 0
+// (no new snow, nothing open) is a value; only text without a number is null
+function firstNumberIn(str) {
+  if (str == null) return null;
+  const match = /\d[\d,]*(\.\d+)?|\.\d+/.exec(String(str));
+  return match ? match[0].replace(/,/g, '') : null;
+}
+
+function parseInches(str) {
+  const n = parseFloat(firstNumberIn(str));
+  return Number.isFinite(n) ? n : null;
+}
+
+function parseInt2(str) {
+  const n = parseInt(firstNumberIn(str), 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+function cmToIn(cm) {
+  if (cm == null) return null;
+  return Math.round(cm / 2.54);
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+// ── Structured data ──
+// Many resort pages ship their conditions as JSON — JSON-LD, __NEXT_DATA__,
+// `window.x = {...}` assignments or data-* attributes — which survives visual
+// redesigns far better than class-name guesses. findEmbeddedJSON collects those
+// blobs; searchJSON finds values in them by key; withStructuredFallback fills a
+// scraper's null fields from them.
+
+/**
+ * readJSONAt — parse the JSON object/array literal starting at text[start],
+ * walking to its matching close bracket. Returns null if it isn't valid JSON
+ * (e.g. a JS object literal with unquoted keys).
+ */
+function readJSONAt(text, start) {
+  const open = text[start];
+  if (open !== '{' && open !== '[') return null;
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      depth--;
+      if (depth === 0) {
+        try {
+          return JSON.parse(text.slice(start, i + 1));
+        } catch {
+          return null;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * readAssignment — parse the JSON literal assigned to `name` in a script blob,
+ * e.g. `FR.snowReportData = {...};`. Returns null if absent or unparseable.
+ */
+function readAssignment(text, name) {
+  const re    = new RegExp(`${name.replace(/[.$]/g, '\\$&')}\\s*=\\s*`);
+  const match = re.exec(text);
+  if (!match) return null;
+  return readJSONAt(text, match.index + match[0].length);
+}
+
+// Any `something = {` / `something = [` in an inline script
+const ASSIGNMENT_RE = /[\w$\].]\s*=\s*(?=[{[])/g;
+
+/**
+ * findEmbeddedJSON — every JSON blob on a page, most deliberate first:
+ * JSON-LD, __NEXT_DATA__ and other application/json scripts, then JSON
+ * assigned in inline scripts, then data-* attributes (JSON values are parsed,
+ * plain values become { attributeName: value }).
+ */
+function findEmbeddedJSON($) {
+  const blobs = [];
+  const push  = v => { if (v && typeof v === 'object') blobs.push(v); };
+
+  $('script[type="application/ld+json"], script#__NEXT_DATA__, script[type="application/json"]').each((_, el) => {
+    const text = $(el).html() || '';
+    push(readJSONAt(text.trim(), 0));
+  });
+
+  $('script:not([type]), script[type="text/javascript"]').each((_, el) => {
+    const text = $(el).html() || '';
+    let match;
+    ASSIGNMENT_RE.lastIndex = 0;
+    while ((match = ASSIGNMENT_RE.exec(text))) {
+      push(readJSONAt(text, match.index + match[0].length));
+    }
+  });
+
+  $('*').each((_, el) => {
+    Object.entries(el.attribs || {}).forEach(([attr, value]) => {
+      if (!attr.startsWith('data-') || !value) return;
+      const v = value.trim();
+      if (v[0] === '{' || v[0] === '[') push(readJSONAt(v, 0));
+      else push({ [attr.slice(5)]: v });
+    });
+  });
+
+  return blobs;
+}
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * searchJSON — depth-first search of blobs for the first key matching any of
+ * `patterns` (strings or regexes, compared against the key lowercased with
+ * punctuation removed — so 'basedepth' matches baseDepth, base_depth, base-depth).
+ * Keys ending in "cm" also match their pattern without the suffix.
+ * Returns { key, value, cm } or null.
+ */
+function searchJSON(blobs, patterns) {
+  const list = [].concat(patterns);
+  const test = k => list.some(p => (p instanceof RegExp ? p.test(k) : normalizeKey(p) === k));
+
+  const seen  = new Set();
+  const stack = [].concat(blobs).reverse();
+  while (stack.length) {
+    const node = stack.pop();
+    if (!node || typeof node !== 'object' || seen.has(node)) continue;
+    seen.add(node);
+
+    const entries = Array.isArray(node) ? node.map((v, i) => [i, v]) : Object.entries(node);
+    for (const [key, value] of entries) {
+      if (value == null || value === '') continue;
+      const k = normalizeKey(key);
+      const isCm = k.endsWith('cm');
+      if (test(k) || (isCm && test(k.slice(0, -2)))) return { key, value, cm: isCm && !test(k) };
+    }
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (entries[i][1] && typeof entries[i][1] === 'object') stack.push(entries[i][1]);
+    }
+  }
+  return null;
+}
+
+// Key patterns per field, matched against normalized keys (see searchJSON)
+const STRUCTURED_KEYS = {
+  base:        [/^(avg)?(snow)?base(depth)?(in|inches)?$/],
+  summit:      [/^(summit(depth)?|topdepth)(in|inches)?$/],
+  newSnow24:   [/^(new)?snow(fall)?(last)?24(h|hr|hrs|hour|hours)?$/, /^(last|past)?24(h|hr|hrs|hours)(snow|snowfall)$/,
+                /^twentyfourhoursnowfall$/, /^(fresh|overnight)snow(fall)?$/],
+  newSnow48:   [/^(new)?snow(fall)?(last)?48(h|hr|hrs|hour|hours)?$/, /^(last|past)?48(h|hr|hrs|hours)(snow|snowfall)$/,
+                /^fortyeighthoursnowfall$/],
+  newSnow7d:   [/^(new)?snow(fall)?(last)?7(d|day|days)$/, /^sevendaysnowfall$/],
+  season:      [/^season(al)?(total|snowfall|snow)(in|inches)?$/, /^(currentseason|snowfallytd|ytdsnowfall)$/],
+  trailsOpen:  [/^(open(trails|runs)|(trails|runs)open)$/],
+  trailsTotal: [/^(total(trails|runs)|(trails|runs)total)$/],
+  liftsOpen:   [/^(openlifts|liftsopen)$/],
+  liftsTotal:  [/^(totallifts|liftstotal)$/],
+  surface:     [/^(primary)?surface(condition|conditions)?$/, /^snowconditions$/],
+};
+
+const STRUCTURED_PARSERS = {
+  trailsOpen: parseInt2, trailsTotal: parseInt2, liftsOpen: parseInt2, liftsTotal: parseInt2,
+  surface:    v => (typeof v === 'string' ? v.trim() || null : null),
+};
+
+// Reduce a found value to something parseable — { Inches: 12 } → 12, etc.
+function unwrap(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return value.Inches ?? value.inches ?? value.value ?? value.amount ?? null;
+  }
+  return Array.isArray(value) ? null : value;
+}
+
+/**
+ * structuredValue — look up one field in the blobs using STRUCTURED_KEYS (or
+ * the given patterns) and parse it. Returns null when nothing matched.
+ */
+function structuredValue(blobs, field, patterns = STRUCTURED_KEYS[field]) {
+  if (!patterns) return null;
+  const hit = searchJSON(blobs, patterns);
+  if (!hit) return null;
+  const raw   = unwrap(hit.value);
+  const parse = STRUCTURED_PARSERS[field] || parseInches;
+  const value = parse(raw);
+  // Centimetres either from the key name (baseCm) or the value itself ("140 cm")
+  const cm    = hit.cm || (!STRUCTURED_PARSERS[field] && /\d\s*cm\b/i.test(String(raw)));
+  return cm && value != null ? cmToIn(value) : value;
+}
+
+/**
+ * withStructuredFallback — fill every null/missing field of a scraper result
+ * that STRUCTURED_KEYS knows about from the page's embedded JSON. Fields the
+ * scraper already found are never overwritten.
+ */
+function withStructuredFallback($, record, blobs = findEmbeddedJSON($)) {
+  const out = { ...record };
+  Object.keys(STRUCTURED_KEYS).forEach(field => {
+    if (out[field] == null) out[field] = structuredValue(blobs, field);
+  });
+  return out;
+}
+
+module.exports = {
+  fetchPage, fetchJSON, fetchHTML,
+  parseInches, parseInt2, cmToIn, now,
+  readJSONAt, readAssignment, findEmbeddedJSON, searchJSON, unwrap, structuredValue, withStructuredFallback,
+  STRUCTURED_KEYS,
+};
@@ -1,188 +1,258 @@
 /**
- * scrapers.js — NJ Ski Haus mountain conditions
+ * scrapers.js — NJ Ski Haus mountain conditions pipeline
  *
- * PRIMARY SOURCE: SnoCountry API (feeds.snocountry.net)
- * - Free, no account needed beyond a key
- * - Data comes directly from resort snow reporters (same source as OnTheSnow)
- * - Returns: base depth, new snow 24/48/72hr, trails open/total, lifts, surface, season total
- * - Covers all US mountains + Quebec Canada
- * - Updated throughout the day as reports come in from resorts
+ * Two sources, merged field by field:
+ *   1. SnoCountry (lib/snocountry.js) — pulled first, wins whenever it has a value
+ *   2. The resort's own site (lib/resort-scrapers.js) — fills whatever SnoCountry left null
  *
- * API key: SnoCountry.example works for single-state requests (no limit per their docs)
- * For production: email snocountry.net to request a dedicated free key for your site
+ * Every mountain gets a `sources` map recording where each field came from:
+ *   sources: { base: 'snocountry', summit: 'resort', liftsTotal: 'resort', ... }
+ * Fields neither source had stay null and are left out of `sources`.
+ *
+ * Merged records then go through lib/validate.js, which nulls implausible
+ * values (and records why) before anything is stored.
  */
 
-const fetch = require('node-fetch');
-
-const SNOCOUNTRY_KEY = process.env.SNOCOUNTRY_API_KEY || 'SnoCountry.example';
-const SNOCOUNTRY_URL = 'https://feeds.snocountry.net/conditions.json';
-
-// Mountain name mapping: SnoCountry name → our card name
-// Run test-scrapers.js to see what names SnoCountry actually returns, then add here
-const NAME_MAP = {
-  'Mountain Creek':                    'MOUNTAIN CREEK',
-  'Killington Resort':                 'KILLINGTON',
-  'Killington':                        'KILLINGTON',
-  'Stowe Mountain Resort':             'STOWE',
-  'Stowe':                             'STOWE',
-  'Stratton Mountain':                 'STRATTON',
-  'Stratton':                          'STRATTON',
-  'Sugarbush Resort':                  'SUGARBUSH',
-  'Sugarbush':                         'SUGARBUSH',
-  'Pico Mountain':                     'PICO MTN',
-  'Pico':                              'PICO MTN',
-  'Okemo Mountain Resort':             'OKEMO',
-  'Okemo':                             'OKEMO',
-  'Mount Snow':                        'MOUNT SNOW',
-  'Jay Peak':                          'JAY PEAK',
-  'Jay Peak Resort':                   'JAY PEAK',
-  'Burke Mountain':                    'BURKE MTN',
-  'Bolton Valley':                     'BOLTON VALLEY',
-  'Bolton Valley Resort':              'BOLTON VALLEY',
-  'Magic Mountain':                    'MAGIC MTN',
-  'Hunter Mountain':                   'HUNTER MTN',
-  'Whiteface Mountain':                'WHITEFACE',
-  'Whiteface':                         'WHITEFACE',
-  'Gore Mountain':                     'GORE MTN',
-  'Gore':                              'GORE MTN',
-  'Belleayre Mountain':                'BELLEAYRE',
-  'Belleayre':                         'BELLEAYRE',
-  'Catamount':                         'CATAMOUNT',
-  'Greek Peak Mountain Resort':        'GREEK PEAK',
-  'Greek Peak':                        'GREEK PEAK',
-  'West Mountain':                     'WEST MTN',
-  'Camelback Mountain Resort':         'CAMELBACK',
-  'Camelback':                         'CAMELBACK',
-  'Blue Mountain':                     'BLUE MTN PA',
-  'Blue Mountain Resort':              'BLUE MTN PA',
-  'Shawnee Mountain':                  'SHAWNEE MTN',
-  'Sunday River':                      'SUNDAY RIVER',
-  'Sunday River Resort':               'SUNDAY RIVER',
-  'Sugarloaf':                         'SUGARLOAF',
-  'Sugarloaf Mountain':                'SUGARLOAF',
-  'Saddleback Maine':                  'SADDLEBACK',
-  'Saddleback Mountain':               'SADDLEBACK',
-  'Saddleback':                        'SADDLEBACK',
-  'Loon Mountain':                     'LOON MTN',
-  'Loon Mountain Resort':              'LOON MTN',
-  'Attitash':                          'ATTITASH',
-  'Attitash Mountain Resort':          'ATTITASH',
-  'Wildcat Mountain':                  'WILDCAT',
-  'Wildcat':                           'WILDCAT',
-  'Cannon Mountain':                   'CANNON MTN',
-  'Waterville Valley':                 'WATERVILLE VLY',
-  'Waterville Valley Resort':          'WATERVILLE VLY',
-  'Mont-Tremblant':                    'MONT-TREMBLANT',
-  'Tremblant':                         'MONT-TREMBLANT',
-  'Le Massif de Charlevoix':           'LE MASSIF',
-  'Le Massif':                         'LE MASSIF',
-  'Mont-Sainte-Anne':                  'MONT-STE-ANNE',
-  'Mont Sainte Anne':                  'MONT-STE-ANNE',
-};
-
-function parseRecord(r) {
-  // Try both camelCase and snake_case field names — SnoCountry has been inconsistent
-  const name = r.resort_name || r.resortName;
-  const ourName = NAME_MAP[name] || NAME_MAP[name?.trim()];
-  if (!ourName) return null;
-
-  const base   = parseFloat(r.base_depth   || r.baseDepth)   || null;
-  const summit = parseFloat(r.summit_depth || r.summitDepth) || null;
-  const new24  = parseFloat(r.fresh_snow   || r.freshSnow || r.snow_last_24h || r.snowLast24Hours) || null;
-  const new48  = parseFloat(r.snow_last_48h || r.snowLast48Hours) || null;
-  const new7d  = parseFloat(r.snow_last_7d  || r.snowLast7Days)   || null;
-  const season = parseFloat(r.season_total  || r.seasonTotal)     || null;
-  const tOpen  = parseInt(r.open_runs   || r.openRuns  || r.open_trails  || r.openTrails)  || null;
-  const tTotal = parseInt(r.total_runs  || r.totalRuns || r.total_trails || r.totalTrails) || null;
-  const lOpen  = parseInt(r.open_lifts  || r.openLifts)  || null;
-  const lTotal = parseInt(r.total_lifts || r.totalLifts) || null;
-
-  const statusCode = parseInt(r.resort_status || r.resortStatus) || 0;
-  const status = statusCode <= 3 ? 'Open' : 'Closed';
+const { fetchSnoCountry }                            = require('./snocountry');
+const { SCRAPERS }                                   = require('./resort-scrapers');
+const { now }                                        = require('./scraper-helpers');
+const { MOUNTAINS, STATES }                          = require('./mountains');
+const { validateAll }                                = require('./validate');
+const { restoreBreakers, finishRun, withRequestLog } = require('./http');
+const { getBreakerState, setBreakerState }           = require('./storage');
+const { CONDITION_FIELDS, RESORT_ONLY_FIELDS, SCHEDULE_FIELDS } = require('./fields');
+const { SOURCES }                                    = require('./scrape-targets');
 
-  return {
-    name,
-    base, summit, newSnow24: new24, newSnow48: new48, newSnow7d: new7d,
-    trailsOpen: tOpen, trailsTotal: tTotal,
-    liftsOpen: lOpen, liftsTotal: lTotal,
-    surface: r.primary_surface_condition || r.primarySurfaceCondition || null,
-    season, status,
-    updatedAt: r.report_date_time || r.reportDateTime || new Date().toISOString(),
-    source: 'SnoCountry',
-  };
-}
+/**
+ * mergeRecords — combine a SnoCountry record and a resort scraper record for
+ * one registry entry. Either record may be null. SnoCountry wins on every
+ * field it has a value for.
+ *
+ * A record rebuilt from storage (storedSource) brings the time each of its
+ * values was observed; those end up in the merged record's `fieldUpdatedAt`,
+ * which lib/carry-forward.js keeps instead of stamping them as new.
+ */
+function mergeRecords(mountain, sno, resort) {
+  const merged   = { id: mountain.id, name: mountain.name };
+  const sources  = {};
+  const observed = {};
 
-async function fetchState(stateCode) {
-  const url = `${SNOCOUNTRY_URL}?apiKey=${SNOCOUNTRY_KEY}&states=${stateCode}`;
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 15000);
-  try {
-    const res = await fetch(url, {
-      signal: controller.signal,
-      headers: { 'User-Agent': 'NJSkiHaus/1.0 (njskihaus.com)' },
-    });
-    clearTimeout(timeout);
-    if (!res.ok) throw new Error(`HTTP ${res.status} for state ${stateCode}`);
-    const text = await res.text();
-    // Log raw response for first call to help debug field names
-    if (stateCode === 'VT') {
-      const preview = text.substring(0, 500);
-      console.log(`[scraper] SnoCountry VT sample: ${preview}`);
-    }
-    const data = JSON.parse(text);
-    return Array.isArray(data) ? data : (data.resorts || data.data || []);
-  } catch (e) {
-    clearTimeout(timeout);
-    console.warn(`[scraper] fetchState(${stateCode}) failed:`, e.message);
-    return [];
-  }
-}
+  // id, name, updatedAt, reportedAt and source are handled separately below
+  CONDITION_FIELDS.forEach(field => {
+    const [record, source] = sno?.[field] != null ? [sno, 'snocountry']
+      : resort?.[field] != null ? [resort, 'resort']
+      : [null, null];
+    merged[field] = record ? record[field] : null;
+    if (!record) return;
+    sources[field] = source;
+    if (record.fieldUpdatedAt?.[field]) observed[field] = record.fieldUpdatedAt[field];
+  });
 
-async function runAllScrapers() {
-  console.log('[scraper] Starting SnoCountry fetch...');
-  const start = Date.now();
+  RESORT_ONLY_FIELDS.forEach(field => {
+    merged[field] = resort?.[field] ?? null;
+  });
+
+  SCHEDULE_FIELDS.forEach(field => {
+    merged[field] = sno?.[field] ?? resort?.[field] ?? null;
+  });
 
-  const states = ['NJ', 'VT', 'NY', 'PA', 'NH', 'ME', 'QC'];
-  const allResults = await Promise.allSettled(states.map(fetchState));
+  merged.updatedAt  = sno?.updatedAt || resort?.updatedAt || now();
+  merged.reportedAt = sno?.reportedAt || null;
+  // Prefer the resort page as the link — it's something a customer can actually open
+  merged.source    = resort?.source || sno?.source || null;
+  merged.sources   = sources;
+  if (Object.keys(observed).length) merged.fieldUpdatedAt = observed;
+  return merged;
+}
 
-  const allResorts = [];
-  allResults.forEach((result, i) => {
-    if (result.status === 'fulfilled') {
-      console.log(`[scraper] ${states[i]}: ${result.value.length} resorts`);
-      allResorts.push(...result.value);
-    } else {
-      console.warn(`[scraper] ${states[i]} failed:`, result.reason?.message);
-    }
+/**
+ * storedSource — what `source` contributed to a stored record, rebuilt as if
+ * it had just come back: the fields it supplied (with when each was observed),
+ * plus SnoCountry's report time or the resort's link and resort-only fields.
+ * A run that skips a source merges this in its place, so its values stand
+ * rather than reading as missing. Null without a stored record.
+ */
+function storedSource(previous, source) {
+  if (!previous) return null;
+  const record = { fieldUpdatedAt: {} };
+  CONDITION_FIELDS.forEach(field => {
+    if (previous.sources?.[field] !== source || previous[field] == null) return;
+    record[field] = previous[field];
+    record.fieldUpdatedAt[field] = previous.fieldUpdatedAt?.[field] || previous.updatedAt;
   });
+  SCHEDULE_FIELDS.forEach(field => { record[field] = previous[field] ?? null; });
+
+  if (source === 'snocountry') {
+    // updatedAt is SnoCountry's report time only when the record had a report
+    record.updatedAt  = previous.reportedAt ? previous.updatedAt : null;
+    record.reportedAt = previous.reportedAt || null;
+  } else {
+    RESORT_ONLY_FIELDS.forEach(field => { record[field] = previous[field] ?? null; });
+    record.source = previous.source || null;
+  }
+  return record;
+}
 
-  console.log(`[scraper] Total resorts from SnoCountry: ${allResorts.length}`);
+/**
+ * runAllScrapers — SnoCountry first, then the resort scrapers in parallel.
+ * Failed scrapers never crash the whole run; their mountain just keeps
+ * whatever SnoCountry had. Output follows registry order.
+ *
+ * `previousMountains` (the last stored payload's mountains, optional) is what
+ * the validation jump checks compare against. Circuit breaker state (lib/http.js)
+ * is loaded before the run and saved after it; `openCircuits` lists the hosts
+ * that will be skipped next time.
+ *
+ * `run` holds the per-mountain timings, errors and requests for the run log
+ * (see runEntry below and saveRun in lib/storage.js).
+ *
+ * `mountains` (registry entries, default all) and `sources` (default both, see
+ * lib/scrape-targets.js) narrow a run. With one source, the other's part of
+ * each previous record (storedSource) is merged in its place — new snow and
+ * open counts included, and its updatedAt / reportedAt kept — so a
+ * ?source=resort run doesn't wipe what SnoCountry last said.
+ *
+ * With `skipUnchanged`, mountains whose SnoCountry report_date_time matches
+ * their previous record's are left out (listed in `skipped`) — lib/schedule.js
+ * uses this so intraday ticks only fetch resort sites when there's a new report.
+ *
+ * `bySource` holds each mountain's SnoCountry and resort records as they came
+ * back, before merging — a key per source the run used, null where it got
+ * nothing. lib/drift.js judges each source on those.
+ *
+ * `onMountain(record)` (optional) is called with each validated record as soon
+ * as its scrapers finish — api/scrape.js saves them then, so a run cut off by
+ * maxDuration keeps what it got. The run rejects if any call rejects.
+ */
+async function runAllScrapers(previousMountains = null, options = {}) {
+  const { onMountain, mountains: requested = MOUNTAINS, sources = SOURCES, skipUnchanged = false } = options;
+  const useSno    = sources.includes('snocountry');
+  const useResort = sources.includes('resort');
+  console.log(`[scraper] Starting run for ${requested.length} mountains (${sources.join(' + ')})...`);
+  const start = Date.now();
+  // Breakers are secondary state — a store that can't read them starts all closed
+  restoreBreakers(await getBreakerState().catch(err => {
+    console.warn(`[scraper] Could not load circuit breaker state: ${err.message}`);
+    return {};
+  }));
 
-  // Log ALL resort names from SnoCountry so we can update NAME_MAP if needed
-  const allNames = allResorts.map(r => r.resort_name || r.resortName).filter(Boolean);
-  console.log('[scraper] All resort names:', JSON.stringify(allNames));
+  // SnoCountry is fetched per state, so a subset only pulls the states it needs
+  const states = requested === MOUNTAINS ? STATES : [...new Set(requested.map(m => m.state))];
+  const sno    = useSno
+    ? await timed(() => fetchSnoCountry(states))
+    : { value: { byId: new Map(), matchReport: null }, requests: [], durationMs: 0 };
+  if (sno.error) throw sno.error;
+  const { byId: snoById, matchReport } = sno.value;
 
-  const matched = [];
-  const matchedNames = new Set();
+  // A SnoCountry report_date_time we already have means nothing new upstream
+  const previousById = new Map((previousMountains || []).map(m => [m.id, m]));
+  const unchanged    = m => {
+    const reportedAt = snoById.get(m.id)?.reportedAt;
+    return !!reportedAt && previousById.get(m.id)?.reportedAt === reportedAt;
+  };
+  const skipped = skipUnchanged && useSno ? requested.filter(unchanged).map(m => m.id) : [];
+  const targets = skipped.length ? requested.filter(m => !skipped.includes(m.id)) : requested;
+  if (skipped.length) console.log(`[scraper] Skipping ${skipped.length} mountain(s) with no new SnoCountry report: ${skipped.join(', ')}`);
 
-  allResorts.forEach(r => {
-    const parsed = parseRecord(r);
-    if (parsed && !matchedNames.has(parsed.name)) {
-      matched.push(parsed);
-      matchedNames.add(parsed.name);
-      console.log(`  [${parsed.base != null ? '✓' : '~'}] ${parsed.name} — base: ${parsed.base ?? '—'}" new24: ${parsed.newSnow24 ?? '—'}"`);
+  // Each mountain is merged and validated as soon as its scraper settles, and
+  // handed to onMountain then rather than after the slowest resort site
+  const saves   = [];
+  const settled = await Promise.all(targets.map(async m => {
+    const result = await timed(() => useResort && SCRAPERS[m.id] ? SCRAPERS[m.id](m) : null);
+    if (result.error) {
+      console.warn(`  [✗] ${m.name} — ERROR: ${result.error.message}`);
+    }
+    const previous = previousById.get(m.id);
+    const sno      = useSno ? snoById.get(m.id) : storedSource(previous, 'snocountry');
+    const resort   = useResort ? result.value || null : storedSource(previous, 'resort');
+    const checked  = validateAll([mergeRecords(m, sno, resort)], previousMountains);
+    if (onMountain) {
+      const saved = Promise.resolve().then(() => onMountain(checked.mountains[0]));
+      saved.catch(() => {});   // awaited below, once every scraper has settled
+      saves.push(saved);
     }
+    return { ...result, checked };
+  }));
+  await Promise.all(saves);
+
+  const mountains  = settled.map(r => r.checked.mountains[0]);
+  const validation = {
+    rejected:    settled.flatMap(r => r.checked.report.rejected),
+    quarantined: settled.flatMap(r => r.checked.report.quarantined),
+  };
+  mountains.forEach(m => {
+    const filled = Object.values(m.sources).filter(s => s === 'resort').length;
+    console.log(`  [${m.base != null ? '✓' : '~'}] ${m.name} — base: ${m.base ?? '—'}" new24: ${m.newSnow24 ?? '—'}" (${filled} field(s) from resort)`);
+    m.rejected.forEach(p => console.warn(`      rejected ${p.field}=${JSON.stringify(p.value)} (${p.source}): ${p.reason}`));
+    if (m.quarantined) console.warn(`      quarantined — ${m.rejected.length} fields failed validation`);
   });
 
-  const successCount = matched.filter(m => m.base != null).length;
+  const breakers     = finishRun();
+  const openCircuits = Object.entries(breakers)
+    .filter(([, b]) => b.openUntil)
+    .map(([host, b]) => ({ host, ...b }));
+  await setBreakerState(breakers)
+    .catch(err => console.warn(`[scraper] Could not save circuit breaker state: ${err.message}`));
+  openCircuits.forEach(c => console.warn(`[scraper] Circuit open for ${c.host} until ${c.openUntil} (${c.failedRuns} failed runs, last: ${c.lastError})`));
+
+  const successCount = mountains.filter(m => m.base != null).length;
   const elapsed = ((Date.now() - start) / 1000).toFixed(1);
-  console.log(`[scraper] Done in ${elapsed}s — ${successCount}/${matched.length} matched`);
+  console.log(`[scraper] Done in ${elapsed}s — ${successCount}/${mountains.length} mountains with base depth`);
 
   return {
-    mountains: matched,
-    scrapedAt: new Date().toISOString(),
+    mountains,
+    scrapedAt: now(),
     successCount,
-    totalCount: matched.length,
+    totalCount: mountains.length,
+    skipped,
+    bySource: targets.map((m, i) => ({
+      id:      m.id,
+      name:    m.name,
+      records: {
+        ...(useSno && { snocountry: snoById.get(m.id) || null }),
+        ...(useResort && SCRAPERS[m.id] && { resort: settled[i].value || null }),
+      },
+    })),
+    matchReport,
+    validation,
+    openCircuits,
+    run: {
+      startedAt:  new Date(start).toISOString(),
+      durationMs: Date.now() - start,
+      snocountry: { durationMs: sno.durationMs, requests: sno.requests },
+      mountains:  mountains.map((m, i) => runEntry(targets[i], m, settled[i])),
+    },
+  };
+}
+
+// withRequestLog plus wall-clock time
+async function timed(fn) {
+  const start  = Date.now();
+  const result = await withRequestLog(fn);
+  return { ...result, durationMs: Date.now() - start };
+}
+
+/**
+ * runEntry — one mountain's line in the run log: did it get a base depth, and
+ * if not, the most telling error and HTTP status among its requests.
+ */
+function runEntry(mountain, record, result) {
+  const requests = result.requests;
+  const failed   = requests.filter(r => r.error);
+  const last     = requests[requests.length - 1];
+  return {
+    id:         mountain.id,
+    name:       mountain.name,
+    status:     record.base != null ? 'ok' : 'failed',
+    error:      result.error?.message
+      || (record.quarantined ? `quarantined: ${record.rejected.map(r => r.reason).join('; ')}` : null)
+      || failed[failed.length - 1]?.error
+      || null,
+    httpStatus: last?.status ?? null,
+    sourceUrl:  record.source && record.source !== 'SnoCountry' ? record.source : mountain.scrape?.url || null,
+    durationMs: result.durationMs,
+    requests,
   };
 }
 
-module.exports = { runAllScrapers };
+module.exports = { runAllScrapers, mergeRecords, storedSource };
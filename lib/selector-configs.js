@@ -0,0 +1,280 @@
+/**
+ * selector-configs.js — declarative scraper configs for plain-HTML resort pages
+ *
+ * Each resort is pure data: no code to write, just CSS selectors. To fix a
+ * broken field, open the resort page in a browser, inspect the element that
+ * holds the number, and put a selector for it FIRST in that field's list.
+ * Then check it with:
+ *
+ *   node lib/test-scrapers.js burke                      — against the live page
+ *   node lib/test-scrapers.js burke --html ./burke.html  — against a saved copy of the page
+ *
+ * Config shape (keyed by registry id from lib/mountains.js):
+ * {
+ *   fields: {
+ *     <field>: {
+ *       parse:     'inches' | 'int' | 'text'   — how to read the matched text
+ *       unit:      'in' | 'cm'                 — optional; 'cm' values are converted to inches
+ *       selectors: [ ... ]                     — tried in order, first one that parses wins:
+ *                    '[class*="base"]'              — CSS selector, text of the first match
+ *                    { label: 'base' }              — value of the table row whose label contains 'base'
+ *                    { label: ['open', 'trail'] }   — ...whose label contains all of these words
+ *                    { json: 'baseDepth' }          — value of that key anywhere in the page's embedded
+ *                                                     JSON (JSON-LD, __NEXT_DATA__, data-* attributes...)
+ *     },
+ *   },
+ *   table:  { rows, label, value }             — optional; selectors for label lookups
+ *                                                (default: 'table tr, .report-row',
+ *                                                 'td:first-child, .label', 'td:last-child, .value')
+ *   status: 'Open'                             — optional; status to report (default none —
+ *                                                SnoCountry's resort_status decides)
+ * }
+ *
+ * Field names are the ones listed at the top of lib/resort-scrapers.js. Fields
+ * no selector finds are still looked up in the page's embedded JSON by common
+ * key names, so a config only needs { json } for unusual keys.
+ */
+
+const SELECTOR_CONFIGS = {
+  // ── New Jersey ──
+  'mountain-creek': {
+    // Mountain Creek publishes conditions at a straightforward HTML page
+    fields: {
+      base:        { parse: 'inches', selectors: ['[class*="base"]', '[class*="Base"]'] },
+      newSnow24:   { parse: 'inches', selectors: ['[class*="24"]', '[class*="overnight"]'] },
+      trailsOpen:  { parse: 'int',    selectors: ['[class*="open"][class*="trail"]', '[class*="trails-open"]'] },
+      trailsTotal: { parse: 'int',    selectors: ['[class*="total"][class*="trail"]', '[class*="trails-total"]'] },
+      surface:     { parse: 'text',   selectors: ['[class*="surface"]', '[class*="condition"]'] },
+    },
+  },
+
+  // ── Vermont ──
+  'stratton': {
+    fields: {
+      base:        { parse: 'inches', selectors: ['[data-field="base-depth"]'] },
+      newSnow24:   { parse: 'inches', selectors: ['[data-field="overnight-snowfall"]'] },
+      trailsOpen:  { parse: 'int',    selectors: ['[data-field="open-trails"]'] },
+      trailsTotal: { parse: 'int',    selectors: ['[data-field="total-trails"]'] },
+      liftsOpen:   { parse: 'int',    selectors: ['[data-field="open-lifts"]'] },
+      surface:     { parse: 'text',   selectors: ['[data-field="surface-conditions"]'] },
+    },
+  },
+  'sugarbush': {
+    // Sugarbush has a dedicated conditions page with good HTML structure
+    fields: {
+      base:        { parse: 'inches', selectors: ['.base-depth', '[class*="base"]'] },
+      newSnow24:   { parse: 'inches', selectors: ['[class*="24hour"]', '[class*="overnight"]'] },
+      trailsOpen:  { parse: 'int',    selectors: ['[class*="trails-open"]'] },
+      trailsTotal: { parse: 'int',    selectors: ['[class*="trails-total"]'] },
+      liftsOpen:   { parse: 'int',    selectors: ['[class*="lifts-open"]'] },
+      surface:     { parse: 'text',   selectors: ['[class*="surface"]'] },
+    },
+  },
+  'pico': {
+    // Pico shares Killington's resort system — try their specific page
+    fields: {
+      base:        { parse: 'inches', selectors: ['[class*="base"]'] },
+      newSnow24:   { parse: 'inches', selectors: ['[class*="overnight"]', '[class*="24"]'] },
+      trailsOpen:  { parse: 'int',    selectors: ['[class*="trails-open"]'] },
+      trailsTotal: { parse: 'int',    selectors: ['[class*="trails-total"]'] },
+      surface:     { parse: 'text',   selectors: ['[class*="surface"]'] },
+    },
+  },
+  'jay-peak': {
+    // Jay Peak has one of the best snow report pages — clear class names on the
+    // report widget, plus a label/value table used when the class names miss
+    fields: {
+      base:        { parse: 'inches', selectors: ['[class*="snow-depth"]', '[class*="base-depth"]', { label: 'base' }] },
+      newSnow24:   { parse: 'inches', selectors: ['[class*="new-snow"]', '[class*="overnight"]', { label: '24' }] },
+      newSnow48:   { parse: 'inches', selectors: [{ label: '48' }] },
+      trailsOpen:  { parse: 'int',    selectors: ['[class*="trails-open"]', { label: ['open', 'trail'] }] },
+      trailsTotal: { parse: 'int',    selectors: ['[class*="trails-total"]'] },
+      season:      { parse: 'inches', selectors: ['[class*="season-total"]', { label: 'season' }] },
+      surface:     { parse: 'text',   selectors: ['[class*="surface"]'] },
+    },
+  },
+  'burke': {
+    fields: {
+      base:       { parse: 'inches', selectors: ['[class*="base"]'] },
+      newSnow24:  { parse: 'inches', selectors: ['[class*="overnight"]', '[class*="new-snow"]'] },
+      trailsOpen: { parse: 'int',    selectors: ['[class*="open"]'] },
+      surface:    { parse: 'text',   selectors: ['[class*="surface"]', '[class*="condition"]'] },
+    },
+  },
+  'bolton-valley': {
+    fields: {
+      base:       { parse: 'inches', selectors: ['[class*="base"]'] },
+      newSnow24:  { parse: 'inches', selectors: ['[class*="24"]', '[class*="overnight"]'] },
+      trailsOpen: { parse: 'int',    selectors: ['[class*="open"]'] },
+      season:     { parse: 'inches', selectors: ['[class*="season"]'] },
+      surface:    { parse: 'text',   selectors: ['[class*="surface"]'] },
+    },
+  },
+  'magic': {
+    fields: {
+      base:       { parse: 'inches', selectors: ['[class*="base"]'] },
+      newSnow24:  { parse: 'inches', selectors: ['[class*="new"]', '[class*="overnight"]'] },
+      trailsOpen: { parse: 'int',    selectors: ['[class*="open"]'] },
+      season:     { parse: 'inches', selectors: ['[class*="season"]'] },
+    },
+  },
+
+  // ── New York ──
+  'whiteface': {
+    // Whiteface (NY state) — Olympic Regional Development Authority site
+    fields: {
+      base:        { parse: 'inches', selectors: ['[class*="base"]'] },
+      summit:      { parse: 'inches', selectors: ['[class*="summit"]'] },
+      newSnow24:   { parse: 'inches', selectors: ['[class*="24"]', '[class*="overnight"]'] },
+      trailsOpen:  { parse: 'int',    selectors: ['[class*="trails-open"]', '[class*="open-trails"]'] },
+      trailsTotal: { parse: 'int',    selectors: ['[class*="trails-total"]'] },
+      liftsOpen:   { parse: 'int',    selectors: ['[class*="lifts-open"]'] },
+      surface:     { parse: 'text',   selectors: ['[class*="surface"]'] },
+    },
+  },
+  'gore': {
+    // Gore Mountain — also ORDA (same system as Whiteface)
+    fields: {
+      base:        { parse: 'inches', selectors: ['[class*="base"]'] },
+      newSnow24:   { parse: 'inches', selectors: ['[class*="24"]', '[class*="overnight"]'] },
+      trailsOpen:  { parse: 'int',    selectors: ['[class*="trails-open"]'] },
+      trailsTotal: { parse: 'int',    selectors: ['[class*="trails-total"]'] },
+      surface:     { parse: 'text',   selectors: ['[class*="surface"]'] },
+    },
+  },
+  'belleayre': {
+    fields: {
+      base:       { parse: 'inches', selectors: ['[class*="base"]'] },
+      newSnow24:  { parse: 'inches', selectors: ['[class*="24"]', '[class*="overnight"]'] },
+      trailsOpen: { parse: 'int',    selectors: ['[class*="open"]'] },
+      surface:    { parse: 'text',   selectors: ['[class*="surface"]'] },
+    },
+  },
+  'catamount': {
+    fields: {
+      base:       { parse: 'inches', selectors: ['[class*="base"]'] },
+      newSnow24:  { parse: 'inches', selectors: ['[class*="overnight"]', '[class*="new"]'] },
+      trailsOpen: { parse: 'int',    selectors: ['[class*="open"]'] },
+    },
+  },
+  'greek-peak': {
+    fields: {
+      base:       { parse: 'inches', selectors: ['[class*="base"]'] },
+      newSnow24:  { parse: 'inches', selectors: ['[class*="overnight"]', '[class*="new"]'] },
+      trailsOpen: { parse: 'int',    selectors: ['[class*="open"]'] },
+    },
+  },
+  'west-mountain': {
+    fields: {
+      base:       { parse: 'inches', selectors: ['[class*="base"]'] },
+      newSnow24:  { parse: 'inches', selectors: ['[class*="overnight"]', '[class*="new"]'] },
+      trailsOpen: { parse: 'int',    selectors: ['[class*="open"]'] },
+    },
+  },
+
+  // ── Eastern Pennsylvania ──
+  'camelback': {
+    fields: {
+      base:        { parse: 'inches', selectors: ['[class*="base"]'] },
+      newSnow24:   { parse: 'inches', selectors: ['[class*="24"]', '[class*="overnight"]'] },
+      trailsOpen:  { parse: 'int',    selectors: ['[class*="trails-open"]', '[class*="open-trails"]'] },
+      trailsTotal: { parse: 'int',    selectors: ['[class*="trails-total"]'] },
+      surface:     { parse: 'text',   selectors: ['[class*="surface"]'] },
+    },
+  },
+  'blue-mountain-pa': {
+    fields: {
+      base:       { parse: 'inches', selectors: ['[class*="base"]'] },
+      newSnow24:  { parse: 'inches', selectors: ['[class*="24"]', '[class*="overnight"]'] },
+      trailsOpen: { parse: 'int',    selectors: ['[class*="open"]'] },
+      surface:    { parse: 'text',   selectors: ['[class*="surface"]'] },
+    },
+  },
+  'shawnee': {
+    fields: {
+      base:       { parse: 'inches', selectors: ['[class*="base"]'] },
+      newSnow24:  { parse: 'inches', selectors: ['[class*="overnight"]', '[class*="24"]'] },
+      trailsOpen: { parse: 'int',    selectors: ['[class*="open"]'] },
+    },
+  },
+
+  // ── New Hampshire & Maine ──
+  'sunday-river': {
+    fields: {
+      base:        { parse: 'inches', selectors: ['[data-field="base-depth"]'] },
+      summit:      { parse: 'inches', selectors: ['[data-field="summit-depth"]'] },
+      newSnow24:   { parse: 'inches', selectors: ['[data-field="overnight-snowfall"]'] },
+      newSnow48:   { parse: 'inches', selectors: ['[data-field="48hr-snowfall"]'] },
+      trailsOpen:  { parse: 'int',    selectors: ['[data-field="open-trails"]'] },
+      trailsTotal: { parse: 'int',    selectors: ['[data-field="total-trails"]'] },
+      liftsOpen:   { parse: 'int',    selectors: ['[data-field="open-lifts"]'] },
+      surface:     { parse: 'text',   selectors: ['[data-field="surface-conditions"]'] },
+    },
+  },
+  'sugarloaf': {
+    fields: {
+      base:        { parse: 'inches', selectors: ['[data-field="base-depth"]'] },
+      summit:      { parse: 'inches', selectors: ['[data-field="summit-depth"]'] },
+      newSnow24:   { parse: 'inches', selectors: ['[data-field="overnight-snowfall"]'] },
+      trailsOpen:  { parse: 'int',    selectors: ['[data-field="open-trails"]'] },
+      trailsTotal: { parse: 'int',    selectors: ['[data-field="total-trails"]'] },
+      surface:     { parse: 'text',   selectors: ['[data-field="surface-conditions"]'] },
+      season:      { parse: 'inches', selectors: ['[data-field="season-total"]'] },
+    },
+  },
+  'saddleback': {
+    fields: {
+      base:       { parse: 'inches', selectors: ['[class*="base"]'] },
+      newSnow24:  { parse: 'inches', selectors: ['[class*="24"]', '[class*="overnight"]'] },
+      trailsOpen: { parse: 'int',    selectors: ['[class*="open"]'] },
+      season:     { parse: 'inches', selectors: ['[class*="season"]'] },
+    },
+  },
+  'loon': {
+    fields: {
+      base:        { parse: 'inches', selectors: ['[data-field="base-depth"]'] },
+      newSnow24:   { parse: 'inches', selectors: ['[data-field="overnight-snowfall"]'] },
+      trailsOpen:  { parse: 'int',    selectors: ['[data-field="open-trails"]'] },
+      trailsTotal: { parse: 'int',    selectors: ['[data-field="total-trails"]'] },
+      surface:     { parse: 'text',   selectors: ['[data-field="surface-conditions"]'] },
+    },
+  },
+  'cannon': {
+    // Cannon — New Hampshire state park system
+    fields: {
+      base:        { parse: 'inches', selectors: ['[class*="base"]'] },
+      newSnow24:   { parse: 'inches', selectors: ['[class*="overnight"]', '[class*="24"]'] },
+      trailsOpen:  { parse: 'int',    selectors: ['[class*="open"]'] },
+      trailsTotal: { parse: 'int',    selectors: ['[class*="total"]'] },
+      season:      { parse: 'inches', selectors: ['[class*="season"]'] },
+      surface:     { parse: 'text',   selectors: ['[class*="surface"]'] },
+    },
+  },
+  'waterville-valley': {
+    fields: {
+      base:       { parse: 'inches', selectors: ['[class*="base"]'] },
+      newSnow24:  { parse: 'inches', selectors: ['[class*="overnight"]', '[class*="24"]'] },
+      trailsOpen: { parse: 'int',    selectors: ['[class*="open"]'] },
+    },
+  },
+
+  // ── Canada ──
+  'le-massif': {
+    // Le Massif de Charlevoix — French class names alongside the English ones
+    fields: {
+      base:        { parse: 'inches', selectors: ['[class*="base"]', '[class*="neige"]'] },
+      newSnow24:   { parse: 'inches', selectors: ['[class*="24"]', '[class*="chute"]'] },
+      trailsOpen:  { parse: 'int',    selectors: ['[class*="open"]', '[class*="ouvert"]'] },
+      season:      { parse: 'inches', selectors: ['[class*="season"]', '[class*="saison"]'] },
+    },
+  },
+  'mont-sainte-anne': {
+    fields: {
+      base:       { parse: 'inches', selectors: ['[class*="base"]', '[class*="neige"]'] },
+      newSnow24:  { parse: 'inches', selectors: ['[class*="24"]', '[class*="overnight"]'] },
+      trailsOpen: { parse: 'int',    selectors: ['[class*="open"]', '[class*="ouvert"]'] },
+    },
+  },
+};
+
+module.exports = { SELECTOR_CONFIGS };
@@ -0,0 +1,117 @@
+/**
+ * selector-engine.js — runs the declarative configs in lib/selector-configs.js
+ *
+ * For each field, the selectors are tried in order and the first one whose text
+ * parses to a value wins. Fields still null after that are looked up in the
+ * page's embedded JSON (withStructuredFallback in lib/scraper-helpers.js); a
+ * field with no match anywhere is null, like any other scraper.
+ */
+
+const {
+  fetchHTML, parseInches, parseInt2, cmToIn, now,
+  findEmbeddedJSON, searchJSON, unwrap, withStructuredFallback,
+} = require('./scraper-helpers');
+const { CONDITION_FIELDS } = require('./fields');
+
+const PARSERS = {
+  inches: parseInches,
+  int:    parseInt2,
+  text:   str => (str || '').trim() || null,
+};
+
+const DEFAULT_TABLE = {
+  rows:  'table tr, .report-row',
+  label: 'td:first-child, .label',
+  value: 'td:last-child, .value',
+};
+
+// Value cell of the first table row whose label contains every word
+function labelLookup($, table, label) {
+  const words = [].concat(label).map(w => String(w).toLowerCase());
+  let found = null;
+  $(table.rows).each((_, el) => {
+    const text = $(el).find(table.label).text().toLowerCase().trim();
+    if (words.every(w => text.includes(w))) {
+      found = $(el).find(table.value).text().trim();
+      return false;
+    }
+  });
+  return found;
+}
+
+// Value of the first embedded-JSON key matching the given name(s)
+function jsonLookup(blobs, keys) {
+  const hit = searchJSON(blobs, keys);
+  return hit ? unwrap(hit.value) : null;
+}
+
+function extractField($, spec, table, blobs) {
+  const parse = PARSERS[spec.parse || 'text'];
+  for (const selector of spec.selectors) {
+    let raw;
+    if (typeof selector === 'string') raw = $(selector).first().text();
+    else if (selector.label)          raw = labelLookup($, table, selector.label);
+    else                              raw = jsonLookup(blobs(), selector.json);
+    const value = parse(raw == null ? raw : String(raw));
+    if (value != null) return spec.unit === 'cm' ? cmToIn(value) : value;
+  }
+  return null;
+}
+
+/** extractFields — apply a config to an already-loaded page. */
+function extractFields($, config) {
+  const table  = { ...DEFAULT_TABLE, ...config.table };
+  // Only scan the page for JSON if a { json } selector actually needs it
+  let found;
+  const blobs = () => (found = found || findEmbeddedJSON($));
+
+  const result = {};
+  Object.entries(config.fields).forEach(([field, spec]) => {
+    result[field] = extractField($, spec, table, blobs);
+  });
+  return result;
+}
+
+/**
+ * validateConfig — list problems with a config (unknown fields, parsers or
+ * units, empty selector lists). An empty array means it's fine.
+ */
+function validateConfig(id, config) {
+  const problems = [];
+  if (!config || typeof config.fields !== 'object') return [`${id}: missing "fields"`];
+  Object.entries(config.fields).forEach(([field, spec]) => {
+    if (!CONDITION_FIELDS.includes(field))        problems.push(`${id}.${field}: unknown field`);
+    if (spec.parse && !PARSERS[spec.parse])       problems.push(`${id}.${field}: unknown parse "${spec.parse}"`);
+    if (spec.unit && !['in', 'cm'].includes(spec.unit)) problems.push(`${id}.${field}: unknown unit "${spec.unit}"`);
+    if (!Array.isArray(spec.selectors) || !spec.selectors.length) {
+      problems.push(`${id}.${field}: needs at least one selector`);
+    } else {
+      spec.selectors.forEach((sel, i) => {
+        if (typeof sel !== 'string' && !(sel && (sel.label || sel.json))) {
+          problems.push(`${id}.${field}: selector ${i + 1} must be a CSS string, { label } or { json }`);
+        }
+      });
+    }
+  });
+  return problems;
+}
+
+/** scrapeWithConfig — a full scraper built from a config; called with the registry entry. */
+async function scrapeWithConfig(m, config) {
+  const url = m.scrape.url;
+  try {
+    const $ = await fetchHTML(url);
+    return {
+      name:      m.name,
+      ...withStructuredFallback($, extractFields($, config)),
+      status:    config.status || null,
+      updatedAt: now(),
+      source:    url,
+    };
+  } catch (e) {
+    console.warn(`${m.id} scraper failed:`, e.message);
+    return { name: m.name, updatedAt: now(), source: url };
+  }
+}
+
+module.exports = { scrapeWithConfig, extractFields, validateConfig };
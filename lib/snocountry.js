@@ -0,0 +1,172 @@
+/**
+ * snocountry.js — SnoCountry feed client
+ *
+ * PRIMARY SOURCE: SnoCountry API (feeds.snocountry.net)
+ * - Free, no account needed beyond a key
+ * - Data comes directly from resort snow reporters (same source as OnTheSnow)
+ * - Returns: base depth, new snow 24/48/72hr, trails open/total, lifts, surface, season total
+ * - Covers all US mountains + Quebec Canada
+ * - Updated throughout the day as reports come in from resorts
+ *
+ * API key: SnoCountry.example works for single-state requests (no limit per their docs)
+ * For production: email snocountry.net to request a dedicated free key for your site
+ */
+
+const { matchResort, NORMALIZED_SCORE } = require('./name-match');
+const { httpFetch }                     = require('./http');
+const { easternIso }                    = require('./schedule');
+
+const SNOCOUNTRY_KEY = process.env.SNOCOUNTRY_API_KEY || 'SnoCountry.example';
+const SNOCOUNTRY_URL = 'https://feeds.snocountry.net/conditions.json';
+
+function resortName(r) {
+  // Try both camelCase and snake_case field names — SnoCountry has been inconsistent
+  return (r.resort_name || r.resortName || '').trim();
+}
+
+// SnoCountry dates come as "2026-11-21" or "2026-11-21 00:00:00"; keep the day
+function isoDay(value) {
+  const match = /^(\d{4}-\d{2}-\d{2})/.exec(String(value || ''));
+  return match ? match[1] : null;
+}
+
+// First of the alternative field values that is present, parsed — a reported
+// 0 ("no new snow", "0 runs open") stays 0
+function firstNumber(parse, ...values) {
+  const value = values.find(v => v != null && v !== '');
+  const n     = value == null ? NaN : parse(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+const float = v => parseFloat(v);
+const int   = v => parseInt(v, 10);
+
+/**
+ * parseRecord — convert one raw SnoCountry record into our shape for the
+ * registry mountain it was matched to (see lib/name-match.js).
+ */
+function parseRecord(r, mountain) {
+  const base   = firstNumber(float, r.base_depth, r.baseDepth);
+  const summit = firstNumber(float, r.summit_depth, r.summitDepth);
+  const new24  = firstNumber(float, r.fresh_snow, r.freshSnow, r.snow_last_24h, r.snowLast24Hours);
+  const new48  = firstNumber(float, r.snow_last_48h, r.snowLast48Hours);
+  const new7d  = firstNumber(float, r.snow_last_7d, r.snowLast7Days);
+  const season = firstNumber(float, r.season_total, r.seasonTotal);
+  const tOpen  = firstNumber(int, r.open_runs, r.openRuns, r.open_trails, r.openTrails);
+  const tTotal = firstNumber(int, r.total_runs, r.totalRuns, r.total_trails, r.totalTrails);
+  const lOpen  = firstNumber(int, r.open_lifts, r.openLifts);
+  const lTotal = firstNumber(int, r.total_lifts, r.totalLifts);
+
+  const statusCode = firstNumber(int, r.resort_status, r.resortStatus);
+  const status     = statusCode == null ? null : statusCode <= 3 ? 'Open' : 'Closed';
+
+  // Resort wall-clock time without a zone — given its Eastern offset, or
+  // Date.parse would read it as the server's (UTC on Vercel)
+  const reportedAt = easternIso(r.report_date_time || r.reportDateTime || null);
+
+  return {
+    id:   mountain.id,
+    name: mountain.name,
+    base, summit, newSnow24: new24, newSnow48: new48, newSnow7d: new7d,
+    trailsOpen: tOpen, trailsTotal: tTotal,
+    liftsOpen: lOpen, liftsTotal: lTotal,
+    surface: r.primary_surface_condition || r.primarySurfaceCondition || null,
+    season, status,
+    openingDate: isoDay(r.opening_date || r.openingDate),
+    closingDate: isoDay(r.closing_date || r.closingDate),
+    updatedAt: reportedAt || new Date().toISOString(),
+    // Or null — what lib/schedule.js compares to tell a new report from the last one
+    reportedAt,
+    source: 'SnoCountry',
+  };
+}
+
+async function fetchState(stateCode) {
+  const url = `${SNOCOUNTRY_URL}?apiKey=${SNOCOUNTRY_KEY}&states=${stateCode}`;
+  try {
+    const res = await httpFetch(url, {
+      headers: { 'User-Agent': 'NJSkiHaus/1.0 (njskihaus.com)' },
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status} for state ${stateCode}`);
+    const data = await res.json();
+    return Array.isArray(data) ? data : (data.resorts || data.data || []);
+  } catch (e) {
+    console.warn(`[scraper] fetchState(${stateCode}) failed:`, e.message);
+    return [];
+  }
+}
+
+/**
+ * matchStates — match every resort in the states' SnoCountry results to the
+ * registry by name. `results` is [{ state, resorts }]. Returns:
+ *   byId        — Map of registry id → parsed record (best-scoring name wins)
+ *   matchReport — { unmatched, ambiguous, fuzzy } lists of SnoCountry names,
+ *                 each with its state, best score and candidate mountain ids
+ *   total       — resorts seen
+ *
+ * `fuzzy` holds names that matched below an exact/normalized score — worth a
+ * glance, and worth adding to the mountain's `snocountry` aliases once confirmed.
+ * `unmatched` only lists near misses, names with at least one candidate; the
+ * states' other resorts (Bromley, Smugglers' Notch...) aren't ours and aren't listed.
+ */
+function matchStates(results) {
+  const byId   = new Map();
+  const scores = new Map();
+  const matchReport = { unmatched: [], ambiguous: [], fuzzy: [] };
+  let total = 0;
+
+  results.forEach(({ state, resorts }) => {
+    total += resorts.length;
+    resorts.forEach(r => {
+      const name = resortName(r);
+      if (!name) return;
+      const match = matchResort(name, state);
+      const entry = { name, state, score: match.score, candidates: match.candidates };
+
+      if (match.ambiguous) { matchReport.ambiguous.push(entry); return; }
+      if (!match.mountain) {
+        if (match.candidates.length) matchReport.unmatched.push(entry);
+        return;
+      }
+      if (match.score < NORMALIZED_SCORE) matchReport.fuzzy.push({ ...entry, id: match.mountain.id });
+
+      const { id } = match.mountain;
+      if (scores.has(id) && scores.get(id) >= match.score) return;
+      byId.set(id, { ...parseRecord(r, match.mountain), matchScore: match.score });
+      scores.set(id, match.score);
+    });
+  });
+
+  return { byId, matchReport, total };
+}
+
+/**
+ * fetchSnoCountry — pulls every state in parallel and matches each resort to
+ * the registry (see matchStates). Returns { byId, matchReport }.
+ */
+async function fetchSnoCountry(states) {
+  const settled = await Promise.allSettled(states.map(fetchState));
+
+  const results = [];
+  settled.forEach((result, i) => {
+    const state = states[i];
+    if (result.status !== 'fulfilled') {
+      console.warn(`[scraper] ${state} failed:`, result.reason?.message);
+      return;
+    }
+    console.log(`[scraper] ${state}: ${result.value.length} resorts`);
+    results.push({ state, resorts: result.value });
+  });
+
+  const { byId, matchReport, total } = matchStates(results);
+  console.log(`[scraper] SnoCountry: ${total} resorts, ${byId.size} matched, ` +
+    `${matchReport.fuzzy.length} fuzzy, ${matchReport.ambiguous.length} ambiguous, ` +
+    `${matchReport.unmatched.length} near misses`);
+  matchReport.ambiguous.forEach(a => {
+    console.warn(`[scraper] Ambiguous SnoCountry name "${a.name}" (${a.state}) — candidates: ${a.candidates.map(c => c.id).join(', ')}`);
+  });
+
+  return { byId, matchReport };
+}
+
+module.exports = { fetchSnoCountry, fetchState, parseRecord, matchStates };
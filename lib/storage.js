@@ -1,80 +1,530 @@
 /**
- * storage.js — KV abstraction layer
- * 
- * In production (Vercel): uses @vercel/kv (Redis-backed key-value store)
- * In development (local): falls back to a local JSON file at /tmp/njskihaus-cache.json
- * 
+ * storage.js — what we store, under which keys, for how long
+ *
+ * The bytes go to a pluggable backend (lib/backends/, interface in base.js),
+ * picked by STORAGE_BACKEND:
+ *
+ *   kv      — Vercel KV; the default when KV_REST_API_URL / KV_URL is set
+ *   file    — JSON files in STORAGE_DIR (default /tmp/njskihaus-store); the
+ *             default otherwise, i.e. local development
+ *   sqlite  — STORAGE_SQLITE_PATH (default ./data/njskihaus.db), for self-hosting;
+ *             needs the optional better-sqlite3 dependency
+ *   memory  — in-process, gone on exit; for tests
+ *
+ * Backend failures reject with a StorageError — a missing key is null, a broken
+ * store is an error. The scrape and API routes let it through as a 500;
+ * secondary state (breakers, drift, alert dedupe) is logged and skipped.
+ * `node lib/test-storage.js` runs the conformance suite against each backend.
+ *
  * To set up Vercel KV:
  *   1. vercel login
  *   2. vercel link  (links your local folder to your Vercel project)
  *   3. vercel env pull .env.local  (pulls KV_URL etc into .env.local)
+ *
+ * Keys:
+ *   mountain_v1:<mountain id> — that mountain's latest record (what /api/conditions
+ *                               serves), written as soon as its scraper finishes.
+ *                               No expiry: lib/freshness.js says how old it is
+ *   conditions_index_v1       — { scrapedAt, storedAt, successCount, totalCount, etag,
+ *                               mountains: { <id>: { etag, scrapedAt, storedAt, ok } } },
+ *                               updated after each record, so it's also what a
+ *                               conditional GET checks without reading any records
+ *   conditions_report_v1      — the last run's matchReport / validation / openCircuits
+ *   conditions_v1             — the whole payload as one value, as stored before
+ *                               per-mountain keys; read only until the index exists
+ *                               (with conditions_last_good_v1 and conditions_meta_v1)
+ *   snapshot_v1:<YYYY-MM-DD>  — the day's last scrape that changed a history field, kept HISTORY_DAYS
+ *   history_v1:<mountain id>  — per-mountain daily series for /api/history
+ *   archived_v1               — today's archived history points, so intraday ticks
+ *                               that change nothing don't rewrite them
+ *   breakers_v1               — per-host circuit breaker state (lib/http.js)
+ *   drift_v2                  — per-mountain, per-source null-field streaks for drift alerts (lib/drift.js)
+ *   alerts_v1                 — powder alert subscriptions (lib/alerts.js), no expiry
+ *   alert_state_v1            — which subscription/mountain pairs already fired this storm
+ *   ratelimit_v1:<name>:<ip>  — one client's requests in the current rate-limit
+ *                               window (takeRateLimit; the address hashed), expires with it
+ *   push_v1                   — browser push subscriptions (lib/push.js), no expiry
+ *   push_state_v1             — push snow-alert dedupe state, like alert_state_v1
+ *   scrape_cursor_v1          — where batched /api/scrape runs carry on (lib/scrape-targets.js)
+ *   schedule_v1               — per-mountain last check and report times (lib/schedule.js)
+ *   run_v1:<run id>           — one scrape run's log, kept RUN_DAYS
+ *   runs_v1                   — index of recent runs (summaries, newest first) for /api/runs
  */
 
-const fs   = require('fs');
-const path = require('path');
+const crypto = require('crypto');
 
-const LOCAL_FILE = path.join('/tmp', 'njskihaus-cache.json');
-const KV_KEY     = 'conditions_v1';
+const { carryForwardRecord }  = require('./carry-forward');
+const { MOUNTAINS }           = require('./mountains');
+const { StorageError }        = require('./backends/base');
+const { createMemoryBackend } = require('./backends/memory');
+const { createFileBackend }   = require('./backends/file');
 
-// ── Vercel KV (production) ──
-async function kvGet(key) {
-  try {
-    const { kv } = require('@vercel/kv');
-    return await kv.get(key);
-  } catch {
-    return null;
+const MOUNTAIN_PREFIX = 'mountain_v1:';
+const INDEX_KEY       = 'conditions_index_v1';
+const REPORT_KEY      = 'conditions_report_v1';
+
+// The single-payload layout per-mountain keys replaced, newest first
+const LEGACY_KEYS     = ['conditions_v1', 'conditions_last_good_v1'];
+const LEGACY_META_KEY = 'conditions_meta_v1';
+
+const SNAPSHOT_PREFIX = 'snapshot_v1:';
+const HISTORY_PREFIX  = 'history_v1:';
+const HISTORY_DAYS    = 365;
+const ARCHIVED_KEY    = 'archived_v1';
+const BREAKERS_KEY    = 'breakers_v1';
+const DRIFT_KEY       = 'drift_v2';
+const ALERTS_KEY      = 'alerts_v1';
+const ALERT_STATE_KEY = 'alert_state_v1';
+const RATE_PREFIX     = 'ratelimit_v1:';
+const PUSH_KEY        = 'push_v1';
+const PUSH_STATE_KEY  = 'push_state_v1';
+const CURSOR_KEY      = 'scrape_cursor_v1';
+const SCHEDULE_KEY    = 'schedule_v1';
+const RUN_PREFIX      = 'run_v1:';
+const RUNS_KEY        = 'runs_v1';
+const RUN_DAYS        = 30;
+
+// Default TTL: 36 hours. null means keep forever (conditions, subscriptions).
+const DEFAULT_TTL = 60 * 60 * 36;
+
+// Fields kept in the per-mountain history series
+const HISTORY_FIELDS = ['base', 'newSnow24', 'newSnow48', 'trailsOpen', 'trailsTotal', 'status'];
+
+const BACKENDS = ['kv', 'file', 'sqlite', 'memory'];
+
+// ── Backend selection ──
+
+/** createBackend — a backend as configured by STORAGE_BACKEND and friends (see top). */
+function createBackend(env = process.env) {
+  const kvConfigured = !!(env.KV_URL || env.KV_REST_API_URL);
+  const name = (env.STORAGE_BACKEND || (kvConfigured ? 'kv' : 'file')).toLowerCase();
+
+  switch (name) {
+    case 'kv':     return require('./backends/kv').createKVBackend();
+    case 'file':   return createFileBackend({ dir: env.STORAGE_DIR || undefined });
+    case 'sqlite': return require('./backends/sqlite').createSqliteBackend({ path: env.STORAGE_SQLITE_PATH || undefined });
+    case 'memory': return createMemoryBackend();
+    default:       throw new Error(`Unknown STORAGE_BACKEND "${name}" — use one of ${BACKENDS.join(', ')}`);
   }
 }
 
-async function kvSet(key, value) {
-  try {
-    const { kv } = require('@vercel/kv');
-    // TTL: 36 hours — ensures stale data expires if cron misses a day
-    await kv.set(key, value, { ex: 60 * 60 * 36 });
-    return true;
-  } catch {
-    return false;
-  }
+let current = null;
+
+/** backend — the process-wide backend, created on first use. */
+function backend() {
+  if (!current) current = createBackend();
+  return current;
 }
 
-// ── Local file fallback (development) ──
-function localGet() {
-  try {
-    if (!fs.existsSync(LOCAL_FILE)) return null;
-    return JSON.parse(fs.readFileSync(LOCAL_FILE, 'utf8'));
-  } catch {
-    return null;
+/** useBackend — swap in another backend (scripts and tests); returns the previous one. */
+function useBackend(next) {
+  const previous = current;
+  current = next;
+  return previous;
+}
+
+// ── Public interface ──
+
+async function get(key) {
+  return backend().get(key);
+}
+
+async function set(key, value, ttlSeconds = DEFAULT_TTL) {
+  await backend().set(key, value, { ttl: ttlSeconds });
+  return true;
+}
+
+async function update(key, fn, ttlSeconds = DEFAULT_TTL) {
+  return backend().update(key, fn, { ttl: ttlSeconds });
+}
+
+// ── Conditions ──
+
+/** payloadETag — content hash of a stored payload (without its own etag field). */
+function payloadETag(payload) {
+  const { etag, ...rest } = payload;
+  return crypto.createHash('sha256').update(JSON.stringify(rest)).digest('base64url').slice(0, 27);
+}
+
+/**
+ * getData — the conditions payload assembled from the index and the mountain
+ * records, in registry order: { scrapedAt, storedAt, successCount, totalCount,
+ * etag, matchReport, validation, openCircuits, mountains }. With `ids`, only
+ * those mountains' records are read. null if nothing has been stored.
+ */
+async function getData({ ids } = {}) {
+  const index = await get(INDEX_KEY);
+  if (!index) {
+    const legacy = await legacyData();
+    return legacy && ids ? { ...legacy, mountains: (legacy.mountains || []).filter(m => ids.includes(m.id)) } : legacy;
   }
+
+  const stored = MOUNTAINS.map(m => m.id).filter(id => index.mountains[id] && (!ids || ids.includes(id)));
+  const [report, ...records] = await backend().getMany([REPORT_KEY, ...stored.map(id => MOUNTAIN_PREFIX + id)]);
+  const { mountains, ...summary } = index;
+  return { ...summary, ...report, mountains: records.filter(Boolean) };
 }
 
-function localSet(value) {
-  try {
-    fs.writeFileSync(LOCAL_FILE, JSON.stringify(value, null, 2));
-    return true;
-  } catch {
-    return false;
+/**
+ * getDataMeta — { etag, storedAt, scrapedAt } of the payload, or null.
+ * Read from the index alone, for conditional GETs.
+ */
+async function getDataMeta() {
+  const index = await get(INDEX_KEY);
+  if (!index) return get(LEGACY_META_KEY);
+  return { etag: index.etag, storedAt: index.storedAt, scrapedAt: index.scrapedAt };
+}
+
+async function legacyData() {
+  for (const key of LEGACY_KEYS) {
+    const payload = await get(key);
+    if (payload) return payload;
   }
+  return null;
 }
 
-// ── Public interface ──
-const isProduction = !!(process.env.KV_URL || process.env.KV_REST_API_URL);
+/**
+ * summarize — the index with its payload-level fields recomputed from the
+ * per-mountain entries. scrapedAt is the oldest entry's — every mountain is at
+ * least that fresh — and storedAt the newest, for Last-Modified.
+ */
+function summarize(index) {
+  const entries = MOUNTAINS.map(m => index.mountains[m.id]).filter(Boolean);
+  const times   = field => entries.map(e => e[field]).sort();
+  const summary = {
+    scrapedAt:    times('scrapedAt')[0] || null,
+    storedAt:     times('storedAt').pop() || null,
+    successCount: entries.filter(e => e.ok).length,
+    totalCount:   entries.length,
+    mountains:    index.mountains,
+  };
+  summary.etag = payloadETag(summary);
+  return summary;
+}
+
+/**
+ * storeRecords — write each record over the one stored for its mountain.
+ * Fields a scrape came back without keep their previous value (see
+ * lib/carry-forward.js) instead of overwriting the card with nulls.
+ * Resolves to the stored records.
+ */
+async function storeRecords(records, storedAt) {
+  // Before the first per-mountain write, carry forward from the old single payload
+  const legacy = (await get(INDEX_KEY)) ? null : await legacyData();
+  const legacyById = new Map((legacy?.mountains || []).map(m => [m.id, m]));
+
+  return Promise.all(records.map(m =>
+    update(MOUNTAIN_PREFIX + m.id, previous =>
+      carryForwardRecord(previous || legacyById.get(m.id) || null, m, storedAt), null)
+  ));
+}
+
+/**
+ * indexRecords — add stored records to the index. Always after their records
+ * are written, so an index etag never names records that aren't there yet.
+ */
+async function indexRecords(stored, scrapedAt, storedAt) {
+  return update(INDEX_KEY, index => {
+    const mountains = { ...index?.mountains };
+    stored.forEach(m => {
+      mountains[m.id] = { etag: payloadETag(m), scrapedAt, storedAt, ok: m.base != null };
+    });
+    return summarize({ mountains });
+  }, null);
+}
+
+/**
+ * saveMountains — store some mountains' freshly scraped records. The others
+ * are left as they are, so refreshing a subset is just a shorter list.
+ * Resolves to the stored records.
+ */
+async function saveMountains(records, scrapedAt = new Date().toISOString()) {
+  const storedAt = new Date().toISOString();
+  const stored   = await storeRecords(records, storedAt);
+  await indexRecords(stored, scrapedAt, storedAt);
+  return stored;
+}
 
-async function getData() {
-  if (isProduction) {
-    return await kvGet(KV_KEY);
+/**
+ * mountainWriter — saves records one at a time as their scrapers finish, so a
+ * run cut off by maxDuration keeps everything it got. Records that finish
+ * while an index update is in flight go into the next one together, rather
+ * than 33 updates queueing on the index lock. add(record) resolves once the
+ * record is in the index, and rejects if that index update failed — its batch
+ * goes into the next update, so one failure doesn't sink the later adds.
+ */
+function mountainWriter() {
+  let pending = [];
+  let chain   = Promise.resolve();
+
+  return {
+    async add(record) {
+      const [stored] = await storeRecords([record], new Date().toISOString());
+      pending.push(stored);
+      const indexed = chain.then(() => {
+        const batch = pending;
+        const at    = new Date().toISOString();
+        pending = [];
+        return batch.length && indexRecords(batch, at, at).catch(err => {
+          pending = [...batch, ...pending];
+          throw err;
+        });
+      });
+      chain = indexed.catch(() => {});
+      await indexed;
+      return stored;
+    },
+  };
+}
+
+/**
+ * finishScrape — store a run's matchReport / validation / openCircuits and
+ * archive the assembled payload as today's snapshot. Call once its mountains
+ * have been saved. Whatever a partial run didn't produce (a resort-only run has
+ * no matchReport) keeps the previous run's.
+ */
+async function finishScrape({ matchReport = null, validation = null, openCircuits = null }) {
+  const produced = Object.entries({ matchReport, validation, openCircuits }).filter(([, v]) => v != null);
+  await update(REPORT_KEY, report => ({ ...report, ...Object.fromEntries(produced) }), null);
+  // The latest records are what matters; a history gap is logged, not fatal
+  try {
+    await archiveSnapshot(await getData());
+  } catch (err) {
+    console.warn(`[storage] Snapshot archive failed — history not updated: ${err.message}`);
   }
-  return localGet();
+  return true;
 }
 
+/**
+ * setData — store a whole scrape at once (see runAllScrapers): every mountain,
+ * then the run details and snapshot.
+ */
 async function setData(value) {
-  const payload = {
-    ...value,
-    storedAt: new Date().toISOString(),
+  await saveMountains(value.mountains || [], value.scrapedAt);
+  return finishScrape(value);
+}
+
+// ── History ──
+
+/** snapshotDate — the Eastern-time calendar day a scrape belongs to (YYYY-MM-DD). */
+function snapshotDate(iso) {
+  return new Date(iso).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+/**
+ * archiveSnapshot — store the payload as that day's snapshot and append a point
+ * to each mountain's history series. A later scrape on the same day replaces
+ * the points whose HISTORY_FIELDS changed, and the snapshot if any did; when
+ * nothing changed (most intraday ticks) nothing is written. Resolves to the
+ * number of points written.
+ */
+async function archiveSnapshot(payload) {
+  const scrapedAt = payload.scrapedAt || payload.storedAt;
+  const date      = snapshotDate(scrapedAt);
+  const ttl       = 60 * 60 * 24 * HISTORY_DAYS;
+  const cutoff    = snapshotDate(Date.now() - ttl * 1000);
+
+  const archived = await get(ARCHIVED_KEY);
+  const today    = archived?.date === date ? archived.points : {};
+  const points   = {};
+  const changed  = (payload.mountains || []).filter(m => m.id).filter(m => {
+    points[m.id] = HISTORY_FIELDS.map(f => m[f] ?? null);
+    return JSON.stringify(points[m.id]) !== JSON.stringify(today[m.id]);
+  });
+  if (!changed.length) return 0;
+
+  await Promise.all([
+    set(SNAPSHOT_PREFIX + date, payload, ttl),
+    ...changed.map(m => {
+      const point = { date, scrapedAt };
+      HISTORY_FIELDS.forEach((f, i) => { point[f] = points[m.id][i]; });
+      return backend().appendHistory(HISTORY_PREFIX + m.id, point, { ttl, since: cutoff });
+    }),
+  ]);
+  await set(ARCHIVED_KEY, { date, points: { ...today, ...points } }, 60 * 60 * 48);
+  return changed.length;
+}
+
+/** getSnapshot — the stored payload for one day (YYYY-MM-DD), or null. */
+async function getSnapshot(date) {
+  return get(SNAPSHOT_PREFIX + date);
+}
+
+/**
+ * getHistory — daily points for one mountain id, oldest first.
+ * `from` / `to` are inclusive YYYY-MM-DD bounds; either may be omitted.
+ */
+async function getHistory(id, from, to) {
+  return backend().getHistory(HISTORY_PREFIX + id, { from, to });
+}
+
+// ── Circuit breakers ──
+
+/** getBreakerState — per-host breaker state saved by the last run, or {}. */
+async function getBreakerState() {
+  return (await get(BREAKERS_KEY)) || {};
+}
+
+async function setBreakerState(state) {
+  return set(BREAKERS_KEY, state, 60 * 60 * 24 * 14);
+}
+
+// ── Drift alerts ──
+
+/** getDriftState — per-mountain field streaks saved by the last run, or {}. */
+async function getDriftState() {
+  return (await get(DRIFT_KEY)) || {};
+}
+
+async function setDriftState(state) {
+  return set(DRIFT_KEY, state, 60 * 60 * 24 * 30);
+}
+
+// ── Powder alerts ──
+
+/** getSubscriptions — every powder alert subscription (with token hashes), or []. */
+async function getSubscriptions() {
+  return (await get(ALERTS_KEY)) || [];
+}
+
+/**
+ * updateSubscriptions — atomically replace the list with fn(list). fn gets []
+ * when there are none and must be synchronous. Resolves to the new list.
+ */
+async function updateSubscriptions(fn) {
+  return update(ALERTS_KEY, list => fn(list || []), null);
+}
+
+async function getAlertState() {
+  return (await get(ALERT_STATE_KEY)) || {};
+}
+
+async function setAlertState(state) {
+  return set(ALERT_STATE_KEY, state, 60 * 60 * 24 * 30);
+}
+
+// ── Rate limits ──
+
+/**
+ * takeRateLimit — count one request from `client` against `name`'s limit of
+ * `limit` per `windowSeconds` (a fixed window, counted atomically). Resolves
+ * to { allowed, retryAfter } — seconds until the window resets.
+ */
+async function takeRateLimit(name, client, { limit, windowSeconds }) {
+  const nowMs = Date.now();
+  let result;
+  await update(`${RATE_PREFIX}${name}:${client}`, entry => {
+    const current = entry && nowMs - entry.startMs < windowSeconds * 1000 ? entry : { startMs: nowMs, count: 0 };
+    const retryAfter = Math.ceil((current.startMs + windowSeconds * 1000 - nowMs) / 1000);
+    if (current.count >= limit) {
+      result = { allowed: false, retryAfter };
+      return undefined;
+    }
+    result = { allowed: true, retryAfter };
+    return { ...current, count: current.count + 1 };
+  }, windowSeconds);
+  return result;
+}
+
+// ── Web Push ──
+
+/** getPushSubscriptions — every browser push subscription, or []. */
+async function getPushSubscriptions() {
+  return (await get(PUSH_KEY)) || [];
+}
+
+/** updatePushSubscriptions — like updateSubscriptions, for push subscriptions. */
+async function updatePushSubscriptions(fn) {
+  return update(PUSH_KEY, list => fn(list || []), null);
+}
+
+async function getPushState() {
+  return (await get(PUSH_STATE_KEY)) || {};
+}
+
+async function setPushState(state) {
+  return set(PUSH_STATE_KEY, state, 60 * 60 * 24 * 30);
+}
+
+// ── Batched scrapes ──
+
+/** getScrapeCursor — where the next batched /api/scrape carries on: { scope, next, updatedAt }, or null. */
+async function getScrapeCursor() {
+  return get(CURSOR_KEY);
+}
+
+async function setScrapeCursor(cursor) {
+  return set(CURSOR_KEY, { ...cursor, updatedAt: new Date().toISOString() }, 60 * 60 * 24 * 7);
+}
+
+// ── Intraday schedule ──
+
+/** getScheduleState — per-mountain schedule state saved by the last run (lib/schedule.js), or {}. */
+async function getScheduleState() {
+  return (await get(SCHEDULE_KEY)) || {};
+}
+
+async function setScheduleState(state) {
+  return set(SCHEDULE_KEY, state, 60 * 60 * 24 * 30);
+}
+
+// ── Run log ──
+
+/** newRunId — sortable, unique-enough id for a scrape run, e.g. 20260223T120000Z-3f9a. */
+function newRunId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `${stamp}-${Math.random().toString(16).slice(2, 6)}`;
+}
+
+/** runSummary — the index entry for a run: everything but the per-mountain detail. */
+function runSummary(run) {
+  return {
+    id:           run.id,
+    trigger:      run.trigger,
+    scope:        run.scope || null,
+    startedAt:    run.startedAt,
+    durationMs:   run.durationMs,
+    ok:           run.ok,
+    error:        run.error || null,
+    successCount: run.successCount ?? null,
+    totalCount:   run.totalCount ?? null,
+    failed:       (run.mountains || []).filter(m => m.status !== 'ok').map(m => m.id),
   };
-  if (isProduction) {
-    return await kvSet(KV_KEY, payload);
-  }
-  return localSet(payload);
 }
 
-module.exports = { getData, setData, KV_KEY };
+/**
+ * saveRun — store a run's full log under its id and add it to the runs index.
+ * Both expire after RUN_DAYS.
+ */
+async function saveRun(run) {
+  const ttl    = 60 * 60 * 24 * RUN_DAYS;
+  const cutoff = new Date(Date.now() - ttl * 1000).toISOString();
+  await set(RUN_PREFIX + run.id, run, ttl);
+  await update(RUNS_KEY, index => [
+    runSummary(run),
+    ...(index || []).filter(r => r.id !== run.id && r.startedAt >= cutoff),
+  ], ttl);
+  return true;
+}
+
+/** listRuns — summaries of recent runs, newest first. */
+async function listRuns(limit = 20) {
+  return ((await get(RUNS_KEY)) || []).slice(0, limit);
+}
+
+/** getRun — the full log of one run, or null. */
+async function getRun(id) {
+  return get(RUN_PREFIX + id);
+}
+
+module.exports = {
+  backend, createBackend, useBackend, StorageError, BACKENDS,
+  getData, getDataMeta, setData, saveMountains, mountainWriter, finishScrape, payloadETag,
+  archiveSnapshot, getSnapshot, getHistory, snapshotDate, HISTORY_FIELDS, HISTORY_DAYS,
+  getBreakerState, setBreakerState,
+  getDriftState, setDriftState,
+  getSubscriptions, updateSubscriptions, getAlertState, setAlertState, takeRateLimit,
+  getPushSubscriptions, updatePushSubscriptions, getPushState, setPushState,
+  getScrapeCursor, setScrapeCursor, getScheduleState, setScheduleState,
+  newRunId, saveRun, listRuns, getRun, RUN_DAYS,
+};
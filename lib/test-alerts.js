@@ -0,0 +1,155 @@
+/**
+ * test-alerts.js — run the outgoing alerts against a local webhook
+ *
+ * Usage:
+ *   node lib/test-alerts.js                 — selector-drift alerts, generic JSON webhook
+ *   node lib/test-alerts.js --slack         — same, Slack { text } format
+ *   node lib/test-alerts.js --powder        — powder alert subscriptions (lib/alerts.js)
+ *   node lib/test-alerts.js --send <url>    — post one sample drift alert to a real webhook
+ *
+ * Starts an HTTP server on a free local port that stands in for the webhook and
+ * feeds made-up scrapes through the evaluation for several runs:
+ *   drift  — the resort page's base depth found, then missing, then back: one
+ *            alert, one recovery — while SnoCountry kept reporting a base, so the
+ *            merged record never lost it. Each run is a day; a day's extra
+ *            ticks don't count towards the alert
+ *   powder — a storm over two scrapes, a lull, another storm: one alert per storm
+ * Nothing is read from or written to storage.
+ */
+
+const http = require('http');
+
+const { evaluateDrift, sendDriftEvent, DRIFT_AFTER_RUNS } = require('./drift');
+const { evaluateAlerts, alertBody }                       = require('./alerts');
+const { postJSON }                                        = require('./webhook');
+
+const args   = process.argv.slice(2);
+const SLACK  = args.includes('--slack');
+const POWDER = args.includes('--powder');
+const send   = args.indexOf('--send');
+
+const SAMPLE = {
+  id: 'test-mountain', name: 'TEST MOUNTAIN', source: 'https://example.com/snow-report',
+};
+
+// Run n's records per source, as runAllScrapers' bySource: the resort page has
+// a base depth for the first run, none for the next DRIFT_AFTER_RUNS + 1, then
+// it's back. SnoCountry has one throughout. New snow comes and goes, as it does.
+function runAt(run, hour = 12) {
+  return `2026-02-${String(10 + run).padStart(2, '0')}T${String(hour).padStart(2, '0')}:00:00Z`;
+}
+
+function scrapeFor(run, hour) {
+  const missing   = run > 0 && run <= DRIFT_AFTER_RUNS + 1;
+  const updatedAt = runAt(run, hour);
+  return {
+    id: SAMPLE.id, name: SAMPLE.name,
+    records: {
+      snocountry: { base: 40, newSnow24: run % 2 ? 2 : null, updatedAt },
+      resort:     { ...SAMPLE, base: missing ? null : 30 + run, newSnow24: run % 2 ? null : 2, updatedAt },
+    },
+  };
+}
+
+function listen(onBody) {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        onBody(JSON.parse(raw));
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('ok');
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function main() {
+  if (send >= 0) {
+    const url = args[send + 1];
+    if (!url) {
+      console.error('--send needs a webhook URL');
+      process.exit(1);
+    }
+    const result = await sendDriftEvent(url, {
+      type: 'drift', ...SAMPLE, source: 'resort', sourceUrl: SAMPLE.source,
+      fields: [{ field: 'base', lastValue: 30, lastSeenAt: new Date().toISOString(), nullRuns: DRIFT_AFTER_RUNS }],
+    });
+    console.log(result);
+    process.exit(result.ok ? 0 : 1);
+  }
+
+  if (POWDER) return powder();
+
+  if (SLACK) process.env.ALERT_WEBHOOK_FORMAT = 'slack';
+  const received = [];
+  const server   = await listen(body => received.push(body));
+  const url      = `http://127.0.0.1:${server.address().port}/hook`;
+  console.log(`Webhook stand-in on ${url} (${SLACK ? 'slack' : 'json'} format), DRIFT_AFTER_RUNS=${DRIFT_AFTER_RUNS}\n`);
+
+  let state  = {};
+  const sent = [];
+  for (let run = 0; run <= DRIFT_AFTER_RUNS + 3; run++) {
+    const result = evaluateDrift([scrapeFor(run)], state, runAt(run));
+    state = result.state;
+    for (const event of result.events) {
+      const posted = await sendDriftEvent(url, event);
+      sent.push(`${event.type} (${event.source})`);
+      console.log(`  run ${run}: ${event.type} (${event.source}) → ${posted.ok ? 'delivered' : posted.error}`);
+    }
+    if (!result.events.length) console.log(`  run ${run}: resort base ${scrapeFor(run).records.resort.base ?? 'null'} — no alert`);
+
+    // The same day's intraday ticks — they must not add null runs of their own
+    for (const hour of [14, 15, 16]) {
+      const tick = evaluateDrift([scrapeFor(run, hour)], state, runAt(run, hour));
+      state = tick.state;
+      tick.events.forEach(event => sent.push(`${event.type} at ${hour}:00`));
+    }
+  }
+  server.close();
+
+  console.log('\nReceived:');
+  received.forEach(body => console.log(`  ${JSON.stringify(body)}`));
+
+  const ok = sent.join(',') === 'drift (resort),recovery (resort)' && received.length === 2;
+  console.log(ok ? '\n✅ One drift alert and one recovery notice' : `\n✗ Expected resort drift then recovery, got [${sent.join(', ')}]`);
+  if (!ok) process.exit(1);
+}
+
+// newSnow24 per scrape: storm, storm continues, lull, second storm, missed scrape
+const POWDER_RUNS = [2, 8, 10, 1, 7, null];
+
+async function powder() {
+  const received = [];
+  const server   = await listen(body => received.push(body));
+  const url      = `http://127.0.0.1:${server.address().port}/hook`;
+  const sub      = { id: 'test-sub', name: 'Test', mountains: ['killington'], field: 'newSnow24', threshold: 6, webhook: url };
+  console.log(`Webhook stand-in on ${url} — alert at ${sub.threshold}"+ newSnow24\n`);
+
+  let state = {};
+  for (const [run, newSnow24] of POWDER_RUNS.entries()) {
+    const scrape = [{ id: 'killington', name: 'KILLINGTON', base: 40, newSnow24 }];
+    const result = evaluateAlerts([sub], scrape, state);
+    state = result.state;
+    for (const alert of result.fire) {
+      const posted = await postJSON(url, alertBody(alert, new Date().toISOString()));
+      console.log(`  run ${run}: ${newSnow24}" → alert ${posted.ok ? 'delivered' : posted.error}`);
+    }
+    if (!result.fire.length) console.log(`  run ${run}: ${newSnow24 == null ? 'not reported' : newSnow24 + '"'} — no alert`);
+  }
+  server.close();
+
+  console.log('\nReceived:');
+  received.forEach(body => console.log(`  ${body.text}`));
+
+  const ok = received.map(b => b.value).join(',') === '8,7';
+  console.log(ok ? '\n✅ One alert per storm' : '\n✗ Expected alerts at 8" and 7"');
+  if (!ok) process.exit(1);
+}
+
+main().catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+/**
+ * test-carry-forward.js — zero values and what gets carried forward
+ *
+ * Usage:
+ *   node lib/test-carry-forward.js
+ *
+ * A closed mountain reporting 0" new snow and 0 runs open must be stored as 0,
+ * not as yesterday's numbers. Checks the parsers keep 0 and carryForwardRecord
+ * only carries fields that stay true from one report to the next. No network.
+ */
+
+const { parseRecord }                 = require('./snocountry');
+const { parseInches, parseInt2 }      = require('./scraper-helpers');
+const { carryForwardRecord }          = require('./carry-forward');
+const { assert, same, runChecks }     = require('./test-checks');
+
+const MOUNTAIN = { id: 'jay-peak', name: 'JAY PEAK' };
+const NOW      = '2026-02-23T12:00:00.000Z';
+
+const PREVIOUS = {
+  id: 'jay-peak', base: 40, summit: 60, newSnow24: 9, newSnow48: 12, newSnow7d: 20,
+  trailsOpen: 80, trailsTotal: 81, liftsOpen: 9, liftsTotal: 9, surface: 'Powder',
+  season: 300, status: 'Open', updatedAt: '2026-02-22T12:00:00.000Z',
+  sources: { newSnow24: 'snocountry', trailsOpen: 'snocountry' },
+};
+
+const CHECKS = [
+  ['parseInches / parseInt2 keep 0', () => {
+    same(parseInches('0"'), 0, 'parseInches("0\\"")');
+    same(parseInches(0), 0, 'parseInches(0)');
+    same(parseInt2('0 of 81'), 0, 'parseInt2("0 of 81")');
+    same(parseInt2('12 of 81'), 12, 'parseInt2("12 of 81")');
+    same(parseInches('Base: 24-36"'), 24, 'a range');
+    same(parseInt2(0), 0, 'parseInt2(0)');
+    same(parseInches(''), null, 'parseInches("")');
+    same(parseInt2(null), null, 'parseInt2(null)');
+    same(parseInches('—'), null, 'parseInches("—")');
+  }],
+
+  ['parseRecord keeps a reported 0', () => {
+    const r = parseRecord({
+      resort_name: 'Jay Peak', base_depth: '38', fresh_snow: 0, snow_last_48h: '0',
+      open_runs: 0, total_runs: '81', open_lifts: '0', resort_status: '5',
+    }, MOUNTAIN);
+    same([r.newSnow24, r.newSnow48, r.trailsOpen, r.liftsOpen], [0, 0, 0, 0], 'zeros');
+    same([r.base, r.trailsTotal, r.newSnow7d], [38, 81, null], 'others');
+  }],
+
+  ['parseRecord falls through to the alternative field names', () => {
+    const r = parseRecord({ freshSnow: '', snow_last_24h: '4', openTrails: '12' }, MOUNTAIN);
+    same([r.newSnow24, r.trailsOpen], [4, 12], 'values');
+  }],
+
+  ['a closed mountain reporting zeros is stored as zeros', () => {
+    const next = parseRecord({
+      base_depth: '38', fresh_snow: 0, snow_last_48h: 0, snow_last_7d: 0,
+      open_runs: 0, total_runs: 81, open_lifts: 0, total_lifts: 9, resort_status: '5',
+      report_date_time: '2026-02-23T11:00:00.000Z',
+    }, MOUNTAIN);
+    const m = carryForwardRecord(PREVIOUS, next, NOW);
+    same([m.newSnow24, m.trailsOpen, m.liftsOpen], [0, 0, 0], 'values');
+    same(m.carriedForward, ['summit', 'parksOpen', 'parksTotal', 'surface', 'season']
+      .filter(f => PREVIOUS[f] != null), 'carriedForward');
+    same(m.stale, [], 'stale');
+  }],
+
+  ['new snow and open counts are never carried forward', () => {
+    const m = carryForwardRecord(PREVIOUS, { id: 'jay-peak', base: 41, updatedAt: NOW }, NOW);
+    ['newSnow24', 'newSnow48', 'newSnow7d', 'trailsOpen', 'liftsOpen'].forEach(f => {
+      same(m[f], undefined, f);
+      assert(!m.carriedForward.includes(f), `${f} carried forward`);
+    });
+    same(m.sources.trailsOpen, undefined, 'trailsOpen source');
+  }],
+
+  ['depths, totals and surface are still carried and go stale', () => {
+    const later = '2026-02-25T13:00:00.000Z';
+    const m = carryForwardRecord(PREVIOUS, { id: 'jay-peak', base: 41, updatedAt: later }, later);
+    same([m.summit, m.trailsTotal, m.surface], [60, 81, 'Powder'], 'values');
+    same(m.carriedForward, ['summit', 'trailsTotal', 'liftsTotal', 'surface', 'season', 'status'], 'carriedForward');
+    same(m.stale, m.carriedForward, 'stale after 48h');
+  }],
+];
+
+runChecks('NJ Ski Haus — zero values and carry-forward', CHECKS).catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
@@ -0,0 +1,42 @@
+/**
+ * test-checks.js — the little harness the lib/test-*.js unit scripts share
+ *
+ *   runChecks('NJ Ski Haus — name matching', [
+ *     ['exact alias', () => same(matchResort('Stowe').mountain.id, 'stowe', 'id')],
+ *     ...
+ *   ]);
+ *
+ * Each check is [title, fn]; fn may be async and fails by throwing. Prints a
+ * ✓/✗ line per check and exits 1 if any failed.
+ */
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function same(actual, expected, what) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  assert(a === e, `${what}: expected ${e}, got ${a}`);
+}
+
+async function runChecks(title, checks) {
+  console.log(`${title}\n`);
+  let failed = 0;
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      console.log(`  ✓ ${name}`);
+    } catch (err) {
+      failed++;
+      console.log(`  ✗ ${name}\n      ${err.message}`);
+    }
+  }
+  if (failed) {
+    console.log(`\n✗ ${failed} of ${checks.length} check(s) failed`);
+    process.exit(1);
+  }
+  console.log(`\n✅ ${checks.length} checks passed`);
+}
+
+module.exports = { assert, same, runChecks };
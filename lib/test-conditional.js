@@ -0,0 +1,133 @@
+/**
+ * test-conditional.js — ETags, 304s and Vary on /api/conditions
+ *
+ * Usage:
+ *   node lib/test-conditional.js
+ *
+ * lib/conditional.js on its own (the ETag variants, If-None-Match's weak
+ * comparison and precedence, If-Modified-Since), then the /api/conditions
+ * handler against the memory backend: a 304 for the same representation,
+ * a full response once the format or freshness differs, and Vary: Accept on
+ * both. No network.
+ */
+
+const { etagHeader, isNotModified, setValidators } = require('./conditional');
+const { useBackend, saveMountains }                = require('./storage');
+const { createMemoryBackend }                      = require('./backends/memory');
+const handler                                      = require('../api/conditions');
+const { assert, same, runChecks }                  = require('./test-checks');
+
+const STORED_AT = '2026-02-23T12:05:00.000Z';
+
+async function get(query = {}, headers = {}) {
+  const res = {
+    statusCode: 200, headers: {}, body: null,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(value) { this.body = value; return this; },
+    send(value) { this.body = value; return this; },
+    end() { return this; },
+  };
+  await handler({ method: 'GET', query, headers }, res);
+  return res;
+}
+
+// Two mountains scraped `hoursAgo` hours ago
+async function seed(hoursAgo) {
+  useBackend(createMemoryBackend());
+  const scrapedAt = new Date(Date.now() - hoursAgo * 3600 * 1000).toISOString();
+  await saveMountains([
+    { id: 'killington', base: 58, newSnow24: 8, status: 'Open', updatedAt: scrapedAt },
+    { id: 'stowe', base: 40, newSnow24: 0, status: 'Open', updatedAt: scrapedAt },
+  ], scrapedAt);
+}
+
+const CHECKS = [
+  ['etagHeader: weak, suffixed with non-JSON formats and non-fresh status', () => {
+    same(etagHeader('abc'), 'W/"abc"', 'JSON, fresh');
+    same(etagHeader('abc', { format: 'csv' }), 'W/"abc-csv"', 'CSV');
+    same(etagHeader('abc', { status: 'stale' }), 'W/"abc-stale"', 'stale');
+    same(etagHeader('abc', { format: 'ics', status: 'expired' }), 'W/"abc-ics-expired"', 'both');
+  }],
+
+  ['isNotModified: If-None-Match first, weak comparison, lists and *', () => {
+    const etag = 'W/"abc"';
+    const req  = headers => ({ headers });
+    assert(isNotModified(req({ 'if-none-match': 'W/"abc"' }), { etag }), 'same tag');
+    assert(isNotModified(req({ 'if-none-match': '"abc"' }), { etag }), 'W/ ignored');
+    assert(isNotModified(req({ 'if-none-match': '"x", W/"abc"' }), { etag }), 'in a list');
+    assert(isNotModified(req({ 'if-none-match': '*' }), { etag }), '*');
+    assert(!isNotModified(req({ 'if-none-match': 'W/"abc-csv"' }), { etag }), 'another variant');
+    assert(!isNotModified(req({ 'if-none-match': 'W/"x"', 'if-modified-since': 'Tue, 24 Feb 2026 00:00:00 GMT' }),
+      { etag, lastModified: STORED_AT }), 'If-Modified-Since ignored once If-None-Match is sent');
+  }],
+
+  ['isNotModified: If-Modified-Since to the second', () => {
+    const since = value => isNotModified({ headers: { 'if-modified-since': value } }, { etag: 'W/"abc"', lastModified: STORED_AT });
+    assert(since('Mon, 23 Feb 2026 12:05:00 GMT'), 'same second');
+    assert(since('Mon, 23 Feb 2026 13:00:00 GMT'), 'later');
+    assert(!since('Mon, 23 Feb 2026 12:04:59 GMT'), 'earlier');
+    assert(!since('yesterday'), 'unparseable');
+    assert(!isNotModified({ headers: {} }, { etag: 'W/"abc"', lastModified: STORED_AT }), 'no validators');
+  }],
+
+  ['setValidators sets ETag, Last-Modified and Cache-Control', () => {
+    const headers = {};
+    const etag    = setValidators({ setHeader: (k, v) => { headers[k] = v; } }, { etag: 'abc', storedAt: STORED_AT }, { format: 'rss' });
+    same([etag, headers.ETag], ['W/"abc-rss"', 'W/"abc-rss"'], 'ETag');
+    same(headers['Last-Modified'], 'Mon, 23 Feb 2026 12:05:00 GMT', 'Last-Modified');
+    assert(/^public, max-age=\d+, stale-while-revalidate=\d+$/.test(headers['Cache-Control']), headers['Cache-Control']);
+  }],
+
+  ['/api/conditions: 304 for the same representation, Vary: Accept on both', async () => {
+    await seed(1);
+    const first = await get();
+    same([first.statusCode, first.headers.vary, first.body.count], [200, 'Accept', 2], 'full response');
+    assert(/^W\/"[\w-]+"$/.test(first.headers.etag), `ETag ${first.headers.etag}`);
+
+    const again = await get({}, { 'if-none-match': first.headers.etag });
+    same([again.statusCode, again.body, again.headers.vary], [304, null, 'Accept'], 'revalidated');
+    same(again.headers.etag, first.headers.etag, 'same ETag on the 304');
+    same((await get({}, { 'if-modified-since': first.headers['last-modified'] })).statusCode, 304, 'If-Modified-Since');
+
+    const filtered = await get({ region: 'vt', limit: '1' }, { 'if-none-match': first.headers.etag });
+    same(filtered.statusCode, 304, 'query parameters share the payload\'s ETag');
+    same((await get({ slug: 'stowe' }, { 'if-none-match': first.headers.etag })).statusCode, 304, 'single mountain');
+  }],
+
+  ['/api/conditions: another format or a new scrape is a different ETag', async () => {
+    await seed(1);
+    const json = await get();
+    const csv  = await get({ format: 'csv' }, { 'if-none-match': json.headers.etag });
+    same([csv.statusCode, csv.headers['content-type'], csv.headers.vary], [200, 'text/csv; charset=utf-8', 'Accept'], 'JSON ETag, CSV asked for');
+    same(csv.headers.etag, json.headers.etag.replace(/"$/, '-csv"'), 'CSV ETag');
+
+    const byAccept = await get({}, { accept: 'text/csv', 'if-none-match': csv.headers.etag });
+    same(byAccept.statusCode, 304, 'CSV by Accept revalidates the CSV ETag');
+    same((await get({}, { accept: 'text/csv', 'if-none-match': json.headers.etag })).statusCode, 200, 'but not the JSON one');
+
+    await saveMountains([{ id: 'stowe', base: 42, newSnow24: 2, status: 'Open' }]);
+    const changed = await get({}, { 'if-none-match': json.headers.etag });
+    same(changed.statusCode, 200, 'new data');
+    assert(changed.headers.etag !== json.headers.etag, 'new ETag');
+  }],
+
+  ['/api/conditions: stale data gets its own ETag and a Warning, on 304s too', async () => {
+    await seed(30);
+    const stale = await get();
+    same([stale.statusCode, stale.body.freshness], [200, 'stale'], 'stale');
+    assert(stale.headers.etag.endsWith('-stale"'), `ETag ${stale.headers.etag}`);
+    assert(stale.headers.warning?.startsWith('110 '), 'Warning');
+
+    const again = await get({}, { 'if-none-match': stale.headers.etag });
+    same(again.statusCode, 304, 'revalidated');
+    assert(again.headers.warning?.startsWith('110 '), 'Warning on the 304');
+    same((await get({}, { 'if-none-match': stale.headers.etag.replace('-stale', '') })).statusCode, 200,
+      'a copy from while it was fresh');
+  }],
+];
+
+runChecks('NJ Ski Haus — conditional requests', CHECKS).catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
@@ -0,0 +1,126 @@
+/**
+ * test-digest.js — render the daily digest and send it to a local SMTP stand-in
+ *
+ * Usage:
+ *   node lib/test-digest.js                — render from stored data (or a made-up
+ *                                            scrape if nothing is stored), send it to
+ *                                            a throwaway SMTP server on 127.0.0.1
+ *                                            and check what arrives
+ *   node lib/test-digest.js --text         — just print the plain-text digest
+ *   node lib/test-digest.js --html > d.html — just print the HTML digest
+ *
+ * The stand-in speaks enough SMTP (EHLO, MAIL, RCPT, DATA, QUIT) for nodemailer
+ * and keeps each message it receives. Nothing is sent anywhere else.
+ */
+
+const net = require('net');
+
+const { MOUNTAINS }                          = require('./mountains');
+const { getData, getSnapshot, snapshotDate } = require('./storage');
+const {
+  buildDigest, renderHTML, renderText, sendDigest, previousDay,
+} = require('./digest');
+
+// A plausible scrape for when nothing has been stored yet: a storm in VT,
+// Mountain Creek newly open, Blue Mountain newly closed
+function sampleData() {
+  const scrapedAt = new Date().toISOString();
+  const mountains = MOUNTAINS.map((m, i) => ({
+    id: m.id, name: m.name,
+    base: 20 + (i * 7) % 40, newSnow24: m.region === 'vt' ? 4 + (i % 6) : 0, newSnow48: m.region === 'vt' ? 8 : 1,
+    trailsOpen: 10 + i, trailsTotal: 40 + i, surface: 'Packed Powder', status: 'Open',
+    source: `https://example.com/${m.id}/conditions`,
+  }));
+  const previous = mountains.map(m => ({ ...m }));
+  const creek = previous.find(m => m.id === 'mountain-creek');
+  const blue  = mountains.find(m => m.id === 'blue-mountain-pa');
+  if (creek) creek.status = 'Closed';
+  if (blue) blue.status = 'Closed';
+  return { data: { scrapedAt, storedAt: scrapedAt, mountains }, previous: { scrapedAt, mountains: previous } };
+}
+
+async function loadDigest() {
+  const data = await getData();
+  if (!data) {
+    console.error('(no stored data — using a made-up scrape)\n');
+    const sample = sampleData();
+    return buildDigest(sample.data, sample.previous);
+  }
+  const previous = await getSnapshot(previousDay(snapshotDate(data.scrapedAt || data.storedAt)));
+  return buildDigest(data, previous);
+}
+
+function smtpServer(received) {
+  return new Promise(resolve => {
+    const server = net.createServer(socket => {
+      let buffer = '';
+      let inData = false;
+      let message = { from: null, to: [], data: '' };
+      const reply = line => socket.write(`${line}\r\n`);
+
+      reply('220 localhost test-digest SMTP stand-in');
+      socket.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+        let i;
+        while ((i = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, i);
+          buffer = buffer.slice(i + 2);
+
+          if (inData) {
+            if (line === '.') {
+              inData = false;
+              received.push(message);
+              message = { from: null, to: [], data: '' };
+              reply('250 OK queued');
+            } else {
+              message.data += (line.startsWith('..') ? line.slice(1) : line) + '\n';
+            }
+            continue;
+          }
+
+          const cmd = line.slice(0, 4).toUpperCase();
+          if (cmd === 'EHLO' || cmd === 'HELO') reply('250 localhost');
+          else if (cmd === 'MAIL') { message.from = line.slice(10).trim(); reply('250 OK'); }
+          else if (cmd === 'RCPT') { message.to.push(line.slice(8).trim()); reply('250 OK'); }
+          else if (cmd === 'DATA') { inData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+          else if (cmd === 'RSET') { message = { from: null, to: [], data: '' }; reply('250 OK'); }
+          else if (cmd === 'QUIT') { reply('221 Bye'); socket.end(); }
+          else reply('502 Command not implemented');
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function main() {
+  const digest = await loadDigest();
+
+  if (process.argv.includes('--text')) return process.stdout.write(renderText(digest));
+  if (process.argv.includes('--html')) return process.stdout.write(renderHTML(digest));
+
+  const received = [];
+  const server   = await smtpServer(received);
+  const smtpUrl  = `smtp://127.0.0.1:${server.address().port}`;
+  console.log(`SMTP stand-in on ${smtpUrl}\n`);
+  console.log(renderText(digest));
+
+  const info = await sendDigest(digest, { smtpUrl, to: 'test@njskihaus.com', from: 'digest@njskihaus.com' });
+  server.close();
+
+  const msg     = received[0];
+  const headers = msg ? msg.data.split('\n\n')[0] : '';
+  console.log(`Sent ${info.messageId}, accepted: ${info.accepted.join(', ')}`);
+  console.log(`Stand-in received ${received.length} message(s)${msg ? ` from ${msg.from} to ${msg.to.join(', ')}` : ''}`);
+
+  const ok = received.length === 1
+    && /^Subject: /m.test(headers)
+    && msg.data.includes('text/plain') && msg.data.includes('text/html');
+  console.log(ok ? '\n✅ Digest rendered and delivered with text and HTML parts' : '\n✗ Unexpected result');
+  if (!ok) process.exit(1);
+}
+
+main().catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
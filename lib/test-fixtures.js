@@ -0,0 +1,138 @@
+/**
+ * test-fixtures.js — check the scrapers against recorded responses, no network
+ *
+ * Usage:
+ *   node lib/test-fixtures.js --record [filter]   — hit the live sites, save every response to
+ *                                                   fixtures/http/ and the output to fixtures/golden/
+ *   node lib/test-fixtures.js [filter]            — replay: run the scrapers and SnoCountry's
+ *                                                   parseRecord against fixtures/http/ and
+ *                                                   compare with fixtures/golden/
+ *   node lib/test-fixtures.js --update [filter]   — replay and overwrite the golden output
+ *                                                   (after an intended change)
+ *
+ * `filter` is a region, mountain id or name fragment, as for lib/test-scrapers.js.
+ * Replay exits non-zero on any difference or missing fixture, so a scraper that
+ * breaks here broke because of our code, not because the site changed.
+ *
+ * Golden files are one per mountain: { snocountry: <parseRecord output>, resort: <scraper output> }.
+ * Resort `updatedAt` is the scrape time, so it's left out of the comparison.
+ *
+ * The committed fixtures are synthetic: small pages and feeds written to each
+ * scraper's selectors and data shapes, including the awkward cases (reported
+ * zeros, a closed mountain, label tables, JSON-LD and __NEXT_DATA__ fallbacks,
+ * Tremblant's JSON endpoint down). Recording over them with --record shows how
+ * far the live sites have drifted from what the scrapers expect.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { fixturesDir, missingFixtures } = require('./fixtures');
+const { fetchSnoCountry }              = require('./snocountry');
+const { SCRAPERS }                     = require('./resort-scrapers');
+const { findMountains }                = require('./mountains');
+
+const args   = process.argv.slice(2);
+const flags  = new Set(args.filter(a => a.startsWith('--')));
+const arg    = args.find(a => !a.startsWith('--'))?.toLowerCase();
+const RECORD = flags.has('--record');
+const UPDATE = flags.has('--update');
+
+process.env.FIXTURES = RECORD ? 'record' : 'replay';
+
+function goldenFile(id) {
+  return path.join(fixturesDir(), 'golden', `${id}.json`);
+}
+
+// Plain JSON, minus the fields that change on every run
+function normalize(output) {
+  const out = JSON.parse(JSON.stringify(output));
+  if (out.resort) delete out.resort.updatedAt;
+  return out;
+}
+
+/** diff — "section.field: old → new" lines for every top-level field that changed. */
+function diff(expected, actual) {
+  const lines = [];
+  ['snocountry', 'resort'].forEach(section => {
+    const a = expected[section] || {};
+    const b = actual[section]   || {};
+    if ((expected[section] == null) !== (actual[section] == null)) {
+      lines.push(`${section}: ${JSON.stringify(expected[section])} → ${JSON.stringify(actual[section])}`);
+      return;
+    }
+    new Set([...Object.keys(a), ...Object.keys(b)]).forEach(key => {
+      const before = JSON.stringify(a[key]);
+      const after  = JSON.stringify(b[key]);
+      if (before !== after) lines.push(`${section}.${key}: ${before} → ${after}`);
+    });
+  });
+  return lines;
+}
+
+async function runScraper(m) {
+  if (!SCRAPERS[m.id]) return null;
+  try {
+    return await SCRAPERS[m.id](m);
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+async function main() {
+  const mountains = findMountains(arg);
+  if (!mountains.length) {
+    console.error(`No mountains matching "${arg}"`);
+    process.exit(1);
+  }
+  const states = [...new Set(mountains.map(m => m.state))];
+  console.log(`${RECORD ? 'Recording' : 'Replaying'} ${mountains.length} mountain(s) — fixtures in ${fixturesDir()}\n`);
+
+  const { byId } = await fetchSnoCountry(states);
+  const resort   = await Promise.all(mountains.map(runScraper));
+
+  let failures = 0;
+  mountains.forEach((m, i) => {
+    const output = normalize({ snocountry: byId.get(m.id) || null, resort: resort[i] });
+    const file   = goldenFile(m.id);
+
+    if (RECORD || UPDATE) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(output, null, 2) + '\n');
+      console.log(`  [✎] ${m.id}`);
+      return;
+    }
+
+    if (!fs.existsSync(file)) {
+      failures++;
+      console.log(`  [✗] ${m.id} — no golden output (run with --record)`);
+      return;
+    }
+    const changes = diff(JSON.parse(fs.readFileSync(file, 'utf8')), output);
+    if (!changes.length) {
+      console.log(`  [✓] ${m.id}`);
+      return;
+    }
+    failures++;
+    console.log(`  [✗] ${m.id}`);
+    changes.forEach(line => console.log(`        ${line}`));
+  });
+
+  const missing = missingFixtures();
+  if (missing.length) {
+    console.log(`\n${missing.length} request(s) had no fixture:`);
+    missing.forEach(url => console.log(`  - ${url}`));
+  }
+
+  if (RECORD || UPDATE) {
+    console.log(`\nWrote golden output for ${mountains.length} mountain(s)`);
+    return;
+  }
+  console.log(`\n${mountains.length - failures}/${mountains.length} match golden output`);
+  if (failures || missing.length) process.exit(1);
+}
+
+main().catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
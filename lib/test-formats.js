@@ -0,0 +1,91 @@
+/**
+ * test-formats.js — /api/conditions' CSV, RSS, Atom, GeoJSON and iCalendar output
+ *
+ * Usage:
+ *   node lib/test-formats.js
+ *
+ * Content negotiation, then each renderer in lib/formats.js on a couple of
+ * registry-merged records: escaping, ?fields=, coordinates, calendar events
+ * and line folding, and a record whose updatedAt can't be parsed (the feeds
+ * fall back to scrapedAt rather than failing or printing "Invalid Date").
+ */
+
+const { negotiate, render }       = require('./formats');
+const { withRegistry }            = require('./mountains');
+const { assert, same, runChecks } = require('./test-checks');
+
+const SCRAPED_AT = '2026-02-23T12:00:00Z';
+
+const MOUNTAINS = [
+  { id: 'killington', base: 58, newSnow24: 8, newSnow48: 12, trailsOpen: 116, trailsTotal: 155,
+    surface: 'Packed Powder, "groomed"', status: 'Open', openingDate: '2025-11-07', closingDate: '2026-05-25',
+    updatedAt: '2026-02-23T06:45:00-05:00', source: 'https://www.killington.com/' },
+  { id: 'stowe', base: 40, newSnow24: 0, status: 'Closed', updatedAt: 'this morning', source: 'SnoCountry' },
+].map(withRegistry);
+
+const CHECKS = [
+  ['negotiate: ?format= wins, then Accept by q-value, else JSON', () => {
+    same(negotiate({ format: 'CSV' }, 'application/atom+xml'), { format: 'csv' }, '?format=');
+    assert(negotiate({ format: 'xls' }).error, 'unknown ?format= is an error');
+    same(negotiate({}, 'text/html, application/rss+xml;q=0.5, text/csv;q=0.9').format, 'csv', 'q-values');
+    same(negotiate({}, 'application/atom+xml, text/calendar').format, 'atom', 'order breaks ties');
+    same(negotiate({}, 'text/csv;q=0').format, 'json', 'q=0 is refused');
+    same(negotiate({}, '').format, 'json', 'no Accept');
+  }],
+
+  ['csv: header, quoting, ?fields= with id first, CRLF', () => {
+    const csv  = render('csv', MOUNTAINS, {});
+    const rows = csv.split('\r\n');
+    assert(csv.endsWith('\r\n'), 'ends with CRLF');
+    assert(rows[0].startsWith('id,name,state,region,pass,lat,lon,base'), `header: ${rows[0]}`);
+    assert(rows[1].includes('"Packed Powder, ""groomed"""'), `quoted cell: ${rows[1]}`);
+    same(render('csv', MOUNTAINS, { fields: ['base', 'id', 'newSnow24'] }).split('\r\n').slice(0, 3),
+      ['id,base,newSnow24', 'killington,58,8', 'stowe,40,0'], '?fields=');
+  }],
+
+  ['rss: escaped items, links and dates', () => {
+    const rss = render('rss', MOUNTAINS, { scrapedAt: SCRAPED_AT });
+    assert(rss.includes('<title>KILLINGTON: 8&quot; new snow</title>'), 'escaped headline');
+    assert(rss.includes('<link>https://www.killington.com/</link>'), 'resort link');
+    assert(rss.includes('?mountain=stowe</link>'), 'site link when the source isn\'t a URL');
+    assert(rss.includes('<pubDate>Mon, 23 Feb 2026 11:45:00 GMT</pubDate>'), 'pubDate from updatedAt');
+    assert(rss.includes('<lastBuildDate>Mon, 23 Feb 2026 12:00:00 GMT</lastBuildDate>'), 'lastBuildDate');
+  }],
+
+  ['rss and atom: an unreadable updatedAt falls back to scrapedAt', () => {
+    const rss  = render('rss', MOUNTAINS, { scrapedAt: SCRAPED_AT });
+    const atom = render('atom', MOUNTAINS, { scrapedAt: SCRAPED_AT });
+    assert(!rss.includes('Invalid Date'), 'no Invalid Date in RSS');
+    same((rss.match(/<pubDate>Mon, 23 Feb 2026 12:00:00 GMT<\/pubDate>/g) || []).length, 1, 'stowe\'s pubDate');
+    same(atom.match(/<updated>[^<]+<\/updated>/g), [
+      '<updated>2026-02-23T12:00:00.000Z</updated>',
+      '<updated>2026-02-23T11:45:00.000Z</updated>',
+      '<updated>2026-02-23T12:00:00.000Z</updated>',
+    ], 'feed, killington, stowe');
+    assert(render('atom', MOUNTAINS, { scrapedAt: 'garbage' }).includes('<feed'), 'bad scrapedAt too');
+  }],
+
+  ['geojson: a Point per mountain, [lon, lat], ?fields= properties', () => {
+    const geo = render('geojson', [...MOUNTAINS, { id: 'nowhere', base: 1 }], { fields: ['base'], scrapedAt: SCRAPED_AT });
+    same(geo.type, 'FeatureCollection', 'type');
+    same(geo.features.map(f => f.id), ['killington', 'stowe'], 'mountains without coordinates left out');
+    same(geo.features[0].geometry, { type: 'Point', coordinates: [MOUNTAINS[0].lon, MOUNTAINS[0].lat] }, 'geometry');
+    same(geo.features[0].properties, { id: 'killington', base: 58 }, 'properties');
+  }],
+
+  ['ics: all-day opening and closing events, stable UIDs, folded lines', () => {
+    const ics   = render('ics', MOUNTAINS, { scrapedAt: SCRAPED_AT });
+    const lines = ics.split('\r\n');
+    same(lines.filter(l => l === 'BEGIN:VEVENT').length, 2, 'only killington has dates');
+    assert(lines.includes('UID:killington-openingDate-2025-11-07@njskihaus.com'), 'UID');
+    assert(lines.includes('DTSTART;VALUE=DATE:20260525') && lines.includes('DTEND;VALUE=DATE:20260526'), 'closing day');
+    assert(lines.includes('DTSTAMP:20260223T120000Z'), 'DTSTAMP');
+    assert(lines.every(l => Buffer.byteLength(l) <= 75), 'folded to 75 octets');
+    assert(render('ics', MOUNTAINS, { scrapedAt: 'garbage' }).startsWith('BEGIN:VCALENDAR'), 'bad scrapedAt');
+  }],
+];
+
+runChecks('NJ Ski Haus — export formats', CHECKS).catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
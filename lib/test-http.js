@@ -0,0 +1,165 @@
+/**
+ * test-http.js — retries, Retry-After and the circuit breaker in lib/http.js
+ *
+ * Usage:
+ *   node lib/test-http.js
+ *
+ * node-fetch is swapped for a stub before lib/http.js loads, so every response
+ * is scripted per URL and nothing touches the network. Takes a few seconds —
+ * the backoff between retries is real.
+ */
+
+const nodeFetch = require('node-fetch');
+
+// url → list of responses (or errors) to hand out in order; the last one repeats
+const scripts = new Map();
+const calls   = [];
+
+function stubFetch(url) {
+  calls.push(url);
+  const list = scripts.get(url) || [];
+  const next = list.length > 1 ? list.shift() : list[0];
+  if (!next) return Promise.reject(new Error(`unscripted request to ${url}`));
+  if (next instanceof Error) return Promise.reject(next);
+  return Promise.resolve(next());
+}
+Object.assign(stubFetch, nodeFetch);
+require.cache[require.resolve('node-fetch')].exports = stubFetch;
+
+const {
+  httpFetch, CircuitOpenError, withRequestLog, restoreBreakers, finishRun, circuitOpen,
+  MAX_RETRIES, BREAKER_THRESHOLD,
+} = require('./http');
+const { assert, same, runChecks } = require('./test-checks');
+
+let cancelled = 0;
+
+// A response whose body records being cancelled, like a WHATWG stream
+function response(status, headers = {}) {
+  return () => ({
+    status,
+    ok:      status >= 200 && status < 300,
+    headers: new nodeFetch.Headers(headers),
+    body:    { cancel: () => { cancelled++; return Promise.resolve(); } },
+  });
+}
+
+function script(url, ...responses) {
+  scripts.set(url, responses);
+  calls.length = 0;
+  cancelled    = 0;
+}
+
+const callsTo = url => calls.filter(u => u === url).length;
+
+const CHECKS = [
+  ['a 200 is returned after one attempt', async () => {
+    const url = 'https://ok.example/report';
+    script(url, response(200));
+    const res = await httpFetch(url);
+    same(res.status, 200, 'status');
+    same(callsTo(url), 1, 'attempts');
+  }],
+
+  ['a 503 is retried, and the retried bodies are drained', async () => {
+    const url = 'https://flaky.example/report';
+    script(url, response(503, { 'Retry-After': '0' }), response(502, { 'Retry-After': '0' }), response(200));
+    const { value: res, requests } = await withRequestLog(() => httpFetch(url));
+    same(res.status, 200, 'status');
+    same(callsTo(url), 3, 'attempts');
+    same(cancelled, 2, 'bodies cancelled');
+    same(requests.map(r => [r.status, r.attempts]), [[200, 3]], 'request log');
+  }],
+
+  ['retries run out: the last 5xx comes back as-is', async () => {
+    const url = 'https://down.example/report';
+    script(url, response(500, { 'Retry-After': '0' }));
+    const res = await httpFetch(url);
+    same(res.status, 500, 'status');
+    same(callsTo(url), MAX_RETRIES + 1, 'attempts');
+  }],
+
+  ['network errors are retried with backoff, then thrown', async () => {
+    const url = 'https://unreachable.example/report';
+    script(url, new Error('ECONNRESET'));
+    let error;
+    await httpFetch(url).catch(e => { error = e; });
+    same(error?.message, 'ECONNRESET', 'error');
+    same(callsTo(url), MAX_RETRIES + 1, 'attempts');
+  }],
+
+  ['Retry-After is honoured', async () => {
+    const url = 'https://limited.example/report';
+    script(url, response(429, { 'Retry-After': '1' }), response(200));
+    const start = Date.now();
+    const res   = await httpFetch(url);
+    same(res.status, 200, 'status');
+    assert(Date.now() - start >= 950, `waited ${Date.now() - start}ms, expected about 1000`);
+  }],
+
+  ['a Retry-After longer than 30 s gives up at once', async () => {
+    const url = 'https://slow.example/report';
+    script(url, response(429, { 'Retry-After': '120' }));
+    const res = await httpFetch(url);
+    same(res.status, 429, 'status');
+    same(callsTo(url), 1, 'attempts');
+  }],
+
+  ['4xx is not retried', async () => {
+    const url = 'https://blocked.example/report';
+    script(url, response(403));
+    same((await httpFetch(url)).status, 403, 'status');
+    same(callsTo(url), 1, 'attempts');
+  }],
+
+  [`breaker: ${BREAKER_THRESHOLD} failed runs open the circuit; no request is made while open`, async () => {
+    const url = 'https://walled.example/report';
+    let state = {};
+    for (let run = 1; run <= BREAKER_THRESHOLD; run++) {
+      restoreBreakers(state);
+      script(url, response(403));
+      await httpFetch(url);
+      state = finishRun();
+      same(state['walled.example'].failedRuns, run, `failedRuns after run ${run}`);
+    }
+    restoreBreakers(state);
+    assert(circuitOpen('walled.example'), 'circuit open');
+    script(url, response(200));
+    let error;
+    await httpFetch(url).catch(e => { error = e; });
+    assert(error instanceof CircuitOpenError, `expected CircuitOpenError, got ${error}`);
+    same(callsTo(url), 0, 'requests while open');
+    same(finishRun()['walled.example'].lastError, 'HTTP 403', 'lastError');
+  }],
+
+  ['breaker: 5xx after retries and network errors count as failed runs', async () => {
+    restoreBreakers({});
+    script('https://down.example/report', response(503, { 'Retry-After': '0' }));
+    await httpFetch('https://down.example/report');
+    script('https://unreachable.example/report', new Error('ECONNREFUSED'));
+    await httpFetch('https://unreachable.example/report').catch(() => {});
+    const state = finishRun();
+    same(state['down.example']?.failedRuns, 1, 'down.example');
+    same(state['unreachable.example']?.failedRuns, 1, 'unreachable.example');
+  }],
+
+  ['breaker: a 404 or any success resets the host', async () => {
+    const state = {
+      'moved.example': { failedRuns: 2, openUntil: null, lastError: 'HTTP 503' },
+      'mixed.example': { failedRuns: 2, openUntil: null, lastError: 'HTTP 503' },
+    };
+    restoreBreakers(state);
+    script('https://moved.example/old-report', response(404));
+    await httpFetch('https://moved.example/old-report');
+    script('https://mixed.example/a', response(403));
+    await httpFetch('https://mixed.example/a');
+    script('https://mixed.example/b', response(200));
+    await httpFetch('https://mixed.example/b');
+    same(finishRun(), {}, 'breaker state');
+  }],
+];
+
+runChecks('NJ Ski Haus — HTTP retries and circuit breaker', CHECKS).catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
@@ -0,0 +1,110 @@
+/**
+ * test-mountain-index.js — per-mountain storage: records, the index and
+ * mountainWriter
+ *
+ * Usage:
+ *   node lib/test-mountain-index.js
+ *
+ * saveMountains writing a key per mountain plus the index, getData assembling
+ * them (all, or just some ids), getDataMeta and the index etag, refreshing a
+ * subset, and mountainWriter batching index updates and carrying on after one
+ * fails. Memory backend — no network.
+ */
+
+const {
+  useBackend, saveMountains, mountainWriter, getData, getDataMeta, finishScrape,
+} = require('./storage');
+const { createMemoryBackend }     = require('./backends/memory');
+const { assert, same, runChecks } = require('./test-checks');
+
+const INDEX_KEY = 'conditions_index_v1';
+
+const record = (id, base, extra = {}) => ({ id, base, newSnow24: 0, status: 'Open', ...extra });
+
+// The memory backend, counting index updates and failing the next `fail` of them
+function indexBackend() {
+  const memory  = createMemoryBackend();
+  const counted = { updates: 0, fail: 0 };
+  const backend = Object.create(memory);
+  backend.update = (key, fn, options) => {
+    if (key !== INDEX_KEY) return memory.update(key, fn, options);
+    counted.updates++;
+    if (counted.fail > 0) {
+      counted.fail--;
+      return Promise.reject(new Error('index unavailable'));
+    }
+    return memory.update(key, fn, options);
+  };
+  useBackend(backend);
+  return counted;
+}
+
+const CHECKS = [
+  ['saveMountains then getData: registry order, report merged in', async () => {
+    useBackend(createMemoryBackend());
+    same(await getData(), null, 'nothing stored');
+    same(await getDataMeta(), null, 'no meta');
+
+    await saveMountains([record('stowe', 40), record('killington', 58), record('hunter', null)], '2026-02-23T12:00:00Z');
+    await finishScrape({ validation: { rejected: 0 } });
+    const data = await getData();
+    same(data.mountains.map(m => m.id), ['killington', 'stowe', 'hunter'], 'registry order');
+    same([data.scrapedAt, data.successCount, data.totalCount], ['2026-02-23T12:00:00Z', 2, 3], 'summary');
+    same(data.validation, { rejected: 0 }, 'report');
+    assert(typeof data.etag === 'string' && data.etag.length > 10, `etag ${data.etag}`);
+  }],
+
+  ['getData({ ids }) reads only those mountains; getDataMeta only the index', async () => {
+    useBackend(createMemoryBackend());
+    await saveMountains([record('stowe', 40), record('killington', 58)], '2026-02-23T12:00:00Z');
+    same((await getData({ ids: ['stowe', 'nowhere'] })).mountains.map(m => m.id), ['stowe'], 'subset');
+    same((await getData({ ids: ['jay-peak'] })).mountains, [], 'not stored yet');
+
+    const data = await getData();
+    same(await getDataMeta(), { etag: data.etag, storedAt: data.storedAt, scrapedAt: data.scrapedAt }, 'meta');
+  }],
+
+  ['refreshing a subset keeps the rest; the index etag follows the records', async () => {
+    useBackend(createMemoryBackend());
+    await saveMountains([record('stowe', 40), record('killington', 58)], '2026-02-23T12:00:00Z');
+    const before = await getData();
+
+    await saveMountains([record('stowe', 44)], '2026-02-23T15:00:00Z');
+    const after = await getData();
+    same(after.mountains.map(m => [m.id, m.base]), [['killington', 58], ['stowe', 44]], 'killington untouched');
+    same(after.scrapedAt, '2026-02-23T12:00:00Z', 'scrapedAt is the oldest mountain\'s');
+    assert(after.storedAt >= before.storedAt, 'storedAt is the newest');
+    assert(after.etag !== before.etag, 'new etag');
+  }],
+
+  ['mountainWriter: records indexed as they finish, in batches', async () => {
+    const counted = indexBackend();
+    const writer  = mountainWriter();
+    const ids     = ['killington', 'stowe', 'jay-peak', 'sugarbush', 'okemo'];
+    const stored  = await Promise.all(ids.map((id, i) => writer.add(record(id, 30 + i))));
+    same(stored.map(m => m.id), ids, 'resolves to the stored records');
+    same((await getData()).mountains.length, 5, 'all indexed');
+    assert(counted.updates < ids.length, `${counted.updates} index updates for ${ids.length} records`);
+  }],
+
+  ['mountainWriter: a failed index update rejects its add, not the later ones', async () => {
+    const counted = indexBackend();
+    const writer  = mountainWriter();
+    counted.fail  = 1;
+    let error = null;
+    await writer.add(record('killington', 58)).catch(e => { error = e; });
+    same(error?.message, 'index unavailable', 'first add rejected');
+    same(await getData(), null, 'nothing indexed');
+
+    await writer.add(record('stowe', 40));
+    same((await getData()).mountains.map(m => m.id), ['killington', 'stowe'], 'the failed batch went in with the next');
+
+    await writer.add(record('jay-peak', 55));
+    same((await getData()).mountains.length, 3, 'and the writer keeps going');
+  }],
+];
+
+runChecks('NJ Ski Haus — per-mountain storage and index', CHECKS).catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+/**
+ * test-name-match.js — SnoCountry name matching against the registry
+ *
+ * Usage:
+ *   node lib/test-name-match.js
+ *
+ * Names SnoCountry has used (or plausibly would) and what they should match:
+ * aliases, normalization, "<mountain> at <resort>", near misses that must stay
+ * unmatched, and what matchStates puts in the match report. No network.
+ */
+
+const { matchResort, normalizeName, MATCH_THRESHOLD } = require('./name-match');
+const { matchStates }                                 = require('./snocountry');
+const { assert, same, runChecks }                     = require('./test-checks');
+
+const matched = (name, state) => matchResort(name, state).mountain?.id || null;
+
+const CHECKS = [
+  ['exact aliases match with score 1', () => {
+    same(matchResort('Killington Resort', 'VT').score, 1, 'Killington Resort');
+    same(matched('Stowe Mountain Resort', 'VT'), 'stowe', 'Stowe Mountain Resort');
+  }],
+
+  ['normalization: case, accents, punctuation, abbreviations, filler', () => {
+    same(normalizeName('Mont Ste-Anne'), normalizeName('Mont-Sainte-Anne'), 'Ste / Sainte');
+    same(matched('Mt. Snow', 'VT'), 'mount-snow', 'Mt. Snow');
+    same(matched('Okemo Mtn', 'VT'), 'okemo', 'Okemo Mtn');
+    same(matched('MONT STE-ANNE', 'QC'), 'mont-sainte-anne', 'upper case');
+    same(matched('Mont-Trémblant', 'QC'), 'tremblant', 'accent');
+  }],
+
+  ['extra words still match: "Jay Peak Vermont"', () => {
+    const m = matchResort('Jay Peak Vermont', 'VT');
+    same(m.mountain?.id, 'jay-peak', 'id');
+    assert(m.score >= MATCH_THRESHOLD && m.score < 0.95, `fuzzy score, got ${m.score}`);
+  }],
+
+  ['"Pico Mountain at Killington" is Pico, not Killington', () => {
+    const m = matchResort('Pico Mountain at Killington', 'VT');
+    same(m.mountain?.id, 'pico', 'id');
+    same(m.ambiguous, false, 'ambiguous');
+    same(m.candidates[0].id, 'pico', 'top candidate');
+  }],
+
+  ['a shared word is not enough: "Blue Knob" is not Blue Mountain', () => {
+    const m = matchResort('Blue Knob', 'PA');
+    same(m.mountain, null, 'mountain');
+    same(m.candidates.map(c => c.id), ['blue-mountain-pa'], 'near-miss candidate');
+  }],
+
+  ['resorts we don\'t cover have no candidates', () => {
+    same(matchResort('Bromley Mountain', 'VT').candidates, [], 'Bromley');
+    same(matchResort('Smugglers\' Notch', 'VT').candidates, [], 'Smugglers\' Notch');
+  }],
+
+  ['state restricts the candidates', () => {
+    same(matched('Sugarbush', 'VT'), 'sugarbush', 'in VT');
+    same(matched('Sugarbush', 'NH'), null, 'in NH');
+  }],
+
+  ['matchStates: best-scoring name wins, report lists only near misses', () => {
+    const { byId, matchReport, total } = matchStates([
+      { state: 'VT', resorts: [
+        { resort_name: 'Jay Peak Vermont', base_depth: '10' },
+        { resort_name: 'Jay Peak', base_depth: '40' },
+        { resort_name: 'Bromley Mountain', base_depth: '20' },
+        { resort_name: 'Pico Mountain at Killington', base_depth: '30' },
+      ] },
+      { state: 'PA', resorts: [{ resort_name: 'Blue Knob', base_depth: '12' }] },
+    ]);
+    same(total, 5, 'total');
+    same(byId.get('jay-peak').base, 40, 'Jay Peak from the exact alias');
+    same(byId.get('pico').base, 30, 'Pico');
+    same(byId.has('killington'), false, 'Killington not matched by Pico\'s report');
+    same(matchReport.unmatched.map(u => u.name), ['Blue Knob'], 'unmatched');
+    same(matchReport.fuzzy.map(f => f.name), ['Jay Peak Vermont'], 'fuzzy');
+  }],
+];
+
+runChecks('NJ Ski Haus — SnoCountry name matching', CHECKS).catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
@@ -0,0 +1,133 @@
+/**
+ * test-push.js — Web Push end to end, offline
+ *
+ * Usage:
+ *   node lib/test-push.js          — run the check below
+ *   node lib/test-push.js --keys   — print a new VAPID key pair for .env.local / Vercel
+ *
+ * Starts a local HTTP server standing in for a browser's push service. It
+ * verifies each request's VAPID JWT, checks the aes128gcm headers and decrypts
+ * the body with a made-up browser's keys, the way Chrome/Firefox would. Then
+ * a few simulated scrapes go through evaluatePush:
+ *   - newSnow24 crossing the follower's threshold → one push per storm
+ *   - SnoCountry's status Closed → Open         → one push
+ *   - a resort page saying Open after Closed     → nothing (not SnoCountry's)
+ *   - an endpoint that answers 410 Gone          → reported as gone
+ * Nothing is read from or written to storage.
+ */
+
+const http   = require('http');
+const crypto = require('crypto');
+
+const { generateVAPIDKeys, sendNotification, verifyVapid, decryptPayload } = require('./webpush');
+const { evaluatePush, pushPayload }                                       = require('./push');
+
+if (process.argv.includes('--keys')) {
+  const keys = generateVAPIDKeys();
+  console.log(`VAPID_PUBLIC_KEY=${keys.publicKey}`);
+  console.log(`VAPID_PRIVATE_KEY=${keys.privateKey}`);
+  process.exit(0);
+}
+
+// A browser's side of a PushSubscription
+function browserKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const auth = crypto.randomBytes(16).toString('base64url');
+  return {
+    keys:    { p256dh: ecdh.getPublicKey().toString('base64url'), auth },
+    private: { privateKey: ecdh.getPrivateKey().toString('base64url'), auth },
+  };
+}
+
+function pushService(browser, received) {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', c => chunks.push(c));
+      req.on('end', () => {
+        if (req.url === '/gone') {
+          res.writeHead(410);
+          return res.end();
+        }
+        const claims   = verifyVapid(req.headers['authorization']);
+        const origin   = `http://127.0.0.1:${server.address().port}`;
+        const problems = [];
+        if (!claims)                                        problems.push('bad VAPID signature');
+        else if (claims.aud !== origin)                     problems.push(`aud ${claims.aud}`);
+        else if (claims.exp * 1000 < Date.now())            problems.push('expired JWT');
+        if (req.headers['content-encoding'] !== 'aes128gcm') problems.push('Content-Encoding');
+        if (!req.headers['ttl'])                             problems.push('no TTL');
+
+        let payload = null;
+        try {
+          payload = JSON.parse(decryptPayload(Buffer.concat(chunks), browser.private));
+        } catch (e) {
+          problems.push(`decrypt failed: ${e.message}`);
+        }
+        received.push({ payload, problems });
+        res.writeHead(problems.length ? 400 : 201);
+        res.end();
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+// Scrapes in order: previous status → this scrape. Status is SnoCountry's
+// unless `from` says otherwise
+const RUNS = [
+  { newSnow24: 2,  status: 'Closed' },
+  { newSnow24: 3,  status: 'Open', from: 'resort' },   // ?source=resort run — not an opening
+  { newSnow24: 9,  status: 'Closed' },   // powder
+  { newSnow24: 11, status: 'Open' },     // same storm — only the opening
+  { newSnow24: 0,  status: 'Open' },
+];
+
+async function main() {
+  const vapid    = { ...generateVAPIDKeys(), subject: 'mailto:test@njskihaus.com' };
+  const browser  = browserKeys();
+  const received = [];
+  const server   = await pushService(browser, received);
+  const base     = `http://127.0.0.1:${server.address().port}`;
+  console.log(`Push service stand-in on ${base}\n`);
+
+  const subscription = {
+    id: 'test', endpoint: `${base}/push/abc`, keys: browser.keys,
+    mountains: ['killington'], threshold: 6, openings: true,
+  };
+
+  let state    = {};
+  let previous = null;
+  const sent   = [];
+  for (const [i, { from = 'snocountry', ...run }] of RUNS.entries()) {
+    const scrape = [{ id: 'killington', name: 'KILLINGTON', base: 40, trailsOpen: 80, ...run, sources: { status: from } }];
+    const result = evaluatePush([subscription], scrape, previous, state);
+    state    = result.state;
+    previous = scrape;
+    for (const n of result.notify) {
+      const r = await sendNotification(n.subscription, pushPayload(n), vapid);
+      sent.push(n.reason);
+      console.log(`  scrape ${i}: ${n.reason} → ${r.ok ? `delivered (${r.status})` : r.error}`);
+    }
+    if (!result.notify.length) console.log(`  scrape ${i}: ${run.newSnow24}" / ${run.status} — nothing to send`);
+  }
+
+  const gone = await sendNotification({ ...subscription, endpoint: `${base}/gone` }, { title: 'x' }, vapid);
+  console.log(`  expired endpoint → status ${gone.status}, gone: ${gone.gone}`);
+  server.close();
+
+  console.log('\nPush service received:');
+  received.forEach(r => console.log(`  ${r.problems.length ? '✗ ' + r.problems.join(', ') : '✓'} ${JSON.stringify(r.payload)}`));
+
+  const ok = sent.join(',') === 'snow,opened'
+    && received.length === 2 && received.every(r => !r.problems.length)
+    && gone.gone;
+  console.log(ok ? '\n✅ Signed, encrypted and delivered as expected' : '\n✗ Unexpected result');
+  if (!ok) process.exit(1);
+}
+
+main().catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+/**
+ * test-query.js — lib/query.js: the ?state= … ?fields= parameters every
+ * mountain list accepts
+ *
+ * Usage:
+ *   node lib/test-query.js
+ *
+ * parseQuery's validation, then applyQuery on a handful of hand-written
+ * records: each filter, AND-ing them, sorting both ways with nulls last,
+ * limit after sort, and projection.
+ */
+
+const { parseQuery, applyQuery, project } = require('./query');
+const { assert, same, runChecks }         = require('./test-checks');
+
+const MOUNTAINS = [
+  { id: 'killington', state: 'VT', region: 'vt', pass: 'ikon', status: 'Open',   base: 58,   newSnow24: 8,    newSnow48: 12 },
+  { id: 'stowe',      state: 'VT', region: 'vt', pass: 'epic', status: 'Open',   base: 40,   newSnow24: 0,    newSnow48: 3 },
+  { id: 'hunter',     state: 'NY', region: 'ny', pass: 'epic', status: 'Closed', base: null, newSnow24: null, newSnow48: null },
+  { id: 'camelback',  state: 'PA', region: 'pa', pass: 'indy', status: 'OPEN',   base: 24,   newSnow24: 2,    newSnow48: 2 },
+];
+
+const run = params => {
+  const { query, error } = parseQuery(params);
+  assert(!error, `${JSON.stringify(params)}: ${error}`);
+  return applyQuery(MOUNTAINS, query);
+};
+const ids = params => run(params).map(m => m.id);
+
+const CHECKS = [
+  ['parseQuery: lists, numbers, sort and fields', () => {
+    const { query } = parseQuery({ state: 'VT, ny', minBase: '24', sort: '-newSnow24', limit: '3', fields: 'name, base' });
+    same(query.state, ['vt', 'ny'], 'state list, lowercased');
+    same(query.min, { base: 24 }, 'minBase');
+    same(query.sort, { field: 'newSnow24', desc: true }, 'sort');
+    same([query.limit, query.fields], [3, ['name', 'base']], 'limit, fields');
+    same(parseQuery({ sort: '+base' }).query.sort, { field: 'base', desc: false }, 'explicit +');
+    same(parseQuery({ state: '', minBase: '' }).query, parseQuery({}).query, 'empty parameters ignored');
+  }],
+
+  ['parseQuery rejects what the routes answer with a 400', () => {
+    const errors = [{ minBase: 'deep' }, { minNewSnow48: 'Infinity' }, { sort: 'name' }, { sort: '-status' }, { limit: '0' }, { limit: 'ten' }];
+    errors.forEach(params => assert(parseQuery(params).error, `${JSON.stringify(params)} accepted`));
+    assert(parseQuery({ sort: 'name' }).error.includes('newSnow24'), 'sort error lists the fields');
+  }],
+
+  ['filters: state, region, pass, status, minimums, AND-ed', () => {
+    same(ids({}), ['killington', 'stowe', 'hunter', 'camelback'], 'no filters');
+    same(ids({ state: 'vt,pa' }), ['killington', 'stowe', 'camelback'], 'state');
+    same(ids({ region: 'NY' }), ['hunter'], 'region');
+    same(ids({ pass: 'epic' }), ['stowe', 'hunter'], 'pass');
+    same(ids({ status: 'open' }), ['killington', 'stowe', 'camelback'], 'status, any case');
+    same(ids({ minBase: '40' }), ['killington', 'stowe'], 'minBase is inclusive');
+    same(ids({ minNewSnow: '0' }), ['killington', 'stowe', 'camelback'], 'a missing value never passes a minimum');
+    same(ids({ minNewSnow48: '3' }), ['killington', 'stowe'], 'minNewSnow48');
+    same(ids({ state: 'vt', pass: 'epic', minBase: '30' }), ['stowe'], 'combined');
+  }],
+
+  ['sort: both directions, nulls last, limit after sorting', () => {
+    same(ids({ sort: 'newSnow24' }), ['stowe', 'camelback', 'killington', 'hunter'], 'ascending');
+    same(ids({ sort: '-newSnow24' }), ['killington', 'camelback', 'stowe', 'hunter'], 'descending');
+    same(ids({ sort: '-base', limit: '2' }), ['killington', 'stowe'], 'top two');
+    same(ids({ limit: '2' }), ['killington', 'stowe'], 'limit without sort keeps order');
+    same(MOUNTAINS.map(m => m.id), ['killington', 'stowe', 'hunter', 'camelback'], 'input not reordered');
+  }],
+
+  ['fields: id always, unknown fields skipped', () => {
+    same(run({ fields: 'base,nope', status: 'closed' }), [{ id: 'hunter', base: null }], 'projection');
+    same(project(MOUNTAINS[0], null), MOUNTAINS[0], 'no fields, whole record');
+    same(project(MOUNTAINS[0], ['pass']), { id: 'killington', pass: 'ikon' }, 'project');
+  }],
+];
+
+runChecks('NJ Ski Haus — query parameters', CHECKS).catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
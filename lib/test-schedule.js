@@ -0,0 +1,177 @@
+/**
+ * test-schedule.js — intraday scheduling: lib/schedule.js, lib/cron.js and
+ * what an intraday tick archives
+ *
+ * Usage:
+ *   node lib/test-schedule.js
+ *
+ * Eastern-time conversion across DST (both ways, and SnoCountry's zoneless
+ * report times given an offset), report windows learned from report
+ * times, which mountains a tick finds due, cron parsing and next runs, and
+ * that a tick which changes nothing doesn't rewrite the day's history. Fixed
+ * clocks and the memory backend — no network.
+ */
+
+const {
+  dueMountains, recordRun, reportWindow, reportClock, easternClock, easternIso, DEFAULT_REPORT_WINDOW,
+} = require('./schedule');
+const { parseRecord }                                    = require('./snocountry');
+const { hoursSince }                                     = require('./freshness');
+const { parseCron, nextRun, scrapeSchedules }            = require('./cron');
+const { useBackend, archiveSnapshot, getHistory }        = require('./storage');
+const { createMemoryBackend }                            = require('./backends/memory');
+const { assert, same, runChecks }                        = require('./test-checks');
+
+const at     = iso => new Date(iso);
+const hhmm   = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+const window = w => `${hhmm(w.from)}-${hhmm(w.to)}`;
+const dueAt  = (iso, opts) => dueMountains([{ id: 'stowe' }], { ...opts, now: at(iso) }).map(d => d.reason);
+
+const CHECKS = [
+  ['easternClock converts UTC to Eastern, across DST and midnight', () => {
+    same(easternClock(at('2026-02-23T13:00:00Z')), { day: '2026-02-23', minutes: 8 * 60 }, 'EST');
+    same(easternClock(at('2026-07-01T12:30:00Z')), { day: '2026-07-01', minutes: 8 * 60 + 30 }, 'EDT');
+    same(easternClock(at('2026-03-01T03:15:00Z')), { day: '2026-02-28', minutes: 22 * 60 + 15 }, 'previous day');
+    same(easternClock(at('2026-03-08T07:30:00Z')), { day: '2026-03-08', minutes: 3 * 60 + 30 }, 'spring forward');
+  }],
+
+  ['reportClock takes zoneless times as resort time and converts the rest', () => {
+    same(reportClock('2026-02-23 08:30:00'), { day: '2026-02-23', minutes: 510 }, 'SnoCountry style');
+    same(reportClock('2026-02-23T13:30:00Z'), { day: '2026-02-23', minutes: 510 }, 'UTC');
+    same(reportClock('2026-02-23T08:30:00-05:00'), { day: '2026-02-23', minutes: 510 }, 'offset');
+    same([reportClock(null), reportClock('yesterday')], [null, null], 'missing, garbage');
+  }],
+
+  ['easternIso gives SnoCountry\'s zoneless times their Eastern offset', () => {
+    same(easternIso('2026-02-23 08:30:00'), '2026-02-23T08:30:00-05:00', 'EST');
+    same(easternIso('2026-07-01 08:30'), '2026-07-01T08:30:00-04:00', 'EDT, no seconds');
+    same(easternIso('2026-03-08 03:30:00'), '2026-03-08T03:30:00-04:00', 'just after spring forward');
+    same(easternIso('2026-11-01 03:00:00'), '2026-11-01T03:00:00-05:00', 'just after fall back');
+    same([easternIso('2026-02-23T13:30:00Z'), easternIso(null), easternIso('soon')],
+      ['2026-02-23T13:30:00Z', null, 'soon'], 'zoned, missing, garbage unchanged');
+
+    const record = parseRecord({ resort_name: 'Stowe', report_date_time: '2026-02-23 08:00:00' }, { id: 'stowe', name: 'STOWE' });
+    same([record.updatedAt, record.reportedAt], ['2026-02-23T08:00:00-05:00', '2026-02-23T08:00:00-05:00'], 'parseRecord');
+    same(hoursSince(record.updatedAt, Date.parse('2026-02-23T15:00:00Z')), 2, 'aged from 13:00 UTC');
+    same(reportClock(record.reportedAt), { day: '2026-02-23', minutes: 480 }, 'same clock as before');
+  }],
+
+  ['report window: default, then learned from MIN_SAMPLES reports, registry wins', () => {
+    same(window(reportWindow({ id: 'stowe' })), DEFAULT_REPORT_WINDOW, 'no samples');
+    same(window(reportWindow({ id: 'stowe' }, { reportTimes: [430, 440] })), DEFAULT_REPORT_WINDOW, 'two samples');
+    const learned = reportWindow({ id: 'stowe' }, { reportTimes: [430, 400, 445] });
+    same([window(learned), learned.learned], ['06:40-08:40', true], 'median 07:10, 30 before, 90 after');
+    same(window(reportWindow({ id: 'stowe', reportWindow: '05:00-07:00' }, { reportTimes: [430, 400, 445] })),
+      '05:00-07:00', 'registry override');
+  }],
+
+  ['recordRun learns the first report of each day and notes checks', () => {
+    const now = at('2026-02-23T14:00:00Z');
+    let state = recordRun({}, { checkedIds: ['stowe'], records: [{ id: 'stowe', reportedAt: '2026-02-23 07:10:00' }], now });
+    same(state.stowe, { checkedAt: now.toISOString(), reportDay: '2026-02-23', reportTimes: [430] }, 'first report');
+    state = recordRun(state, { records: [{ id: 'stowe', reportedAt: '2026-02-23 11:00:00' }], now });
+    same(state.stowe.reportTimes, [430], 'a midday update is not a sample');
+    for (let i = 1; i <= 16; i++) {
+      const day = new Date(Date.UTC(2026, 1, 23 + i)).toISOString().slice(0, 10);
+      state = recordRun(state, { records: [{ id: 'stowe', reportedAt: `${day} 07:00:00` }], now });
+    }
+    same(state.stowe.reportTimes.length, 14, 'kept to MAX_SAMPLES');
+    assert(state.stowe.reportTimes.every(t => t === 420), 'oldest samples dropped first');
+  }],
+
+  ['dueMountains: report window until today\'s report, refresh midday, nothing overnight', () => {
+    same(dueAt('2026-02-23T12:30:00Z'), ['report'], '07:30, no report yet');
+    const reported = new Map([['stowe', { reportedAt: '2026-02-23 07:10:00' }]]);
+    same(dueAt('2026-02-23T12:30:00Z', { records: reported }), [], '07:30, reported today');
+    const yesterday = new Map([['stowe', { reportedAt: '2026-02-22 07:10:00' }]]);
+    same(dueAt('2026-02-23T12:30:00Z', { records: yesterday }), ['report'], '07:30, only yesterday\'s report');
+
+    const checked = { stowe: { checkedAt: '2026-02-23T16:00:00Z' } };
+    same(dueAt('2026-02-23T16:45:00Z', { state: checked }), [], '11:45, checked 45 min ago');
+    same(dueAt('2026-02-23T18:15:00Z', { state: checked }), ['refresh'], '13:15, checked 2 h 15 ago');
+    same(dueAt('2026-02-23T15:15:00Z'), ['refresh'], '10:15, never checked');
+    same(dueAt('2026-02-24T02:00:00Z'), [], '21:00');
+    same(dueAt('2026-02-23T22:00:00Z'), [], '17:00, after refresh hours');
+  }],
+
+  ['dueMountains: a mountain without a report time is checked once per window', () => {
+    const unreported = new Map([['stowe', { base: 40 }]]);
+    same(dueAt('2026-02-23T12:00:00Z', { records: unreported }), ['report'], '07:00, not checked yet');
+    const checked = { stowe: { checkedAt: '2026-02-23T12:00:00Z' } };
+    same(dueAt('2026-02-23T12:30:00Z', { records: unreported, state: checked }), [], '07:30, checked at 07:00');
+    same(dueAt('2026-02-23T13:30:00Z', { records: unreported, state: checked }), [], '08:30, still the same window');
+    const before = { stowe: { checkedAt: '2026-02-23T10:30:00Z' } };
+    same(dueAt('2026-02-23T12:30:00Z', { records: unreported, state: before }), ['report'], 'checked at 05:30, before the window');
+    const yesterday = { stowe: { checkedAt: '2026-02-22T12:00:00Z' } };
+    same(dueAt('2026-02-23T12:30:00Z', { records: unreported, state: yesterday }), ['report'], 'checked yesterday');
+  }],
+
+  ['a learned window moves when a mountain is due', () => {
+    const state = { stowe: { reportTimes: [540, 550, 545] } };   // ~09:05
+    same(dueAt('2026-02-23T12:30:00Z', { state }), [], '07:30, before the learned window');
+    same(dueAt('2026-02-23T14:00:00Z', { state }), ['report'], '09:00, inside it');
+  }],
+
+  ['parseCron: lists, ranges, steps and Sunday as 7', () => {
+    const cron = parseCron('15,45 10-20 * * *');
+    same([...cron.minute], [15, 45], 'minutes');
+    same([...cron.hour], [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20], 'hours');
+    same([...parseCron('*/20 8-20/4 * * *').minute], [0, 20, 40], 'minute step');
+    same([...parseCron('*/20 8-20/4 * * *').hour], [8, 12, 16, 20], 'range step');
+    assert(parseCron('0 12 * * 7').weekday.has(0), '7 is also 0');
+    same([cron.anyDay, cron.anyWeekday], [true, true], 'any day');
+  }],
+
+  ['parseCron rejects malformed expressions', () => {
+    for (const bad of ['0 12 * *', '60 12 * * *', '0 24 * * *', '0 12 0 * *', '*/0 * * * *', '5-1 * * * *', 'a b c d e']) {
+      let threw = false;
+      try { parseCron(bad); } catch { threw = true; }
+      assert(threw, `"${bad}" accepted`);
+    }
+  }],
+
+  ['nextRun: strictly after `from`, in UTC, rolling over days', () => {
+    same(nextRun('0 12 * * *', at('2026-02-23T11:59:30Z')).toISOString(), '2026-02-23T12:00:00.000Z', 'same day');
+    same(nextRun('0 12 * * *', at('2026-02-23T12:00:00Z')).toISOString(), '2026-02-24T12:00:00.000Z', 'strictly after');
+    same(nextRun('15,45 10-20 * * *', at('2026-02-23T10:20:00Z')).toISOString(), '2026-02-23T10:45:00.000Z', 'next slot');
+    same(nextRun('15,45 10-20 * * *', at('2026-02-23T20:45:00Z')).toISOString(), '2026-02-24T10:15:00.000Z', 'next day');
+    same(nextRun('0 0 1 1 *', at('2026-02-23T00:00:00Z')).toISOString(), '2027-01-01T00:00:00.000Z', 'yearly');
+    same(nextRun('0 0 31 2 *', at('2026-02-23T00:00:00Z')), null, 'never');
+  }],
+
+  ['nextRun: with both day fields set, either one matches', () => {
+    // 2026-02-23 is a Monday; the 1st of March is a Sunday
+    same(nextRun('0 9 1 * 1', at('2026-02-23T10:00:00Z')).toISOString(), '2026-03-01T09:00:00.000Z', 'day of month');
+    same(nextRun('0 9 28 * 2', at('2026-02-23T10:00:00Z')).toISOString(), '2026-02-24T09:00:00.000Z', 'day of week');
+  }],
+
+  ['vercel.json schedules parse', () => {
+    const schedules = scrapeSchedules();
+    same(schedules, ['0 12 * * *', '15,45 10-20 * * *'], 'scrape crons');
+    schedules.forEach(s => assert(nextRun(s, at('2026-02-23T00:00:00Z')), `${s} never runs`));
+  }],
+
+  ['an intraday tick that changes nothing doesn\'t rewrite history', async () => {
+    useBackend(createMemoryBackend());
+    const mountains = [{ id: 'stowe', base: 40, newSnow24: 2 }, { id: 'jay-peak', base: 55, newSnow24: 0 }];
+    const payload   = (iso, list) => ({ scrapedAt: iso, mountains: list });
+
+    same(await archiveSnapshot(payload('2026-02-23T12:05:00Z', mountains)), 2, 'daily run');
+    same(await archiveSnapshot(payload('2026-02-23T15:15:00Z', mountains)), 0, 'unchanged tick');
+    const moved = [{ ...mountains[0], newSnow24: 3 }, mountains[1]];
+    same(await archiveSnapshot(payload('2026-02-23T17:15:00Z', moved)), 1, 'one mountain changed');
+    same(await archiveSnapshot(payload('2026-02-24T12:05:00Z', moved)), 2, 'next day');
+
+    const history = await getHistory('stowe');
+    same(history.map(p => [p.date, p.newSnow24, p.scrapedAt]), [
+      ['2026-02-23', 3, '2026-02-23T17:15:00Z'],
+      ['2026-02-24', 3, '2026-02-24T12:05:00Z'],
+    ], 'stowe history');
+    same((await getHistory('jay-peak'))[0].scrapedAt, '2026-02-23T12:05:00Z', 'unchanged point kept');
+  }],
+];
+
+runChecks('NJ Ski Haus — intraday scheduling', CHECKS).catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
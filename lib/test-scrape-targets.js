@@ -0,0 +1,133 @@
+/**
+ * test-scrape-targets.js — narrowed /api/scrape runs: lib/scrape-targets.js,
+ * the batch cursor and source-limited runs
+ *
+ * Usage:
+ *   node lib/test-scrape-targets.js
+ *
+ * parseTargets and selectBatch on their own, then the /api/scrape handler
+ * against the committed fixtures (FIXTURES=replay) and the memory backend:
+ * batches carrying on from the saved cursor, and a ?source=resort run keeping
+ * what SnoCountry last said. No network.
+ */
+
+process.env.FIXTURES = 'replay';
+delete process.env.CRON_SECRET;
+
+const { parseTargets, selectBatch }            = require('./scrape-targets');
+const { mergeRecords, storedSource }           = require('./scrapers');
+const { carryForwardRecord }                   = require('./carry-forward');
+const { MOUNTAINS, getMountain }               = require('./mountains');
+const { useBackend, getData, getScrapeCursor } = require('./storage');
+const { createMemoryBackend }                  = require('./backends/memory');
+const handler                                  = require('../api/scrape');
+const { assert, same, runChecks }              = require('./test-checks');
+
+const VT = MOUNTAINS.filter(m => m.region === 'vt').map(m => m.id);
+
+// The handler, with the scrapers' per-mountain logging kept out of the output
+async function scrape(query) {
+  const res = {
+    statusCode: 200, body: null,
+    setHeader() {},
+    status(code) { this.statusCode = code; return this; },
+    json(value) { this.body = value; return this; },
+  };
+  const log = console.log;
+  const warn = console.warn;
+  console.log = console.warn = () => {};
+  try {
+    await handler({ method: 'GET', query, headers: {} }, res);
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+  assert(res.statusCode === 200, `${JSON.stringify(query)}: HTTP ${res.statusCode} ${JSON.stringify(res.body)}`);
+  return res.body;
+}
+
+const stored = async id => (await getData({ ids: [id] })).mountains[0];
+
+const CHECKS = [
+  ['parseTargets: only, region, source and their scope', () => {
+    const { targets } = parseTargets({ only: 'Stowe, killington', source: 'resort' });
+    same(targets.mountains.map(m => m.id), ['killington', 'stowe'], 'registry order');
+    same(targets.sources, ['resort'], 'sources');
+    same(targets.scope, 'only=killington,stowe&source=resort', 'scope');
+    same(parseTargets({}).targets.scope, 'all', 'no parameters');
+    same(parseTargets({}).targets.sources, ['snocountry', 'resort'], 'both sources by default');
+    same(parseTargets({ region: 'vt', only: 'killington,hunter' }).targets.mountains.map(m => m.id), ['killington'], 'AND');
+    same(parseTargets({ scheduled: '1', region: 'nj' }).targets.scope, 'region=nj&scheduled', 'scheduled');
+  }],
+
+  ['parseTargets rejects what /api/scrape answers with a 400', () => {
+    const errors = [
+      { only: 'nowhere' }, { region: 'mars' }, { source: 'twitter' }, { only: 'hunter', region: 'vt' },
+      { batch: '0' }, { batch: 'x' }, { batch: '4', cursor: '99' }, { cursor: '2' }, { batch: '4', scheduled: '1' },
+    ];
+    errors.forEach(params => assert(parseTargets(params).error, `${JSON.stringify(params)} accepted`));
+  }],
+
+  ['selectBatch walks the list and wraps', () => {
+    const list = ['a', 'b', 'c', 'd', 'e'];
+    same(selectBatch(list, 0, 2), { mountains: ['a', 'b'], offset: 0, next: 2, done: false, total: 5 }, 'first');
+    same(selectBatch(list, 4, 2), { mountains: ['e'], offset: 4, next: 0, done: true, total: 5 }, 'last, short');
+    same(selectBatch(list, 7, 2).offset, 0, 'an offset past the end starts over');
+  }],
+
+  ['batches carry on from the saved cursor, per selection', async () => {
+    useBackend(createMemoryBackend());
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      const body = await scrape({ region: 'vt', batch: '4' });
+      same(body.batch.offset, i * 4, `batch ${i + 1} offset`);
+      ids.push(...body.mountains.map(m => m.id));
+    }
+    same(ids, VT, 'every VT mountain once, in order');
+    same(await getScrapeCursor().then(c => [c.scope, c.next]), ['region=vt', 0], 'cursor wrapped');
+
+    const other = await scrape({ region: 'pa', batch: '2' });
+    same(other.batch.offset, 0, 'another selection starts from the top');
+    same((await scrape({ region: 'vt', batch: '4', cursor: '8' })).batch.offset, 8, 'explicit cursor');
+  }],
+
+  ['a ?source=resort run keeps SnoCountry\'s values, report time and streak', async () => {
+    useBackend(createMemoryBackend());
+    await scrape({ only: 'killington' });
+    const before = await stored('killington');
+    same([before.newSnow7d, before.trailsOpen, before.sources.trailsOpen], [20, 116, 'snocountry'], 'full run');
+
+    await scrape({ only: 'killington', source: 'resort' });
+    const after = await stored('killington');
+    same([after.newSnow7d, after.sources.newSnow7d], [20, 'snocountry'], 'new snow the resort page lacks');
+    same([after.trailsOpen, after.sources.trailsOpen], [116, 'snocountry'], 'SnoCountry still wins');
+    same([after.updatedAt, after.reportedAt], [before.updatedAt, before.reportedAt], 'report time');
+    same(after.fieldUpdatedAt.newSnow7d, before.fieldUpdatedAt.newSnow7d, 'observed when SnoCountry said it');
+    same([after.consecutiveFailures, after.carriedForward], [0, []], 'not a failure, nothing carried');
+    same(after.openingDate, before.openingDate, 'season dates');
+  }],
+
+  ['a SnoCountry-only run keeps the resort\'s link and fields', () => {
+    const m        = getMountain('killington');
+    const previous = {
+      ...mergeRecords(m, { base: 50, updatedAt: '2026-02-22T11:00:00Z', reportedAt: '2026-02-22 06:00:00' },
+        { summit: 70, newSnow24: 4, forecast: 'Snow', source: 'https://www.killington.com/' }),
+      fieldUpdatedAt: { base: '2026-02-22T11:00:00Z', summit: '2026-02-22T12:00:00Z', newSnow24: '2026-02-22T12:00:00Z' },
+    };
+    const sno    = { base: 52, updatedAt: '2026-02-23T11:00:00Z', reportedAt: '2026-02-23 06:00:00' };
+    const merged = mergeRecords(m, sno, storedSource(previous, 'resort'));
+    same([merged.base, merged.summit, merged.newSnow24], [52, 70, 4], 'values');
+    same([merged.forecast, merged.source], ['Snow', 'https://www.killington.com/'], 'resort-only fields and link');
+
+    const next = carryForwardRecord(previous, merged, '2026-02-23T12:00:00Z');
+    same(next.fieldUpdatedAt, {
+      base: '2026-02-23T11:00:00Z', summit: '2026-02-22T12:00:00Z', newSnow24: '2026-02-22T12:00:00Z',
+    }, 'kept values keep when they were observed');
+    same(storedSource(null, 'resort'), null, 'nothing stored yet');
+  }],
+];
+
+runChecks('NJ Ski Haus — scrape targets, batches and source-limited runs', CHECKS).catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
@@ -3,24 +3,51 @@
  *
  * Usage:
  *   node lib/test-scrapers.js              — test all scrapers
- *   node lib/test-scrapers.js killington   — test one mountain
+ *   node lib/test-scrapers.js killington   — test one mountain (registry id or name fragment)
  *   node lib/test-scrapers.js vt           — test all Vermont mountains
+ *   node lib/test-scrapers.js burke --html ./burke.html
+ *                                          — run a selector config (lib/selector-configs.js)
+ *                                            against a saved copy of the page, no network
+ *
+ * To check a refactor against recorded responses instead of live sites, see
+ * lib/test-fixtures.js.
  */
 
-const { runAllScrapers, ALL_SCRAPERS } = require('./scrapers');
+const fs      = require('fs');
+const cheerio = require('cheerio');
 
-const arg = process.argv[2]?.toLowerCase();
+const { runAllScrapers }                = require('./scrapers');
+const { SCRAPERS }                      = require('./resort-scrapers');
+const { SELECTOR_CONFIGS }              = require('./selector-configs');
+const { extractFields, validateConfig } = require('./selector-engine');
+const { REGIONS, getMountain, findMountains } = require('./mountains');
 
-const REGION_MAP = {
-  nj: ['mountain creek'],
-  vt: ['killington','stowe','stratton','sugarbush','pico','okemo','mount snow','jay peak','burke','bolton valley','magic'],
-  ny: ['hunter','whiteface','gore','belleayre','catamount','greek peak','west mtn'],
-  pa: ['camelback','blue mtn','shawnee'],
-  ne: ['sunday river','sugarloaf','saddleback','loon','attitash','wildcat','cannon','waterville'],
-  ca: ['tremblant','le massif','mont-ste-anne'],
-};
+const args     = process.argv.slice(2);
+const htmlFlag = args.indexOf('--html');
+const htmlFile = htmlFlag >= 0 ? args.splice(htmlFlag, 2)[1] : null;
+const arg      = args[0]?.toLowerCase();
 
 async function main() {
+  // Config mistakes would otherwise only show up as null fields
+  const problems = Object.entries(SELECTOR_CONFIGS).flatMap(([id, config]) => validateConfig(id, config));
+  if (problems.length) {
+    console.error('Problems in lib/selector-configs.js:');
+    problems.forEach(p => console.error(`  - ${p}`));
+    process.exit(1);
+  }
+
+  if (htmlFile) {
+    const m = getMountain(arg);
+    if (!m || !SELECTOR_CONFIGS[m.id]) {
+      console.error(`--html needs a mountain id with a selector config, e.g. ${Object.keys(SELECTOR_CONFIGS).slice(0, 3).join(', ')}`);
+      process.exit(1);
+    }
+    const $ = cheerio.load(fs.readFileSync(htmlFile, 'utf8'));
+    console.log(`${m.name} (${m.id}) from ${htmlFile}:`);
+    console.log(JSON.stringify(extractFields($, SELECTOR_CONFIGS[m.id]), null, 2));
+    return;
+  }
+
   if (!arg) {
     // Run all
     console.log('Running all scrapers...\n');
@@ -34,29 +61,24 @@ async function main() {
     return;
   }
 
-  // Filter by region or name
-  const regionNames = REGION_MAP[arg];
-  const matchingScrapers = ALL_SCRAPERS.filter(fn => {
-    const name = fn.name.toLowerCase().replace(/([A-Z])/g, ' $1').toLowerCase();
-    if (regionNames) return regionNames.some(r => name.includes(r));
-    return name.includes(arg);
-  });
+  // Filter by region, exact id/name, or id/name fragment
+  const matching = findMountains(arg);
 
-  if (!matchingScrapers.length) {
+  if (!matching.length) {
     console.error(`No scrapers found matching "${arg}"`);
-    console.log('Valid regions: nj, vt, ny, pa, ne, ca');
-    console.log('Or use a mountain name fragment: killington, stowe, etc.');
+    console.log(`Valid regions: ${REGIONS.join(', ')}`);
+    console.log('Or use a mountain id or name fragment: killington, stowe, jay-peak, etc.');
     process.exit(1);
   }
 
-  console.log(`Running ${matchingScrapers.length} scraper(s) matching "${arg}"...\n`);
-  for (const fn of matchingScrapers) {
+  console.log(`Running ${matching.length} scraper(s) matching "${arg}"...\n`);
+  for (const m of matching) {
     try {
-      const result = await fn();
-      console.log(`\n${result.name}:`);
+      const result = await SCRAPERS[m.id](m);
+      console.log(`\n${m.name} (${m.id}):`);
       console.log(JSON.stringify(result, null, 2));
     } catch (e) {
-      console.error(`${fn.name} threw:`, e.message);
+      console.error(`${m.id} threw:`, e.message);
     }
   }
 }
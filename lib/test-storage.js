@@ -0,0 +1,317 @@
+/**
+ * test-storage.js — the storage backend conformance suite
+ *
+ * Usage:
+ *   node lib/test-storage.js                 — memory, file and sqlite (kv too if
+ *                                              KV_REST_API_URL is set)
+ *   node lib/test-storage.js sqlite kv       — just these backends
+ *
+ * Every backend in lib/backends/ must pass the same checks: missing keys,
+ * round-trips, batch reads, TTLs, prefix listing, atomic update under concurrency, history
+ * series and errors surfacing as StorageError. Clock-driven expiry checks use
+ * a fake clock, so they're skipped for kv (which expires on Redis time).
+ *
+ * The file and sqlite backends run in a throwaway temp directory. The kv run
+ * uses keys under a random test prefix and deletes them afterwards.
+ */
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const { StorageError }        = require('./backends/base');
+const { createMemoryBackend } = require('./backends/memory');
+const { createFileBackend }   = require('./backends/file');
+
+const DAY = 24 * 60 * 60;
+
+function fakeClock() {
+  let t = Date.parse('2026-02-23T12:00:00Z');
+  return { now: () => t, advance: seconds => { t += seconds * 1000; } };
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'njskihaus-storage-test-'));
+}
+
+// name → () => { backend, clock?, cleanup? } — or null with a reason to skip
+const BACKENDS = {
+  memory() {
+    const clock = fakeClock();
+    return { backend: createMemoryBackend({ now: clock.now }), clock };
+  },
+  file() {
+    const clock = fakeClock();
+    const dir   = tempDir();
+    return {
+      backend: createFileBackend({ dir, now: clock.now }),
+      clock,
+      cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+      dir,
+    };
+  },
+  sqlite() {
+    try {
+      require.resolve('better-sqlite3');
+    } catch {
+      return { skip: 'better-sqlite3 is not installed (npm install better-sqlite3)' };
+    }
+    const { createSqliteBackend } = require('./backends/sqlite');
+    const clock = fakeClock();
+    const dir   = tempDir();
+    return {
+      backend: createSqliteBackend({ path: path.join(dir, 'test.db'), now: clock.now }),
+      clock,
+      cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+    };
+  },
+  kv() {
+    if (!process.env.KV_REST_API_URL) return { skip: 'KV_REST_API_URL is not set' };
+    const { createKVBackend } = require('./backends/kv');
+    return { backend: createKVBackend() };
+  },
+};
+
+// ── The suite ──
+// Each check gets (backend, ns, clock); ns is a key prefix unique to this run
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function same(actual, expected, what) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  assert(a === e, `${what}: expected ${e}, got ${a}`);
+}
+
+async function rejectsWithStorageError(promise, what) {
+  try {
+    await promise;
+  } catch (err) {
+    assert(err instanceof StorageError, `${what}: expected StorageError, got ${err.name}: ${err.message}`);
+    assert(err.cause, `${what}: StorageError has no cause`);
+    return err;
+  }
+  throw new Error(`${what}: expected a rejection`);
+}
+
+const CHECKS = [
+  ['get of a missing key is null', async (b, ns) => {
+    same(await b.get(`${ns}missing`), null, 'get');
+  }],
+
+  ['set then get round-trips JSON', async (b, ns) => {
+    const value = { a: 1, nested: { list: [1, 'two', null, true] }, s: 'snö ❄' };
+    await b.set(`${ns}doc`, value);
+    same(await b.get(`${ns}doc`), value, 'get');
+    await b.set(`${ns}num`, 42);
+    same(await b.get(`${ns}num`), 42, 'number value');
+  }],
+
+  ['getMany returns values in key order, null for missing', async (b, ns) => {
+    await b.set(`${ns}many:a`, { a: 1 });
+    await b.set(`${ns}many:b`, 'two');
+    same(await b.getMany([`${ns}many:b`, `${ns}many:missing`, `${ns}many:a`]), ['two', null, { a: 1 }], 'getMany');
+    same(await b.getMany([]), [], 'getMany of no keys');
+  }],
+
+  ['stored values are copies', async (b, ns) => {
+    const value = { list: [1] };
+    await b.set(`${ns}copy`, value);
+    value.list.push(2);
+    const got = await b.get(`${ns}copy`);
+    got.list.push(3);
+    same(await b.get(`${ns}copy`), { list: [1] }, 'after mutating input and output');
+  }],
+
+  ['set overwrites, delete removes', async (b, ns) => {
+    await b.set(`${ns}k`, 'one');
+    await b.set(`${ns}k`, 'two');
+    same(await b.get(`${ns}k`), 'two', 'after overwrite');
+    await b.delete(`${ns}k`);
+    same(await b.get(`${ns}k`), null, 'after delete');
+    await b.delete(`${ns}never-existed`);
+  }],
+
+  ['ttl expires values; no ttl keeps them', async (b, ns, clock) => {
+    await b.set(`${ns}short`, 'x', { ttl: 60 });
+    await b.set(`${ns}forever`, 'y', { ttl: null });
+    clock.advance(59);
+    same(await b.get(`${ns}short`), 'x', 'before expiry');
+    clock.advance(2);
+    same(await b.get(`${ns}short`), null, 'after expiry');
+    clock.advance(10 * 365 * DAY);
+    same(await b.get(`${ns}forever`), 'y', 'no-ttl value years later');
+  }, { clock: true }],
+
+  ['list returns live keys under a prefix, sorted', async (b, ns, clock) => {
+    await b.set(`${ns}list:b`, 1);
+    await b.set(`${ns}list:a`, 1);
+    await b.set(`${ns}list:c`, 1);
+    await b.set(`${ns}other:a`, 1);
+    await b.delete(`${ns}list:c`);
+    same(await b.list(`${ns}list:`), [`${ns}list:a`, `${ns}list:b`], 'list');
+    if (clock) {
+      await b.set(`${ns}list:z`, 1, { ttl: 10 });
+      clock.advance(11);
+      same(await b.list(`${ns}list:`), [`${ns}list:a`, `${ns}list:b`], 'list after expiry');
+    }
+  }],
+
+  ['list treats the prefix literally', async (b, ns) => {
+    await b.set(`${ns}glob*[x]:1`, 1);
+    await b.set(`${ns}globZZ:1`, 1);
+    same(await b.list(`${ns}glob*[x]:`), [`${ns}glob*[x]:1`], 'list with glob characters');
+  }],
+
+  ['update reads, writes and returns the new value', async (b, ns) => {
+    let seen = 'not called';
+    const first = await b.update(`${ns}counter`, current => {
+      seen = current;
+      return { n: 1 };
+    });
+    same(seen, null, 'fn argument for a missing key');
+    same(first, { n: 1 }, 'return value');
+    same(await b.update(`${ns}counter`, c => ({ n: c.n + 1 })), { n: 2 }, 'second update');
+    same(await b.get(`${ns}counter`), { n: 2 }, 'stored value');
+  }],
+
+  ['update returning undefined leaves the value alone', async (b, ns) => {
+    await b.set(`${ns}keep`, 'kept');
+    same(await b.update(`${ns}keep`, () => undefined), 'kept', 'return value');
+    same(await b.get(`${ns}keep`), 'kept', 'stored value');
+  }],
+
+  ['concurrent updates are not lost', async (b, ns) => {
+    const N = 20;
+    await Promise.all(Array.from({ length: N }, () => b.update(`${ns}race`, c => (c || 0) + 1)));
+    same(await b.get(`${ns}race`), N, 'count after concurrent increments');
+  }],
+
+  ['update applies its ttl', async (b, ns, clock) => {
+    await b.update(`${ns}upd-ttl`, () => 'x', { ttl: 30 });
+    clock.advance(31);
+    same(await b.get(`${ns}upd-ttl`), null, 'after expiry');
+  }, { clock: true }],
+
+  ['history upserts by date, trims and ranges', async (b, ns) => {
+    const key = `${ns}history:m`;
+    same(await b.getHistory(key), [], 'missing series');
+    await b.appendHistory(key, { date: '2026-02-20', base: 40 });
+    await b.appendHistory(key, { date: '2026-02-22', base: 44 });
+    await b.appendHistory(key, { date: '2026-02-21', base: 42 });
+    const n = await b.appendHistory(key, { date: '2026-02-22', base: 45 });
+    same(n, 3, 'series length returned');
+    same((await b.getHistory(key)).map(p => [p.date, p.base]),
+      [['2026-02-20', 40], ['2026-02-21', 42], ['2026-02-22', 45]], 'series');
+    same((await b.getHistory(key, { from: '2026-02-21' })).length, 2, 'from bound (inclusive)');
+    same((await b.getHistory(key, { to: '2026-02-21' })).length, 2, 'to bound (inclusive)');
+    same((await b.getHistory(key, { from: '2026-02-21', to: '2026-02-21' })).map(p => p.base), [42], 'single day');
+
+    await b.appendHistory(key, { date: '2026-02-23', base: 46 }, { since: '2026-02-22' });
+    same((await b.getHistory(key)).map(p => p.date), ['2026-02-22', '2026-02-23'], 'after trimming');
+  }],
+
+  ['history expires as a whole', async (b, ns, clock) => {
+    const key = `${ns}history:ttl`;
+    await b.appendHistory(key, { date: '2026-02-20', base: 1 }, { ttl: 100 });
+    clock.advance(60);
+    await b.appendHistory(key, { date: '2026-02-21', base: 2 }, { ttl: 100 });
+    clock.advance(60);
+    same((await b.getHistory(key)).length, 2, 'ttl renewed by the latest append');
+    clock.advance(41);
+    same(await b.getHistory(key), [], 'after expiry');
+  }, { clock: true }],
+
+  ['failures reject with StorageError', async (b, ns) => {
+    const circular = {};
+    circular.self = circular;
+    const err = await rejectsWithStorageError(b.set(`${ns}bad`, circular), 'set of a circular value');
+    assert(err.op === 'set' && err.key === `${ns}bad`, `error names op and key (got ${err.op} ${err.key})`);
+    assert(err.backend === b.name, `error names the backend (got ${err.backend})`);
+
+    await b.set(`${ns}safe`, 'before');
+    await rejectsWithStorageError(b.update(`${ns}safe`, () => { throw new Error('boom'); }), 'update whose fn throws');
+    same(await b.get(`${ns}safe`), 'before', 'value after a failed update');
+  }],
+];
+
+// Backend-specific failure modes
+const EXTRA = {
+  file: [
+    ['a corrupt file is an error, not a missing key', async (b, ns, clock, ctx) => {
+      await b.set(`${ns}corrupt`, 'ok');
+      const file = path.join(ctx.dir, `${encodeURIComponent(`${ns}corrupt`)}.json`);
+      fs.writeFileSync(file, '{ not json');
+      await rejectsWithStorageError(b.get(`${ns}corrupt`), 'get of a corrupt file');
+    }],
+  ],
+};
+
+async function runBackend(name) {
+  const ctx = BACKENDS[name]();
+  if (ctx.skip) {
+    console.log(`\n${name}: skipped — ${ctx.skip}`);
+    return { passed: 0, failed: 0, skipped: true };
+  }
+
+  const { backend, clock } = ctx;
+  const ns = `test_storage_${Math.random().toString(16).slice(2, 8)}:`;
+  let passed = 0;
+  let failed = 0;
+  console.log(`\n${name}`);
+
+  for (const [title, check, opts = {}] of [...CHECKS, ...(EXTRA[name] || [])]) {
+    if (opts.clock && !clock) {
+      console.log(`  - ${title} (needs a fake clock, skipped)`);
+      continue;
+    }
+    try {
+      await check(backend, ns, clock, ctx);
+      passed++;
+      console.log(`  ✓ ${title}`);
+    } catch (err) {
+      failed++;
+      console.log(`  ✗ ${title}\n      ${err.message}`);
+    }
+  }
+
+  // Leave nothing behind on shared backends
+  if (name === 'kv') {
+    for (const key of await backend.list(ns)) await backend.delete(key);
+  }
+  await backend.close();
+  if (ctx.cleanup) ctx.cleanup();
+  return { passed, failed };
+}
+
+async function main() {
+  const args  = process.argv.slice(2);
+  const names = args.length ? args : Object.keys(BACKENDS);
+  const unknown = names.filter(n => !BACKENDS[n]);
+  if (unknown.length) {
+    console.error(`Unknown backend(s): ${unknown.join(', ')} — choose from ${Object.keys(BACKENDS).join(', ')}`);
+    process.exit(1);
+  }
+
+  console.log('NJ Ski Haus — storage backend conformance');
+  let failed = 0;
+  let ran = 0;
+  for (const name of names) {
+    const result = await runBackend(name);
+    failed += result.failed;
+    if (!result.skipped) ran++;
+  }
+
+  if (failed) {
+    console.log(`\n✗ ${failed} check(s) failed`);
+    process.exit(1);
+  }
+  console.log(`\n✅ ${ran} backend(s) conform`);
+}
+
+main().catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
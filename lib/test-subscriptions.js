@@ -0,0 +1,199 @@
+/**
+ * test-subscriptions.js — /api/alerts, /api/push and their delivery, without the network
+ *
+ * Usage:
+ *   node lib/test-subscriptions.js
+ *
+ * Runs the handlers against the memory backend: https-only and public-address
+ * webhooks and push endpoints, per-client rate limits and subscription caps,
+ * and requests that race each other. node-fetch is stubbed, so dispatchAlerts'
+ * and dispatchPush's posts are counted rather than sent. URLs are IP literals,
+ * so nothing is resolved.
+ */
+
+const nodeFetch = require('node-fetch');
+
+let inFlight = 0;
+let peak     = 0;
+const posted = [];
+
+function stubFetch(url) {
+  posted.push(url);
+  inFlight++;
+  peak = Math.max(peak, inFlight);
+  return new Promise(resolve => setTimeout(() => {
+    inFlight--;
+    resolve({ ok: true, status: 200 });
+  }, 20));
+}
+Object.assign(stubFetch, nodeFetch);
+require.cache[require.resolve('node-fetch')].exports = stubFetch;
+
+const crypto = require('crypto');
+
+const {
+  useBackend, getSubscriptions, updateSubscriptions, getPushSubscriptions, updatePushSubscriptions,
+} = require('./storage');
+const { createMemoryBackend }                          = require('./backends/memory');
+const { dispatchAlerts, parseSubscription, hashToken } = require('./alerts');
+const { dispatchPush }                                 = require('./push');
+const { postJSON }                                     = require('./webhook');
+const { generateVAPIDKeys, sendNotification }          = require('./webpush');
+const { publicUrlError }                               = require('./public-url');
+const alertsHandler                                    = require('../api/alerts');
+const pushHandler                                      = require('../api/push');
+const { assert, same, runChecks }                      = require('./test-checks');
+
+const WEBHOOK  = 'https://93.184.215.14/hook';
+const ENDPOINT = 'https://93.184.215.14/push';
+
+const vapid = generateVAPIDKeys();
+process.env.VAPID_PUBLIC_KEY  = vapid.publicKey;
+process.env.VAPID_PRIVATE_KEY = vapid.privateKey;
+
+// A browser's PushSubscription keys
+function browserKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return { p256dh: ecdh.getPublicKey().toString('base64url'), auth: crypto.randomBytes(16).toString('base64url') };
+}
+
+function call({ method = 'GET', query = {}, body, ip = '203.0.113.5', token, handler = alertsHandler } = {}) {
+  const res = {
+    statusCode: 200, headers: {}, body: null,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(value) { this.body = value; return this; },
+    end() { return this; },
+  };
+  const headers = { 'x-forwarded-for': `${ip}, 10.0.0.1`, ...(token && { authorization: `Bearer ${token}` }) };
+  return handler({ method, query, headers, body }, res).then(() => res);
+}
+
+const create = (ip, extra = {}) =>
+  call({ method: 'POST', ip, body: { mountains: ['killington'], threshold: 6, webhook: WEBHOOK, ...extra } });
+
+const subscribe = (ip, endpoint = `${ENDPOINT}/${Math.random()}`) =>
+  call({ handler: pushHandler, method: 'POST', ip, body: { subscription: { endpoint, keys: browserKeys() }, mountains: ['killington'] } });
+
+// A fresh store for each check
+const fresh = () => useBackend(createMemoryBackend());
+
+const CHECKS = [
+  ['webhooks must be https', async () => {
+    same(parseSubscription({ mountains: ['stowe'], threshold: 4, webhook: 'http://93.184.215.14/hook' }).error,
+      'webhook must be an https URL', 'parseSubscription');
+    same(await publicUrlError('http://93.184.215.14/hook'), 'webhook must be an https URL', 'publicUrlError');
+    same((await postJSON('http://93.184.215.14/hook', {}, { publicOnly: true })).error, 'webhook must be an https URL', 'postJSON');
+  }],
+
+  ['private, loopback and link-local webhooks are refused', async () => {
+    const refused = ['https://127.0.0.1/x', 'https://localhost/x', 'https://10.1.2.3/x', 'https://192.168.0.9/x',
+      'https://169.254.169.254/latest', 'https://[::1]/x', 'https://[fe80::1]/x', 'https://[::ffff:172.16.0.1]/x'];
+    for (const url of refused) assert(await publicUrlError(url), `${url} accepted`);
+    same(await publicUrlError(WEBHOOK), null, 'public address');
+
+    fresh();
+    const res = await create('203.0.113.1', { webhook: 'https://169.254.169.254/latest' });
+    same(res.statusCode, 400, 'POST status');
+    same((await getSubscriptions()).length, 0, 'nothing stored');
+  }],
+
+  ['create is rate-limited per client address', async () => {
+    fresh();
+    for (let i = 0; i < 10; i++) same((await create('203.0.113.2')).statusCode, 201, `create ${i + 1}`);
+    const limited = await create('203.0.113.2');
+    same(limited.statusCode, 429, 'eleventh create');
+    assert(Number(limited.headers['retry-after']) > 0, 'Retry-After set');
+    same((await create('203.0.113.3')).statusCode, 201, 'another client');
+    assert((await getSubscriptions())[0].client, 'client stored with the subscription');
+    same('client' in (await create('203.0.113.4')).body.subscription, false, 'client not shown');
+  }],
+
+  ['one client can\'t fill the list; the global cap holds under the lock', async () => {
+    fresh();
+    const mine = hashToken('203.0.113.6').slice(0, 32);
+    await updateSubscriptions(() => Array.from({ length: 20 }, (_, i) => ({ id: `s${i}`, client: mine })));
+    same((await create('203.0.113.6')).statusCode, 429, 'per-client cap');
+
+    await updateSubscriptions(() => Array.from({ length: 5000 }, (_, i) => ({ id: `s${i}`, client: `c${i}` })));
+    same((await create('203.0.113.7')).statusCode, 503, 'global cap');
+    same((await getSubscriptions()).length, 5000, 'list unchanged');
+  }],
+
+  ['concurrent PATCHes both land', async () => {
+    fresh();
+    const created = await create('203.0.113.8');
+    const { id }  = created.body.subscription;
+    const { token } = created.body;
+    const [a, b] = await Promise.all([
+      call({ method: 'PATCH', query: { id }, token, body: { name: 'Powder day' } }),
+      call({ method: 'PATCH', query: { id }, token, body: { threshold: 10 } }),
+    ]);
+    same([a.statusCode, b.statusCode], [200, 200], 'statuses');
+    const [stored] = await getSubscriptions();
+    same([stored.name, stored.threshold], ['Powder day', 10], 'both fields');
+
+    same((await call({ method: 'PATCH', query: { id }, token, body: { webhook: 'https://127.0.0.1/x' } })).statusCode,
+      400, 'private webhook on PATCH');
+  }],
+
+  ['dispatchAlerts posts a bounded number at a time', async () => {
+    fresh();
+    const subs = Array.from({ length: 30 }, (_, i) => ({
+      id: `s${i}`, mountains: ['killington'], field: 'newSnow24', threshold: 6, webhook: `${WEBHOOK}/${i}`,
+    }));
+    await updateSubscriptions(() => subs);
+    posted.length = 0;
+    peak = 0;
+    const result = await dispatchAlerts([{ id: 'killington', name: 'KILLINGTON', newSnow24: 9, base: 40 }]);
+    same([result.fired, result.sent], [30, 30], 'fired, sent');
+    same(posted.length, 30, 'posts');
+    assert(peak > 1 && peak <= 8, `expected 2–8 posts in flight, got ${peak}`);
+  }],
+
+  ['push endpoints must be https to a public address', async () => {
+    fresh();
+    same((await subscribe('203.0.113.9', 'http://93.184.215.14/push')).statusCode, 400, 'http');
+    const res = await subscribe('203.0.113.9', 'https://169.254.169.254/push');
+    same([res.statusCode, res.body.error], [400, 'subscription.endpoint must not point at a private, loopback or link-local address'], 'link-local');
+    same((await getPushSubscriptions()).length, 0, 'nothing stored');
+    same((await sendNotification({ endpoint: 'http://93.184.215.14/push', keys: browserKeys() }, 'x', undefined, { publicOnly: true })).error,
+      'subscription.endpoint must be an https URL', 'sendNotification');
+  }],
+
+  ['push subscribe is rate-limited per client address', async () => {
+    fresh();
+    for (let i = 0; i < 20; i++) same((await subscribe('203.0.113.10')).statusCode, 201, `subscribe ${i + 1}`);
+    const limited = await subscribe('203.0.113.10');
+    same(limited.statusCode, 429, 'twenty-first');
+    assert(Number(limited.headers['retry-after']) > 0, 'Retry-After set');
+    same((await subscribe('203.0.113.11')).statusCode, 201, 'another client');
+  }],
+
+  ['the push cap holds when subscribes race', async () => {
+    fresh();
+    await updatePushSubscriptions(() => Array.from({ length: 19999 }, (_, i) => ({ id: `p${i}` })));
+    const results = await Promise.all([subscribe('203.0.113.12'), subscribe('203.0.113.13')]);
+    same(results.map(r => r.statusCode).sort(), [201, 503], 'one in, one refused');
+    same((await getPushSubscriptions()).length, 20000, 'at the cap');
+  }],
+
+  ['dispatchPush sends a bounded number at a time', async () => {
+    fresh();
+    await updatePushSubscriptions(() => Array.from({ length: 30 }, (_, i) => ({
+      id: `p${i}`, endpoint: `${ENDPOINT}/${i}`, keys: browserKeys(), mountains: ['killington'], threshold: 6, openings: false,
+    })));
+    posted.length = 0;
+    peak = 0;
+    const result = await dispatchPush([{ id: 'killington', name: 'KILLINGTON', newSnow24: 9, base: 40 }], []);
+    same([result.fired, result.sent], [30, 30], 'fired, sent');
+    same(posted.length, 30, 'posts');
+    assert(peak > 1 && peak <= 8, `expected 2–8 sends in flight, got ${peak}`);
+  }],
+];
+
+runChecks('NJ Ski Haus — alert and push subscriptions', CHECKS).catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
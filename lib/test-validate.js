@@ -0,0 +1,113 @@
+/**
+ * test-validate.js — the sanity checks in lib/validate.js
+ *
+ * Usage:
+ *   node lib/test-validate.js
+ *
+ * Schema and range rejections, the cross-field rules, jumps against the
+ * previous stored record (and how old it is), and quarantine. No network.
+ */
+
+const { validateRecord, validateAll, QUARANTINE_AFTER } = require('./validate');
+const { assert, same, runChecks }                       = require('./test-checks');
+
+const NOW = '2026-02-23T12:00:00.000Z';
+
+const GOOD = {
+  id: 'killington', base: 58, summit: 72, newSnow24: 8, newSnow48: 12, newSnow7d: 20,
+  trailsOpen: 116, trailsTotal: 142, liftsOpen: 18, liftsTotal: 22, parksOpen: 3, parksTotal: 6,
+  surface: 'Packed Powder', season: 198, status: 'Open', updatedAt: NOW,
+  sources: { base: 'snocountry', season: 'resort', trailsOpen: 'resort', trailsTotal: 'resort' },
+};
+
+const hoursBefore = hours => new Date(Date.parse(NOW) - hours * 3600000).toISOString();
+const rejectedFields = record => record.rejected.map(p => p.field);
+
+const CHECKS = [
+  ['a sane record passes untouched', () => {
+    const out = validateRecord(GOOD, { ...GOOD, updatedAt: hoursBefore(24) });
+    same(out.rejected, [], 'rejected');
+    same(out.quarantined, false, 'quarantined');
+    same(out.base, 58, 'base');
+  }],
+
+  ['schema: not a number, negative, fractional count, non-text', () => {
+    const out = validateRecord({ ...GOOD, summit: 'deep', newSnow7d: -1, liftsTotal: 22.5, surface: 7 });
+    same(rejectedFields(out).sort(), ['liftsTotal', 'newSnow7d', 'summit', 'surface'], 'rejected');
+    same(out.rejected.find(p => p.field === 'summit').reason, 'not a number', 'reason');
+    same([out.summit, out.newSnow7d, out.liftsTotal, out.surface], [null, null, null, null], 'nulled');
+    same(out.quarantined, true, 'four failures quarantine the record');
+  }],
+
+  ['ranges: a year grabbed as season total is rejected with its source', () => {
+    const out = validateRecord({ ...GOOD, season: 2024 });
+    same(out.rejected, [{ field: 'season', value: 2024, reason: 'above 800" maximum', source: 'resort' }], 'rejected');
+    same(out.season, null, 'season');
+    same(out.sources.season, undefined, 'source dropped');
+    same(out.base, 58, 'the rest kept');
+  }],
+
+  ['cross-field: open > total rejects both', () => {
+    const out = validateRecord({ ...GOOD, trailsOpen: 150 });
+    same(rejectedFields(out), ['trailsOpen', 'trailsTotal'], 'rejected');
+    same(out.rejected[0].reason, 'trailsOpen > trailsTotal', 'reason');
+  }],
+
+  ['cross-field: new snow windows must nest', () => {
+    same(rejectedFields(validateRecord({ ...GOOD, newSnow24: 14 })), ['newSnow24', 'newSnow48'], '24h > 48h');
+    same(rejectedFields(validateRecord({ ...GOOD, newSnow48: 25 })), ['newSnow48', 'newSnow7d'], '48h > 7d');
+  }],
+
+  ['cross-field: new snow above the base, unless the base is 0', () => {
+    const deep = { ...GOOD, base: 6, newSnow24: 8 };
+    same(rejectedFields(validateRecord(deep)), ['newSnow24', 'newSnow48'], 'base 6"');
+    same(rejectedFields(validateRecord({ ...deep, base: 0 })), [], 'base 0"');
+  }],
+
+  ['jumps: a 50" rise in a day is rejected', () => {
+    const previous = { ...GOOD, base: 8, updatedAt: hoursBefore(24) };
+    const out = validateRecord(GOOD, previous);
+    same(out.rejected, [{ field: 'base', value: 58, reason: 'rose 50" since last scrape (max 40")', source: 'snocountry' }], 'rejected');
+  }],
+
+  ['jumps: confirmed when the previous scrape saw the same jump', () => {
+    const previous = {
+      ...GOOD, base: 8, updatedAt: hoursBefore(24),
+      rejected: [{ field: 'base', value: 57, reason: 'rose 49" since last scrape (max 40")' }],
+    };
+    same(validateRecord(GOOD, previous).rejected, [], 'rejected');
+  }],
+
+  ['jumps: not checked against a value older than 48 h', () => {
+    const previous = { ...GOOD, base: 8, updatedAt: hoursBefore(24) };
+    same(validateRecord(GOOD, { ...previous, updatedAt: hoursBefore(72) }).rejected, [], 'updatedAt 72 h ago');
+    const carried = { ...previous, fieldUpdatedAt: { base: hoursBefore(96) } };
+    same(validateRecord(GOOD, carried).rejected, [], 'base carried forward from 96 h ago');
+  }],
+
+  [`quarantine: ${QUARANTINE_AFTER} failing fields null every condition field`, () => {
+    const out = validateRecord({ ...GOOD, base: 500, summit: 900, season: 5000 });
+    same(out.quarantined, true, 'quarantined');
+    same(out.rejected.length, 3, 'rejected');
+    ['base', 'trailsOpen', 'surface', 'status'].forEach(f => same(out[f], null, f));
+    same(out.id, 'killington', 'id kept');
+    same(out.updatedAt, NOW, 'updatedAt kept');
+  }],
+
+  ['validateAll: matches previous records by id and reports per mountain', () => {
+    const { mountains, report } = validateAll(
+      [{ ...GOOD, season: 2024 }, { ...GOOD, id: 'stowe', base: 500, summit: 900, season: 5000 }],
+      [{ ...GOOD, season: 190, updatedAt: hoursBefore(24) }],
+    );
+    same(mountains.length, 2, 'mountains');
+    same(report.rejected.map(p => `${p.id}.${p.field}`),
+      ['killington.season', 'stowe.base', 'stowe.summit', 'stowe.season'], 'rejected');
+    same(report.quarantined, ['stowe'], 'quarantined');
+    assert(!mountains[0].quarantined, 'killington not quarantined');
+  }],
+];
+
+runChecks('NJ Ski Haus — validation', CHECKS).catch(e => {
+  console.error('Fatal error:', e);
+  process.exit(1);
+});
@@ -0,0 +1,133 @@
+/**
+ * vail.js — shared adapter for Vail Resorts mountain-report pages
+ *
+ * Stowe, Okemo, Mount Snow, Hunter, Attitash and Wildcat all run Vail's
+ * mountain-report platform (/the-mountain/mountain-report.aspx). The visible
+ * markup changes often, but every page embeds the same data as JavaScript
+ * assignments on the global `FR` object:
+ *
+ *   FR.snowReportData     — { BaseDepth: { Inches }, TwentyFourHourSnowfall: { Inches }, ... }
+ *   FR.TerrainStatusFeed  — { Lifts: [...], GroomingAreas: [{ Trails: [...] }], TerrainParks: [...] }
+ *   FR.forecasts          — [{ Date, Summary / ForecastText, High, Low, SnowfallInches }, ...]
+ *
+ * Those are read first; the old `[data-field="..."]` selectors and then the
+ * generic structured-data search are only fallbacks for fields the embedded
+ * data didn't have. A Vail layout change should only ever need an edit here.
+ */
+
+const {
+  fetchHTML, parseInches, parseInt2, now,
+  readAssignment, withStructuredFallback,
+} = require('./scraper-helpers');
+
+// Lift/park status codes in TerrainStatusFeed — anything else counts as not open
+const OPEN_STATUSES = new Set([1, '1', 'open', 'Open', 'OPEN']);
+
+function isOpen(item) {
+  if (item == null) return false;
+  if (typeof item.IsOpen === 'boolean') return item.IsOpen;
+  return OPEN_STATUSES.has(item.Status ?? item.status);
+}
+
+function countOpen(items) {
+  if (!Array.isArray(items) || !items.length) return { open: null, total: null };
+  return { open: items.filter(isOpen).length, total: items.length };
+}
+
+function inches(v) {
+  if (v == null) return null;
+  return parseInches(typeof v === 'object' ? v.Inches ?? v.inches : v);
+}
+
+/** parseSnowReport — FR.snowReportData → our snow fields. */
+function parseSnowReport(sr) {
+  if (!sr) return {};
+  return {
+    base:      inches(sr.BaseDepth),
+    summit:    inches(sr.SummitDepth ?? sr.TopDepth),
+    newSnow24: inches(sr.TwentyFourHourSnowfall ?? sr.OvernightSnowfall),
+    newSnow48: inches(sr.FortyEightHourSnowfall),
+    newSnow7d: inches(sr.SevenDaySnowfall),
+    season:    inches(sr.CurrentSeason ?? sr.SeasonSnowfall),
+    surface:   sr.OverallSnowConditions || sr.SnowConditions || null,
+  };
+}
+
+/** parseTerrain — FR.TerrainStatusFeed → lift, trail and terrain park counts. */
+function parseTerrain(feed) {
+  if (!feed) return {};
+  const trails = (feed.GroomingAreas || []).flatMap(area => area.Trails || []);
+  const lifts  = countOpen(feed.Lifts);
+  const runs   = countOpen(trails);
+  const parks  = countOpen(feed.TerrainParks);
+  return {
+    liftsOpen:   lifts.open,  liftsTotal:  lifts.total,
+    trailsOpen:  runs.open,   trailsTotal: runs.total,
+    parksOpen:   parks.open,  parksTotal:  parks.total,
+  };
+}
+
+/** parseForecast — FR.forecasts → [{ date, summary, high, low, snow }]. */
+function parseForecast(list) {
+  if (!Array.isArray(list)) return null;
+  const days = list.map(d => ({
+    date:    d.Date || d.date || d.Day || null,
+    summary: d.Summary || d.ForecastText || d.WeatherShortDescription || null,
+    high:    parseInt2(d.High ?? d.HighTempStandard),
+    low:     parseInt2(d.Low ?? d.LowTempStandard),
+    snow:    inches(d.SnowfallInches ?? d.Snowfall),
+  }));
+  return days.length ? days : null;
+}
+
+// Visible-markup fallback — only consulted for fields the embedded data lacked
+function parseMarkup($) {
+  const text = field => $(`[data-field="${field}"]`).first().text();
+  return {
+    base:        parseInches(text('base-depth')),
+    summit:      parseInches(text('summit-depth')),
+    newSnow24:   parseInches(text('overnight-snowfall')),
+    newSnow48:   parseInches(text('48hr-snowfall')),
+    trailsOpen:  parseInt2(text('open-trails')),
+    trailsTotal: parseInt2(text('total-trails')),
+    liftsOpen:   parseInt2(text('open-lifts')),
+    surface:     text('surface-conditions').trim() || null,
+    season:      parseInches(text('season-total')),
+  };
+}
+
+/**
+ * vailMountainReport — scraper for any Vail mountain-report page. Called with
+ * the mountain's registry entry like every other scraper.
+ */
+async function vailMountainReport(m) {
+  const url = m.scrape.url;
+  try {
+    const $       = await fetchHTML(url);
+    const scripts = $('script').map((_, el) => $(el).html()).get().join('\n');
+
+    const embedded = {
+      ...parseSnowReport(readAssignment(scripts, 'FR.snowReportData')),
+      ...parseTerrain(readAssignment(scripts, 'FR.TerrainStatusFeed')),
+    };
+    const markup = parseMarkup($);
+
+    const result = { name: m.name };
+    for (const field of new Set([...Object.keys(embedded), ...Object.keys(markup)])) {
+      result[field] = embedded[field] ?? markup[field] ?? null;
+    }
+    return {
+      ...withStructuredFallback($, result),
+      forecast:  parseForecast(readAssignment(scripts, 'FR.forecasts')),
+      // Only when the lift feed says — no lift count is no status, not 'Open'
+      status:    result.liftsOpen == null ? null : result.liftsOpen === 0 ? 'Closed' : 'Open',
+      updatedAt: now(),
+      source:    url,
+    };
+  } catch (e) {
+    console.warn(`vail scraper (${m.id}) failed:`, e.message);
+    return { name: m.name, updatedAt: now(), source: url };
+  }
+}
+
+module.exports = { vailMountainReport };
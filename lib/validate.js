@@ -0,0 +1,172 @@
+/**
+ * validate.js — sanity checks on merged scrape records
+ *
+ * Loose selectors like `[class*="24"]` happily grab a phone number or a year,
+ * and SnoCountry has the odd typo too. Every merged record goes through
+ * validateRecord before it is stored:
+ *
+ *   1. Schema — numeric fields must be non-negative numbers, text fields strings
+ *   2. Ranges — each numeric field has a plausible maximum (RANGES)
+ *   3. Cross-field — open ≤ total, newSnow24 ≤ newSnow48 ≤ newSnow7d, new snow ≤ base
+ *   4. Jumps — base/summit/season can't rise more than MAX_JUMP inches since the
+ *      previous stored record, unless the previous scrape saw the same jump. Only
+ *      checked against a value observed within JUMP_WINDOW_HOURS — after a few
+ *      days' outage or an off-season gap, a big rise is just weather
+ *
+ * Failing fields are nulled (so carry-forward keeps the last good value) and
+ * listed on the record:
+ *   rejected: [{ field: 'season', value: 2024, reason: 'above 800" maximum', source: 'resort' }]
+ * A record with QUARANTINE_AFTER or more rejected fields is treated as a bad page
+ * altogether: every condition field is nulled and `quarantined: true` is set.
+ */
+
+const { CONDITION_FIELDS, NUMERIC_FIELDS } = require('./fields');
+
+// Plausible maximums, in inches or counts
+const RANGES = {
+  base:        200,
+  summit:      300,
+  newSnow24:   50,
+  newSnow48:   80,
+  newSnow7d:   150,
+  season:      800,
+  trailsOpen:  250,
+  trailsTotal: 250,
+  liftsOpen:   50,
+  liftsTotal:  50,
+  parksOpen:   20,
+  parksTotal:  20,
+};
+
+// Counts must be whole numbers
+const COUNT_FIELDS = ['trailsOpen', 'trailsTotal', 'liftsOpen', 'liftsTotal', 'parksOpen', 'parksTotal'];
+
+// [open, total] pairs
+const OPEN_TOTAL = [['trailsOpen', 'trailsTotal'], ['liftsOpen', 'liftsTotal'], ['parksOpen', 'parksTotal']];
+
+// Largest believable rise since the previous stored record, in inches
+const MAX_JUMP = { base: 40, summit: 40, season: 40 };
+
+// Older previous values aren't compared at all
+const JUMP_WINDOW_HOURS = 48;
+
+const QUARANTINE_AFTER = 3;
+
+// Hours between when the previous value of `field` was observed and this record
+function hoursSincePrevious(record, previous, field) {
+  const then = Date.parse(previous.fieldUpdatedAt?.[field] || previous.updatedAt || '');
+  const now  = Date.parse(record.updatedAt || '') || Date.now();
+  return Number.isNaN(then) ? Infinity : (now - then) / 3600000;
+}
+
+/**
+ * checkRecord — list the problems with one record without changing it.
+ * `previous` is the stored record for the same mountain, or null.
+ * Returns [{ field, value, reason }].
+ */
+function checkRecord(record, previous) {
+  const problems = [];
+  const bad      = new Set();
+  const reject   = (field, reason) => {
+    if (bad.has(field)) return;
+    bad.add(field);
+    problems.push({ field, value: record[field], reason });
+  };
+  const ok = field => record[field] != null && !bad.has(field);
+
+  // 1–2. Schema and ranges
+  NUMERIC_FIELDS.forEach(field => {
+    const v = record[field];
+    if (v == null) return;
+    if (typeof v !== 'number' || !Number.isFinite(v)) return reject(field, 'not a number');
+    if (v < 0)                                        return reject(field, 'negative');
+    if (COUNT_FIELDS.includes(field) && !Number.isInteger(v)) return reject(field, 'not a whole number');
+    if (v > RANGES[field])                            return reject(field, `above ${RANGES[field]}${COUNT_FIELDS.includes(field) ? '' : '"'} maximum`);
+  });
+  ['surface', 'status'].forEach(field => {
+    if (record[field] != null && typeof record[field] !== 'string') reject(field, 'not text');
+  });
+
+  // 3. Cross-field — when we can't tell which side is wrong, both go
+  OPEN_TOTAL.forEach(([open, total]) => {
+    if (ok(open) && ok(total) && record[open] > record[total]) {
+      reject(open,  `${open} > ${total}`);
+      reject(total, `${open} > ${total}`);
+    }
+  });
+  if (ok('newSnow24') && ok('newSnow48') && record.newSnow24 > record.newSnow48) {
+    reject('newSnow24', 'newSnow24 > newSnow48');
+    reject('newSnow48', 'newSnow24 > newSnow48');
+  }
+  if (ok('newSnow48') && ok('newSnow7d') && record.newSnow48 > record.newSnow7d) {
+    reject('newSnow48', 'newSnow48 > newSnow7d');
+    reject('newSnow7d', 'newSnow48 > newSnow7d');
+  }
+  // A base of 0 is common before opening day, so only a positive base is compared
+  ['newSnow24', 'newSnow48'].forEach(field => {
+    if (ok(field) && ok('base') && record.base > 0 && record[field] > record.base) {
+      reject(field, `${field} > base`);
+    }
+  });
+
+  // 4. Jumps against the previous stored record. A jump the previous scrape
+  // already reported (and had rejected) counts as confirmed — otherwise a real
+  // big storm would be rejected on every scrape from then on.
+  Object.entries(MAX_JUMP).forEach(([field, max]) => {
+    if (!ok(field) || previous?.[field] == null) return;
+    if (hoursSincePrevious(record, previous, field) > JUMP_WINDOW_HOURS) return;
+    const rise = record[field] - previous[field];
+    if (rise <= max) return;
+    const seen = (previous.rejected || []).find(p => p.field === field && typeof p.value === 'number');
+    if (seen && Math.abs(seen.value - record[field]) <= max / 4) return;
+    reject(field, `rose ${rise}" since last scrape (max ${max}")`);
+  });
+
+  return problems;
+}
+
+/**
+ * validateRecord — null the fields checkRecord rejects, or the whole record once
+ * QUARANTINE_AFTER fields fail. Returns a new record with `rejected` and
+ * `quarantined` set; `sources` loses the nulled fields.
+ */
+function validateRecord(record, previous = null) {
+  const problems = checkRecord(record, previous).map(p => ({
+    ...p,
+    source: record.sources?.[p.field] || null,
+  }));
+  const quarantined = problems.length >= QUARANTINE_AFTER;
+  const nulled      = quarantined ? CONDITION_FIELDS : problems.map(p => p.field);
+
+  const out     = { ...record };
+  const sources = { ...record.sources };
+  nulled.forEach(field => {
+    out[field] = null;
+    delete sources[field];
+  });
+  out.sources     = sources;
+  out.rejected    = problems;
+  out.quarantined = quarantined;
+  return out;
+}
+
+/**
+ * validateAll — validateRecord over a mountains list, matching previous records
+ * by id. Returns { mountains, report: { rejected: [{ id, ...problem }], quarantined: [id] } }.
+ */
+function validateAll(mountains, previousMountains) {
+  const prev = new Map((previousMountains || []).map(m => [m.id || m.name, m]));
+  const report = { rejected: [], quarantined: [] };
+
+  const out = mountains.map(m => {
+    const checked = validateRecord(m, prev.get(m.id) || prev.get(m.name) || null);
+    checked.rejected.forEach(p => report.rejected.push({ id: m.id, ...p }));
+    if (checked.quarantined) report.quarantined.push(m.id);
+    return checked;
+  });
+  return { mountains: out, report };
+}
+
+module.exports = {
+  validateAll, validateRecord, checkRecord, RANGES, MAX_JUMP, JUMP_WINDOW_HOURS, QUARANTINE_AFTER,
+};
@@ -0,0 +1,51 @@
+/**
+ * webhook.js — POST JSON to an outgoing webhook (Slack or anything else)
+ *
+ * Kept apart from lib/http.js on purpose: notifications must never be replayed
+ * from fixtures, queued behind a resort's host limit or skipped by its breaker.
+ *
+ * Powder alert webhooks come from anyone on the internet, so they're posted
+ * with postJSON's `publicOnly` (see lib/public-url.js).
+ */
+
+const fetch = require('node-fetch');
+
+const { isHttps, PUBLIC_ONLY } = require('./public-url');
+
+const TIMEOUT_MS = 10000;
+
+/** isSlack — Slack incoming webhooks want { text }, everything else gets our own JSON. */
+function isSlack(url, format = process.env.ALERT_WEBHOOK_FORMAT) {
+  if (format) return format.toLowerCase() === 'slack';
+  return /hooks\.slack\.com/.test(url);
+}
+
+/**
+ * postJSON — POST a JSON body. Never throws; returns { ok, status, error }
+ * so one dead webhook can't fail a scrape. With `publicOnly` (subscriber
+ * webhooks) only https to public addresses is allowed and redirects aren't
+ * followed.
+ */
+async function postJSON(url, body, { headers = {}, timeout = TIMEOUT_MS, publicOnly = false } = {}) {
+  if (publicOnly && !isHttps(url)) {
+    return { ok: false, status: null, error: 'webhook must be an https URL' };
+  }
+  const controller = new AbortController();
+  const timer      = setTimeout(() => controller.abort(), timeout);
+  try {
+    const res = await fetch(url, {
+      method:  'POST',
+      signal:  controller.signal,
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'NJSkiHaus/1.0 (njskihaus.com)', ...headers },
+      body:    JSON.stringify(body),
+      ...(publicOnly && PUBLIC_ONLY),
+    });
+    return { ok: res.ok, status: res.status, error: res.ok ? null : `HTTP ${res.status}` };
+  } catch (e) {
+    return { ok: false, status: null, error: e.name === 'AbortError' ? 'timeout' : e.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { postJSON, isSlack };
@@ -0,0 +1,184 @@
+/**
+ * webpush.js — the Web Push protocol, with nothing but Node's crypto
+ *
+ *   VAPID (RFC 8292)          — an ES256 JWT per push service origin, signed with
+ *                               VAPID_PRIVATE_KEY, so the browser's push service
+ *                               knows the message is from us
+ *   aes128gcm (RFC 8188/8291) — the payload is encrypted to the browser's p256dh
+ *                               key and auth secret; the push service can't read it
+ *
+ * Keys are base64url: the public key is the 65-byte uncompressed P-256 point
+ * the site passes to pushManager.subscribe({ applicationServerKey }), the
+ * private key its 32-byte scalar. `node lib/test-push.js --keys` prints a new pair.
+ *
+ * decryptPayload is the receiving side of encryptPayload — only the offline
+ * test (lib/test-push.js) needs it, standing in for a browser.
+ */
+
+const crypto = require('crypto');
+const fetch  = require('node-fetch');
+
+const { isHttps, PUBLIC_ONLY } = require('./public-url');
+
+const RECORD_SIZE = 4096;
+const TTL_SECONDS = 60 * 60 * 24;
+const JWT_HOURS   = 12;
+const TIMEOUT_MS  = 10000;
+
+const b64url   = buf => Buffer.from(buf).toString('base64url');
+const fromB64  = str => Buffer.from(String(str), 'base64url');
+
+/** generateVAPIDKeys — a new { publicKey, privateKey } pair, base64url. */
+function generateVAPIDKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return { publicKey: b64url(ecdh.getPublicKey()), privateKey: b64url(ecdh.getPrivateKey()) };
+}
+
+/** vapidKeys — the configured keys, or null if VAPID_* isn't set. */
+function vapidKeys() {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) return null;
+  return {
+    publicKey:  VAPID_PUBLIC_KEY,
+    privateKey: VAPID_PRIVATE_KEY,
+    subject:    VAPID_SUBJECT || 'mailto:hello@njskihaus.com',
+  };
+}
+
+// P-256 KeyObject from the raw base64url keys (private if `privateKey` is given)
+function ecKey(publicKey, privateKey) {
+  const pub = fromB64(publicKey);
+  const jwk = { kty: 'EC', crv: 'P-256', x: b64url(pub.subarray(1, 33)), y: b64url(pub.subarray(33, 65)) };
+  if (privateKey) return crypto.createPrivateKey({ key: { ...jwk, d: privateKey }, format: 'jwk' });
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * vapidHeader — the Authorization header for one push service endpoint:
+ * `vapid t=<ES256 JWT for the endpoint's origin>, k=<public key>`.
+ */
+function vapidHeader(endpoint, keys, nowSec = Math.floor(Date.now() / 1000)) {
+  const header = b64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = b64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: nowSec + JWT_HOURS * 3600,
+    sub: keys.subject,
+  }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key: ecKey(keys.publicKey, keys.privateKey), dsaEncoding: 'ieee-p1363',
+  });
+  return `vapid t=${header}.${claims}.${b64url(signature)}, k=${keys.publicKey}`;
+}
+
+/** verifyVapid — check a vapid Authorization header; returns the JWT claims or null. */
+function verifyVapid(authorization) {
+  const match = /^vapid t=([^,]+),\s*k=(.+)$/.exec(authorization || '');
+  if (!match) return null;
+  const [header, claims, signature] = match[1].split('.');
+  const ok = crypto.verify('sha256', Buffer.from(`${header}.${claims}`), {
+    key: ecKey(match[2].trim()), dsaEncoding: 'ieee-p1363',
+  }, fromB64(signature));
+  return ok ? JSON.parse(fromB64(claims).toString()) : null;
+}
+
+// RFC 8291 §3.4 — content encryption key and nonce from the shared secret
+function deriveKeys(ecdhSecret, authSecret, uaPublic, asPublic, salt) {
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+  const ikm     = Buffer.from(crypto.hkdfSync('sha256', ecdhSecret, authSecret, keyInfo, 32));
+  return {
+    cek:   Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16)),
+    nonce: Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12)),
+  };
+}
+
+/**
+ * encryptPayload — aes128gcm-encrypt a payload for a subscription's keys
+ * ({ p256dh, auth }, base64url). Returns the request body: the RFC 8188 header
+ * (salt, record size, our ephemeral public key) followed by one record.
+ */
+function encryptPayload(payload, keys) {
+  const uaPublic = fromB64(keys.p256dh);
+  const ecdh     = crypto.createECDH('prime256v1');
+  const asPublic = ecdh.generateKeys();
+  const salt     = crypto.randomBytes(16);
+
+  const { cek, nonce } = deriveKeys(ecdh.computeSecret(uaPublic), fromB64(keys.auth), uaPublic, asPublic, salt);
+  // 0x02 marks the last (only) record; no padding
+  const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+  if (plaintext.length + 16 > RECORD_SIZE) throw new Error('Push payload too large');
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+  const body   = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, body]);
+}
+
+/**
+ * decryptPayload — the browser's side: decrypt a body with the subscription's
+ * private key (base64url) and auth secret. Returns the payload as a string.
+ */
+function decryptPayload(body, { privateKey, auth }) {
+  const salt     = body.subarray(0, 16);
+  const idLen    = body.readUInt8(20);
+  const asPublic = body.subarray(21, 21 + idLen);
+  const record   = body.subarray(21 + idLen);
+
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.setPrivateKey(fromB64(privateKey));
+  const { cek, nonce } = deriveKeys(ecdh.computeSecret(asPublic), fromB64(auth), ecdh.getPublicKey(), asPublic, salt);
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(record.subarray(record.length - 16));
+  const plain = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+  // Strip padding back to the 0x02 delimiter
+  return plain.subarray(0, plain.lastIndexOf(2)).toString();
+}
+
+/**
+ * sendNotification — encrypt and POST one payload to a PushSubscription
+ * ({ endpoint, keys: { p256dh, auth } }). Never throws; returns
+ * { ok, status, gone, error } — `gone` means the browser unsubscribed (404/410)
+ * and the subscription should be deleted. With `publicOnly` (endpoints a
+ * browser gave us) only https to public addresses is allowed and redirects
+ * aren't followed (lib/public-url.js).
+ */
+async function sendNotification(subscription, payload, keys = vapidKeys(), { publicOnly = false } = {}) {
+  if (!keys) return { ok: false, status: null, gone: false, error: 'VAPID keys not configured' };
+  if (publicOnly && !isHttps(subscription.endpoint)) {
+    return { ok: false, status: null, gone: false, error: 'subscription.endpoint must be an https URL' };
+  }
+
+  const controller = new AbortController();
+  const timer      = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const res = await fetch(subscription.endpoint, {
+      method:  'POST',
+      signal:  controller.signal,
+      headers: {
+        'Authorization':    vapidHeader(subscription.endpoint, keys),
+        'Content-Encoding': 'aes128gcm',
+        'Content-Type':     'application/octet-stream',
+        'TTL':              String(TTL_SECONDS),
+        'Urgency':          'normal',
+      },
+      body: encryptPayload(typeof payload === 'string' ? payload : JSON.stringify(payload), subscription.keys),
+      ...(publicOnly && PUBLIC_ONLY),
+    });
+    const gone = res.status === 404 || res.status === 410;
+    return { ok: res.ok, status: res.status, gone, error: res.ok ? null : `HTTP ${res.status}` };
+  } catch (e) {
+    return { ok: false, status: null, gone: false, error: e.name === 'AbortError' ? 'timeout' : e.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  sendNotification, generateVAPIDKeys, vapidKeys,
+  vapidHeader, verifyVapid, encryptPayload, decryptPayload,
+};